@@ -11,6 +11,28 @@ import { program } from 'commander';
 import { Commands } from './src/commands/index.js';
 import { TestModuleManager } from './src/core/test-module-manager.js';
 
+// 收集可重复的命令行选项
+function collect(value, previous = []) {
+  return previous.concat([value]);
+}
+
+// 为命令添加启动学生服务器相关选项
+function addServerOptions(command) {
+  return command
+    .option('--start <command>', '测试前启动学生服务器的命令，如 "npm start"，测试后自动关闭')
+    .option('--server-dir <dir>', '执行启动命令的目录，默认为当前目录');
+}
+
+// 为命令添加学生API目标相关选项
+function addTargetOptions(command) {
+  return command
+    .option('--api-url <url>', '学生API地址，如 http://localhost:3000')
+    .option('--port <port>', '学生API端口，覆盖地址中的端口', parseInt)
+    .option('--base-path <path>', '学生API路径前缀，如 /api')
+    .option('-H, --header <header>', '附加请求头，格式为 "名称: 值"，可重复使用', collect)
+    .option('--token <token>', '认证令牌，以 Authorization: Bearer 方式发送');
+}
+
 async function main() {
   // 启动时初始化测试模块状态
   await TestModuleManager.initModuleStatus();
@@ -25,15 +47,15 @@ async function main() {
     .description('设置报告器配置')
     .action(Commands.setupConfig);
 
-  program
+  addServerOptions(addTargetOptions(program
     .command('report')
-    .description('单次报告API状态')
+    .description('单次报告API状态')))
     .action(Commands.reportOnce);
 
-  program
+  addServerOptions(addTargetOptions(program
     .command('auto')
     .description('启动自动定期报告')
-    .option('-i, --interval <minutes>', '报告间隔（分钟）', parseInt)
+    .option('-i, --interval <minutes>', '报告间隔（分钟）', parseInt)))
     .action(Commands.autoReport);
 
   program
@@ -41,9 +63,27 @@ async function main() {
     .description('显示当前配置和状态')
     .action(Commands.showStatus);
 
-  program
+  addServerOptions(addTargetOptions(program
     .command('test')
     .description('只运行API测试，不发送报告')
+    .option('-t, --timeout <ms>', '每个测试的超时时间（毫秒）', parseInt)
+    .option('-r, --retries <count>', '测试失败后的重试次数', parseInt)
+    .option('-p, --parallel <count>', '同时运行的测试模块数', parseInt)
+    .option('-m, --module <moduleId>', '只运行指定的模块（可以是未激活的模块），可重复使用', collect)
+    .option('-g, --grep <pattern>', '只运行名称匹配该正则表达式的测试')
+    .option('--tag <tag>', '只运行带有该标签的测试，可重复使用', collect)
+    .option('--exclude <pattern>', '排除名称匹配该正则表达式或带有该标签的测试')
+    .option('-w, --watch <dir>', '监视学生项目目录，修改后重新运行受影响的测试模块')
+    .option('--strict', '严格模式，警告级检查未通过时按失败处理')
+    .option('--openapi <file>', '根据OpenAPI文档生成契约测试')
+    .option('--snapshot', '将所有测试的响应与保存的快照比较')
+    .option('--update-snapshots', '用本次结果直接替换不一致的快照')
+    .option('--fuzz', '启用模糊测试模块')
+    .option('--seed <seed>', '模糊测试种子，用于重现之前的失败', parseInt)
+    .option('--fuzz-runs <count>', '每个模糊测试检查的随机输入数量', parseInt)
+    .option('--load', '启用性能和负载测试模块')
+    .option('--concurrency <count>', '负载测试的并发请求数', parseInt)
+    .option('--duration <ms>', '每个负载测试的持续时间（毫秒）', parseInt)))
     .action(Commands.runTestsOnly);
 
   program
@@ -51,6 +91,33 @@ async function main() {
     .description('显示测试模块状态')
     .action(Commands.showModules);
 
+  program
+    .command('har [file]')
+    .description('查看测试运行的HTTP流量记录，默认显示最近一次')
+    .option('-l, --list', '列出已保存的记录文件')
+    .option('-t, --test <name>', '只显示名称包含指定文本的测试')
+    .option('--failed', '只显示失败的测试')
+    .option('--full', '显示请求和响应的头部与内容')
+    .action(Commands.showHar);
+
+  program
+    .command('snapshots [action] [indexes...]')
+    .description('审查快照变化，action 为 review（默认）、approve、reject 或 delete')
+    .option('-a, --all', '批准或拒绝所有待审查的变化')
+    .option('-m, --module <moduleId>', 'delete 时要删除快照的模块')
+    .action(Commands.manageSnapshots);
+
+  program
+    .command('mock-server')
+    .description('启动模拟教师服务器，用于在本地测试公钥注册、认证和报告发送')
+    .option('-p, --port <port>', '监听端口，默认为8080', parseInt)
+    .option('--host <host>', '监听地址，默认为127.0.0.1')
+    .option('--base-path <path>', '接口路径前缀，默认为 /api')
+    .option('-c, --command <command>', '收到报告时依次下发的命令，格式为 "命令" 或 "命令:JSON参数"，可重复使用', collect)
+    .option('--commands <file>', '从JSON文件读取要下发的命令 [{ command, params, studentId }]')
+    .option('--report-dir <dir>', '将收到的报告保存为JSON文件的目录')
+    .action(Commands.startMockServer);
+
   // 处理命令行参数
   if (process.argv.length > 2) {
     program.parse(process.argv);
@@ -72,5 +139,8 @@ export default {
   auto: Commands.autoReport,
   status: Commands.showStatus,
   test: Commands.runTestsOnly,
-  modules: Commands.showModules
+  modules: Commands.showModules,
+  har: Commands.showHar,
+  snapshots: Commands.manageSnapshots,
+  mockServer: Commands.startMockServer
 };
\ No newline at end of file
@@ -0,0 +1,404 @@
+// src/api/fuzzer.js
+// 基于性质的模糊测试：可复现的随机输入生成和反例收缩
+
+/**
+ * 模糊测试
+ *
+ * 测试用"生成器"描述输入空间，用"性质"描述对任意输入都应成立的不变式
+ * （性质函数抛出异常表示不成立）。Fuzzer.check 用带种子的伪随机数生成
+ * runs 个输入逐一检查，发现反例后不断尝试生成器给出的更简单的候选值，
+ * 把反例收缩到仍能复现问题的最小输入。
+ *
+ * 相同的种子总是生成相同的输入序列，报告中记录的种子可以用于精确重现失败。
+ */
+
+// 每个性质默认检查的随机输入数量
+const DEFAULT_RUNS = 50;
+// 收缩时最多尝试的候选值数量，每次尝试都会请求学生API
+const MAX_SHRINK_STEPS = 100;
+
+// 生成字符串使用的字符：字母数字、标点、中文和表情，不包含控制字符
+const STRING_CHARS = [
+  ...'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789',
+  ...' -_.,:;!?@#$%^&*()[]{}<>/\\|\'"`~+=',
+  ...'中文测试待办事项',
+  'é', 'ß', 'Ω', '😀', '🚀'
+];
+
+/**
+ * 创建带种子的伪随机数生成器(mulberry32)
+ * @param {number} seed 种子
+ * @returns {Object} 随机数生成器
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    bool: () => next() < 0.5,
+    pick: items => items[Math.floor(next() * items.length)]
+  };
+}
+
+/**
+ * 去掉重复的和与原值相同的候选值
+ * @param {*} value 原值
+ * @param {Array} candidates 候选值
+ * @returns {Array} 候选值
+ */
+function uniqueCandidates(value, candidates) {
+  const seen = new Set([JSON.stringify(value)]);
+  return candidates.filter(candidate => {
+    const key = JSON.stringify(candidate);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * 执行性质，返回不成立时的错误
+ * @param {Function} property 性质函数
+ * @param {*} value 输入
+ * @returns {Promise<Error|null>} 错误，成立时为null
+ */
+async function runProperty(property, value) {
+  try {
+    await property(value);
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * 常用生成器
+ * 每个生成器包含 generate(random) 和 shrink(value)，
+ * shrink 返回比 value 更简单的候选值列表
+ */
+const Arbitrary = {
+  constant(value) {
+    return { generate: () => value, shrink: () => [] };
+  },
+
+  boolean() {
+    return {
+      generate: random => random.bool(),
+      shrink: value => (value ? [false] : [])
+    };
+  },
+
+  /**
+   * @param {number} min 最小值
+   * @param {number} max 最大值
+   */
+  integer(min = -1000, max = 1000) {
+    const target = Math.min(Math.max(0, min), max);
+    return {
+      generate: random => random.int(min, max),
+      shrink: value => uniqueCandidates(value, [target, Math.trunc((value + target) / 2), value - Math.sign(value - target)])
+        .filter(candidate => candidate >= min && candidate <= max)
+    };
+  },
+
+  /**
+   * @param {Object} options
+   * @param {number} options.minLength 最小长度
+   * @param {number} options.maxLength 最大长度
+   * @param {Function} options.filter 生成和收缩的值都必须满足的条件
+   */
+  string({ minLength = 0, maxLength = 50, filter = () => true } = {}) {
+    const generateOnce = random => {
+      // 偏向短字符串，偶尔生成接近最大长度的字符串
+      const length = random.next() < 0.1
+        ? random.int(minLength, maxLength)
+        : random.int(minLength, Math.min(maxLength, minLength + 20));
+      return Array.from({ length }, () => random.pick(STRING_CHARS)).join('');
+    };
+
+    return {
+      generate: random => {
+        for (let attempt = 0; attempt < 100; attempt++) {
+          const value = generateOnce(random);
+          if (filter(value)) return value;
+        }
+        return 'a'.repeat(Math.max(minLength, 1));
+      },
+      shrink: value => {
+        const chars = [...value];
+        const candidates = [
+          'a'.repeat(minLength),
+          'a'.repeat(Math.max(minLength, 1)),
+          chars.slice(0, Math.ceil(chars.length / 2)).join(''),
+          chars.slice(Math.floor(chars.length / 2)).join('')
+        ];
+        // 逐个删除字符，长字符串只尝试前几个位置
+        for (let index = 0; index < Math.min(chars.length, 10); index++) {
+          candidates.push([...chars.slice(0, index), ...chars.slice(index + 1)].join(''));
+        }
+        // 把第一个非字母字符替换为a，找出真正导致问题的字符
+        const special = chars.findIndex(char => !/[a-z]/.test(char));
+        if (special !== -1) {
+          candidates.push([...chars.slice(0, special), 'a', ...chars.slice(special + 1)].join(''));
+        }
+
+        return uniqueCandidates(value, candidates)
+          .filter(candidate => [...candidate].length >= minLength && candidate.length <= value.length && filter(candidate));
+      }
+    };
+  },
+
+  /**
+   * 从多个生成器中随机选择一个
+   * @param {...Object} arbitraries 生成器
+   */
+  oneOf(...arbitraries) {
+    return {
+      generate: random => {
+        const index = random.int(0, arbitraries.length - 1);
+        return arbitraries[index].generate(random);
+      },
+      // 无法得知值由哪个生成器生成，合并所有生成器的候选值，因此各生成器应生成同类型的值
+      shrink: value => uniqueCandidates(value, arbitraries.flatMap(arbitrary => arbitrary.shrink(value)))
+    };
+  },
+
+  /**
+   * @param {Object} arbitrary 元素生成器
+   * @param {number} maxLength 最大长度
+   */
+  array(arbitrary, maxLength = 5) {
+    return {
+      generate: random => Array.from({ length: random.int(0, maxLength) }, () => arbitrary.generate(random)),
+      shrink: value => {
+        const candidates = [[], value.slice(0, Math.floor(value.length / 2))];
+        value.forEach((item, index) => {
+          candidates.push([...value.slice(0, index), ...value.slice(index + 1)]);
+          for (const simpler of arbitrary.shrink(item).slice(0, 3)) {
+            candidates.push([...value.slice(0, index), simpler, ...value.slice(index + 1)]);
+          }
+        });
+        return uniqueCandidates(value, candidates);
+      }
+    };
+  },
+
+  /**
+   * 对象生成器
+   * @param {Object} shape 字段名到生成器的映射
+   * @param {Object} options
+   * @param {string[]} options.optional 可选字段，生成时随机省略，收缩时优先删除
+   */
+  record(shape, { optional = [] } = {}) {
+    return {
+      generate: random => {
+        const value = {};
+        for (const [key, arbitrary] of Object.entries(shape)) {
+          if (optional.includes(key) && random.bool()) continue;
+          value[key] = arbitrary.generate(random);
+        }
+        return value;
+      },
+      shrink: value => {
+        const candidates = [];
+        for (const key of Object.keys(value)) {
+          if (optional.includes(key) || !shape[key]) {
+            const { [key]: removed, ...rest } = value;
+            candidates.push(rest);
+          }
+        }
+        for (const [key, item] of Object.entries(value)) {
+          if (!shape[key]) continue;
+          for (const simpler of shape[key].shrink(item)) {
+            candidates.push({ ...value, [key]: simpler });
+          }
+        }
+        return uniqueCandidates(value, candidates);
+      }
+    };
+  },
+
+  /**
+   * 任意JSON值，用于检查服务器能否安全处理意料之外的请求体
+   * @param {number} depth 最大嵌套层数
+   */
+  json(depth = 2) {
+    const leafByType = {
+      boolean: Arbitrary.boolean(),
+      number: Arbitrary.integer(-1e9, 1e9),
+      string: Arbitrary.string({ maxLength: 30 })
+    };
+    const leaves = [Arbitrary.constant(null), ...Object.values(leafByType)];
+    const shrinkLeaf = value => {
+      const leaf = leafByType[typeof value];
+      return uniqueCandidates(value, [null, ...(leaf ? leaf.shrink(value) : [])]);
+    };
+    if (depth <= 0) {
+      return { generate: random => random.pick(leaves).generate(random), shrink: shrinkLeaf };
+    }
+
+    const nested = Arbitrary.json(depth - 1);
+    const keys = Arbitrary.oneOf(
+      ...['title', 'completed', 'id', 'description', 'createdAt'].map(key => Arbitrary.constant(key)),
+      Arbitrary.string({ minLength: 1, maxLength: 10 })
+    );
+    const object = {
+      generate: random => {
+        const value = {};
+        const size = random.int(0, 4);
+        for (let index = 0; index < size; index++) {
+          value[keys.generate(random)] = nested.generate(random);
+        }
+        return value;
+      },
+      shrink: value => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return [];
+        return Arbitrary.record(
+          Object.fromEntries(Object.keys(value).map(key => [key, nested])),
+          { optional: Object.keys(value) }
+        ).shrink(value);
+      }
+    };
+
+    return {
+      generate: random => {
+        const kind = random.int(0, 6);
+        if (kind <= 1) return object.generate(random);
+        if (kind === 2) return Arbitrary.array(nested, 3).generate(random);
+        return leaves[kind - 3].generate(random);
+      },
+      shrink: value => {
+        if (Array.isArray(value)) return Arbitrary.array(nested, 3).shrink(value);
+        if (value && typeof value === 'object') return [null, ...object.shrink(value)];
+        return shrinkLeaf(value);
+      }
+    };
+  }
+};
+
+export const Fuzzer = {
+  DEFAULT_RUNS,
+  MAX_SHRINK_STEPS,
+  Arbitrary,
+  createRandom,
+
+  /**
+   * 生成随机种子
+   * @returns {number} 32位无符号整数
+   */
+  randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+  },
+
+  /**
+   * 由基础种子和测试名称派生测试自己的种子
+   * 增删其他测试不会改变某个测试生成的输入
+   *
+   * @param {number} seed 基础种子
+   * @param {string} name 测试名称
+   * @returns {number} 派生的种子
+   */
+  deriveSeed(seed, name) {
+    let hash = seed >>> 0;
+    for (const char of name) {
+      hash = Math.imul(hash ^ char.codePointAt(0), 0x01000193) >>> 0;
+    }
+    return hash;
+  },
+
+  /**
+   * 用随机输入检查性质，发现反例后收缩
+   * @param {Object} arbitrary 输入生成器
+   * @param {Function} property 性质函数，抛出异常表示不成立
+   * @param {Object} options
+   * @param {number} options.seed 种子
+   * @param {number} options.runs 检查的输入数量
+   * @returns {Promise<Object>} { passed, seed, runs, run, original, counterexample, shrinkSteps, error }
+   */
+  async check(arbitrary, property, { seed, runs = DEFAULT_RUNS }) {
+    const random = createRandom(seed);
+
+    for (let run = 1; run <= runs; run++) {
+      const value = arbitrary.generate(random);
+      const error = await runProperty(property, value);
+      if (!error) continue;
+
+      // 收缩：每次采用第一个仍然失败的更简单的候选值，直到无法继续
+      let counterexample = value;
+      let lastError = error;
+      let shrinkSteps = 0;
+      let attempts = 0;
+      let shrinking = true;
+
+      while (shrinking && attempts < MAX_SHRINK_STEPS) {
+        shrinking = false;
+        for (const candidate of arbitrary.shrink(counterexample)) {
+          if (attempts >= MAX_SHRINK_STEPS) break;
+          attempts++;
+
+          const candidateError = await runProperty(property, candidate);
+          if (candidateError) {
+            counterexample = candidate;
+            lastError = candidateError;
+            shrinkSteps++;
+            shrinking = true;
+            break;
+          }
+        }
+      }
+
+      return { passed: false, seed, runs, run, original: value, counterexample, shrinkSteps, error: lastError };
+    }
+
+    return { passed: true, seed, runs };
+  },
+
+  /**
+   * 在测试中检查性质，性质不成立时抛出带最小反例的错误（error.fuzz）
+   * 种子和检查次数取自测试上下文的 ctx.fuzz
+   *
+   * @param {TestContext} ctx 测试上下文
+   * @param {Object} arbitrary 输入生成器
+   * @param {Function} property 性质函数
+   * @returns {Promise<Object>} 测试结果
+   */
+  async assertProperty(ctx, arbitrary, property) {
+    const { seed, baseSeed, runs } = ctx.fuzz || { seed: this.randomSeed(), runs: DEFAULT_RUNS };
+    const result = await this.check(arbitrary, property, { seed, runs });
+    const replay = baseSeed !== undefined ? `，使用 --seed ${baseSeed} 重现` : '';
+
+    if (!result.passed) {
+      const error = new Error(
+        `性质不成立: ${result.error.message}。最小反例: ${JSON.stringify(result.counterexample)} ` +
+        `(第 ${result.run} 个输入，收缩 ${result.shrinkSteps} 步${replay})`
+      );
+      error.fuzz = {
+        seed: result.seed,
+        baseSeed,
+        runs,
+        run: result.run,
+        counterexample: result.counterexample,
+        original: result.original,
+        shrinkSteps: result.shrinkSteps
+      };
+      throw error;
+    }
+
+    return {
+      passed: true,
+      message: `${runs} 个随机输入均满足性质 (种子 ${seed})`,
+      fuzz: { seed, baseSeed, runs }
+    };
+  }
+};
+
+export default Fuzzer;
@@ -0,0 +1,243 @@
+// src/api/har-recorder.js
+// HTTP流量记录：把测试期间的每个请求和响应按HAR 1.2格式记录下来，便于重现失败时的完整交互
+
+import { performance } from 'perf_hooks';
+
+/**
+ * 记录格式
+ *
+ * - 每次运行生成一个HAR日志，每个测试（以及每个模块的beforeAll/afterAll）是一个页面(page)，
+ *   页面ID为 "模块ID › 测试名称"，条目(entry)通过pageref指向所在页面，
+ *   测试的结果记录在页面的 _status 和 _error 中
+ * - 条目的timings只记录总等待时间(wait)，Node的HTTP客户端不提供DNS/连接等分段耗时
+ * - 没有收到响应的请求（超时、连接被拒绝）响应状态码为0，错误信息记录在 _error 中
+ * - 负载测试等大量请求的场景每个页面最多记录 MAX_ENTRIES_PER_PAGE 个条目，
+ *   超出的数量记录在页面的 _droppedEntries 中；过长的请求体和响应体会被截断
+ */
+
+// 每个页面最多记录的条目数
+const MAX_ENTRIES_PER_PAGE = 200;
+// 请求体和响应体最多保留的字符数
+const MAX_BODY_LENGTH = 64 * 1024;
+// HAR中的工具信息
+const CREATOR = { name: 'course-reporter', version: '1.0.0' };
+// 每个页面已记录的条目数，避免每次记录都遍历所有条目
+const entryCounts = new WeakMap();
+
+/**
+ * 将请求头或响应头转换为HAR的名称/值列表
+ * @param {Object} headers Axios请求头或响应头
+ * @returns {Object[]} [{ name, value }]
+ */
+function toNameValueList(headers) {
+  const plain = headers && typeof headers.toJSON === 'function' ? headers.toJSON() : headers || {};
+
+  return Object.entries(plain)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .flatMap(([name, value]) => [].concat(value).map(item => ({ name, value: String(item) })));
+}
+
+/**
+ * 将请求体或响应体转换为文本，过长时截断
+ * @param {*} body 请求体或响应体
+ * @returns {Object} { text, size, truncated }
+ */
+function toBodyText(body) {
+  if (body === undefined || body === null || body === '') {
+    return { text: '', size: 0, truncated: false };
+  }
+
+  let text;
+  if (typeof body === 'string') {
+    text = body;
+  } else if (Buffer.isBuffer(body)) {
+    text = body.toString('utf8');
+  } else {
+    try {
+      text = JSON.stringify(body);
+    } catch (error) {
+      text = String(body);
+    }
+  }
+
+  const size = Buffer.byteLength(text);
+  if (text.length > MAX_BODY_LENGTH) {
+    return { text: text.slice(0, MAX_BODY_LENGTH), size, truncated: true };
+  }
+  return { text, size, truncated: false };
+}
+
+/**
+ * 获取请求头或响应头中的Content-Type
+ * @param {Object[]} headers HAR名称/值列表
+ * @returns {string} 媒体类型，没有时为空字符串
+ */
+function findContentType(headers) {
+  const header = headers.find(item => item.name.toLowerCase() === 'content-type');
+  return header ? header.value : '';
+}
+
+export const HarRecorder = {
+  MAX_ENTRIES_PER_PAGE,
+  MAX_BODY_LENGTH,
+
+  /**
+   * 创建空的HAR日志
+   * @returns {Object} { log: { version, creator, pages, entries } }
+   */
+  createLog() {
+    return {
+      log: {
+        version: '1.2',
+        creator: { ...CREATOR },
+        pages: [],
+        entries: []
+      }
+    };
+  },
+
+  /**
+   * 添加页面，同名页面只添加一次（如重试的测试共用一个页面）
+   * @param {Object} har HAR日志
+   * @param {string} id 页面ID
+   * @param {string} title 页面标题
+   * @returns {string} 页面ID
+   */
+  addPage(har, id, title = id) {
+    if (!har.log.pages.some(page => page.id === id)) {
+      har.log.pages.push({
+        startedDateTime: new Date().toISOString(),
+        id,
+        title,
+        pageTimings: {}
+      });
+    }
+    return id;
+  },
+
+  /**
+   * 为axios实例添加记录拦截器
+   * @param {Object} http axios实例
+   * @param {Object} har HAR日志
+   * @param {string} pageref 请求所属的页面ID
+   */
+  attach(http, har, pageref) {
+    http.interceptors.request.use(config => {
+      config.harTiming = { startedDateTime: new Date().toISOString(), start: performance.now() };
+      return config;
+    });
+
+    http.interceptors.response.use(response => {
+      this.record(har, pageref, http, response.config, response);
+      return response;
+    }, error => {
+      if (error.config) {
+        this.record(har, pageref, http, error.config, error.response || null, error);
+      }
+      return Promise.reject(error);
+    });
+  },
+
+  /**
+   * 记录一次请求
+   * @param {Object} har HAR日志
+   * @param {string} pageref 页面ID
+   * @param {Object} http 发出请求的axios实例，用于生成完整URL
+   * @param {Object} config 请求配置
+   * @param {Object|null} response Axios响应，没有收到响应时为null
+   * @param {Error} error 请求错误
+   */
+  record(har, pageref, http, config, response, error = null) {
+    const page = har.log.pages.find(item => item.id === pageref);
+    if (page) {
+      const recorded = entryCounts.get(page) || 0;
+      if (recorded >= MAX_ENTRIES_PER_PAGE) {
+        page._droppedEntries = (page._droppedEntries || 0) + 1;
+        return;
+      }
+      entryCounts.set(page, recorded + 1);
+    }
+
+    const timing = config.harTiming || { startedDateTime: new Date().toISOString(), start: performance.now() };
+    const time = Math.round((performance.now() - timing.start) * 100) / 100;
+    const url = new URL(http.getUri(config));
+
+    const requestHeaders = toNameValueList(config.headers);
+    const requestBody = toBodyText(config.data);
+    const request = {
+      method: (config.method || 'get').toUpperCase(),
+      url: url.href,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: requestHeaders,
+      queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+      headersSize: -1,
+      bodySize: requestBody.size
+    };
+    if (requestBody.size > 0) {
+      request.postData = { mimeType: findContentType(requestHeaders), text: requestBody.text };
+      if (requestBody.truncated) request.postData.comment = `已截断，原始大小 ${requestBody.size} 字节`;
+    }
+
+    const responseHeaders = response ? toNameValueList(response.headers) : [];
+    const responseBody = toBodyText(response ? response.data : null);
+    const content = {
+      size: responseBody.size,
+      mimeType: findContentType(responseHeaders),
+      text: responseBody.text
+    };
+    if (responseBody.truncated) content.comment = `已截断，原始大小 ${responseBody.size} 字节`;
+
+    const entry = {
+      pageref,
+      startedDateTime: timing.startedDateTime,
+      time,
+      request,
+      response: {
+        status: response ? response.status : 0,
+        statusText: response ? response.statusText || '' : '',
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: responseHeaders,
+        content,
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: responseBody.size
+      },
+      cache: {},
+      timings: { send: 0, wait: time, receive: 0 }
+    };
+    if (error && !response) {
+      entry._error = error.message;
+    }
+
+    har.log.entries.push(entry);
+  },
+
+  /**
+   * 在页面上记录测试结果，便于查看时筛选失败的测试
+   * @param {Object} har HAR日志
+   * @param {string} pageref 页面ID
+   * @param {string} status 测试状态: passed/failed
+   * @param {string} error 失败原因
+   */
+  setPageResult(har, pageref, status, error = null) {
+    const page = har.log.pages.find(item => item.id === pageref);
+    if (!page) return;
+
+    page._status = status;
+    if (error) page._error = error;
+  },
+
+  /**
+   * 获取页面中的条目
+   * @param {Object} har HAR日志
+   * @param {string} pageref 页面ID
+   * @returns {Object[]} 条目列表
+   */
+  getEntries(har, pageref) {
+    return har.log.entries.filter(entry => entry.pageref === pageref);
+  }
+};
+
+export default HarRecorder;
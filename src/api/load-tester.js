@@ -0,0 +1,172 @@
+// src/api/load-tester.js
+// 性能和负载测试：并发请求、吞吐量、错误率和延迟百分位
+
+import { performance } from 'perf_hooks';
+
+// 默认并发数和持续时间（毫秒）
+const DEFAULT_CONCURRENCY = 10;
+const DEFAULT_DURATION = 5000;
+// 结果中最多保留的不同错误信息数量
+const MAX_ERROR_SAMPLES = 5;
+
+/**
+ * 保留两位小数
+ * @param {number} value 数值
+ * @returns {number} 结果
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export const LoadTester = {
+  DEFAULT_CONCURRENCY,
+  DEFAULT_DURATION,
+
+  /**
+   * 计算百分位（最近秩法）
+   * @param {number[]} sorted 升序排列的数值
+   * @param {number} p 百分位，如95
+   * @returns {number} 百分位值，没有数据时为0
+   */
+  percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const index = Math.max(0, Math.ceil(p / 100 * sorted.length) - 1);
+    return sorted[Math.min(index, sorted.length - 1)];
+  },
+
+  /**
+   * 汇总请求样本
+   * @param {Object[]} samples 样本 [{ latency, ok, status, error }]
+   * @param {number} elapsed 实际持续时间（毫秒）
+   * @returns {Object} 统计结果
+   */
+  summarize(samples, elapsed) {
+    const latencies = samples.map(sample => sample.latency).sort((a, b) => a - b);
+    const errors = samples.filter(sample => !sample.ok);
+    const statusCodes = {};
+    for (const sample of samples) {
+      const key = sample.status === null ? '无响应' : String(sample.status);
+      statusCodes[key] = (statusCodes[key] || 0) + 1;
+    }
+
+    return {
+      requests: samples.length,
+      errors: errors.length,
+      errorRate: samples.length > 0 ? round(errors.length / samples.length * 10000) / 10000 : 0,
+      duration: Math.round(elapsed),
+      throughput: elapsed > 0 ? round(samples.length / (elapsed / 1000)) : 0,
+      latency: {
+        min: round(latencies[0] || 0),
+        mean: round(latencies.reduce((sum, latency) => sum + latency, 0) / (latencies.length || 1)),
+        p50: round(this.percentile(latencies, 50)),
+        p95: round(this.percentile(latencies, 95)),
+        p99: round(this.percentile(latencies, 99)),
+        max: round(latencies[latencies.length - 1] || 0)
+      },
+      statusCodes,
+      errorSamples: [...new Set(errors.map(sample => sample.error || `状态码 ${sample.status}`))].slice(0, MAX_ERROR_SAMPLES)
+    };
+  },
+
+  /**
+   * 在指定时间内以固定并发数反复执行场景
+   * 场景返回的响应状态码为4xx/5xx或抛出异常都计为错误
+   *
+   * @param {Function} scenario 场景函数 (iteration) => Promise<响应>
+   * @param {Object} options
+   * @param {number} options.concurrency 并发数
+   * @param {number} options.duration 持续时间（毫秒）
+   * @returns {Promise<Object>} 统计结果，见summarize
+   */
+  async run(scenario, { concurrency = DEFAULT_CONCURRENCY, duration = DEFAULT_DURATION } = {}) {
+    // 配置中的无效值（如非数字）使用默认值，否则不会启动任何并发请求
+    const workers = Number.isFinite(concurrency) && concurrency >= 1 ? Math.floor(concurrency) : DEFAULT_CONCURRENCY;
+    const period = Number.isFinite(duration) && duration > 0 ? duration : DEFAULT_DURATION;
+    const samples = [];
+    const start = performance.now();
+    const deadline = start + period;
+    let iteration = 0;
+
+    const worker = async () => {
+      while (performance.now() < deadline) {
+        const begin = performance.now();
+        const sample = { latency: 0, ok: false, status: null, error: null };
+
+        try {
+          const response = await scenario(iteration++);
+          sample.status = response && response.status !== undefined ? response.status : null;
+          sample.ok = sample.status === null || sample.status < 400;
+        } catch (error) {
+          sample.status = error.response ? error.response.status : null;
+          sample.error = error.message;
+        }
+
+        sample.latency = performance.now() - begin;
+        samples.push(sample);
+      }
+    };
+
+    await Promise.all(Array.from({ length: workers }, worker));
+    return this.summarize(samples, performance.now() - start);
+  },
+
+  /**
+   * 根据阈值生成评分细则
+   * @param {Object} thresholds 阈值 { maxErrorRate, p50, p95, p99, minThroughput }，未设置的项不评分
+   * @returns {Object[]} 评分细则，check接收包含stats字段的测试结果
+   */
+  createRubric(thresholds) {
+    const rubric = [];
+
+    if (thresholds.maxErrorRate !== undefined) {
+      rubric.push({
+        name: `错误率不超过 ${thresholds.maxErrorRate * 100}%`,
+        weight: 4,
+        check: ({ stats }) => {
+          if (stats.errorRate > thresholds.maxErrorRate) {
+            throw new Error(`错误率为 ${(stats.errorRate * 100).toFixed(2)}% (${stats.errors}/${stats.requests})，错误示例: ${stats.errorSamples.join('; ')}`);
+          }
+        }
+      });
+    }
+
+    for (const key of ['p50', 'p95', 'p99']) {
+      if (thresholds[key] === undefined) continue;
+      rubric.push({
+        name: `${key}延迟不超过 ${thresholds[key]}ms`,
+        weight: 2,
+        check: ({ stats }) => {
+          if (stats.latency[key] > thresholds[key]) {
+            throw new Error(`${key}延迟为 ${stats.latency[key]}ms`);
+          }
+        }
+      });
+    }
+
+    if (thresholds.minThroughput !== undefined) {
+      rubric.push({
+        name: `吞吐量不低于 ${thresholds.minThroughput} 请求/秒`,
+        weight: 2,
+        check: ({ stats }) => {
+          if (stats.throughput < thresholds.minThroughput) {
+            throw new Error(`吞吐量为 ${stats.throughput} 请求/秒`);
+          }
+        }
+      });
+    }
+
+    return rubric;
+  },
+
+  /**
+   * 生成统计结果的简要说明
+   * @param {Object} stats 统计结果
+   * @returns {string} 说明
+   */
+  describe(stats) {
+    return `${stats.requests} 个请求，吞吐量 ${stats.throughput} 请求/秒，错误率 ${(stats.errorRate * 100).toFixed(2)}%，` +
+      `延迟 p50 ${stats.latency.p50}ms / p95 ${stats.latency.p95}ms / p99 ${stats.latency.p99}ms`;
+  }
+};
+
+export default LoadTester;
@@ -0,0 +1,631 @@
+// src/api/openapi-contract.js
+// OpenAPI契约测试：根据课程发布的OpenAPI 3文档生成一致性测试，并统计文档中操作的覆盖率
+
+import yaml from 'js-yaml';
+import { SchemaValidator } from './schema-validator.js';
+
+/**
+ * 契约测试的生成规则
+ *
+ * - 文档中的每个操作（路径 + 方法）生成一个名为 "方法 路径" 的测试
+ * - 路径参数优先使用同一集合的POST操作创建资源后取得，如 /todos/{id} 会先 POST /todos，
+ *   没有对应的创建操作时使用参数的示例值
+ * - 请求体和必需的查询参数、请求头使用文档中的示例，没有示例时根据schema生成最小的有效值
+ * - 响应的状态码必须在文档中声明，响应体必须符合该状态码对应的schema
+ * - 生成的请求不符合文档时只记为警告，因为这是文档的问题而不是学生实现的问题
+ * - 路径相对于学生API的基础URL，文档中的servers不参与请求
+ */
+
+// 生成测试的HTTP方法
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+// 根据schema生成示例时的最大嵌套深度
+const MAX_EXAMPLE_DEPTH = 5;
+// 生成字符串示例使用的内容
+const STRING_EXAMPLE = 'contract-test';
+
+// 常见字符串格式的示例值
+const FORMAT_EXAMPLES = {
+  'date-time': () => new Date().toISOString(),
+  date: () => new Date().toISOString().slice(0, 10),
+  email: () => 'student@example.com',
+  uri: () => 'https://example.com',
+  uuid: () => '00000000-0000-4000-8000-000000000000'
+};
+
+/**
+ * 解析文档内引用，支持多级引用
+ * @param {Object} node 可能带有$ref的节点
+ * @param {Object} document OpenAPI文档
+ * @returns {Object} 解析后的节点
+ */
+function deref(node, document) {
+  let current = node;
+  const seen = new Set();
+
+  while (current && current.$ref) {
+    if (seen.has(current.$ref)) {
+      throw new Error(`循环引用: ${current.$ref}`);
+    }
+    seen.add(current.$ref);
+
+    if (!current.$ref.startsWith('#/')) {
+      throw new Error(`不支持的外部引用: ${current.$ref}`);
+    }
+    const ref = current.$ref;
+    current = ref.slice(2).split('/').reduce((target, key) => {
+      const decoded = key.replace(/~1/g, '/').replace(/~0/g, '~');
+      return target ? target[decoded] : undefined;
+    }, document);
+
+    if (!current) {
+      throw new Error(`无法解析引用: ${ref}`);
+    }
+  }
+
+  return current;
+}
+
+/**
+ * 从content中选出JSON媒体类型
+ * @param {Object} content 请求体或响应的content
+ * @returns {Object|null} { mediaType, media }，没有JSON媒体类型时为null
+ */
+function findJsonContent(content) {
+  if (!content) return null;
+
+  const mediaType = Object.keys(content).find(type => /^application\/(.+\+)?json/i.test(type) || type === '*/*');
+  return mediaType ? { mediaType, media: content[mediaType] || {} } : null;
+}
+
+/**
+ * 获取媒体类型对象中的示例
+ * @param {Object} media 媒体类型对象
+ * @param {Object} document OpenAPI文档
+ * @returns {*} 示例，没有时为undefined
+ */
+function mediaExample(media, document) {
+  if (media.example !== undefined) return media.example;
+
+  const examples = Object.values(media.examples || {});
+  if (examples.length > 0) {
+    return deref(examples[0], document).value;
+  }
+  return undefined;
+}
+
+/**
+ * 生成符合字符串约束的示例
+ * @param {Object} schema 字符串schema
+ * @returns {string} 示例
+ */
+function stringExample(schema) {
+  if (schema.format && FORMAT_EXAMPLES[schema.format]) {
+    return FORMAT_EXAMPLES[schema.format]();
+  }
+
+  let value = STRING_EXAMPLE;
+  while (value.length < (schema.minLength || 0)) {
+    value += STRING_EXAMPLE;
+  }
+  return schema.maxLength !== undefined ? value.slice(0, Math.max(schema.maxLength, schema.minLength || 0)) : value;
+}
+
+/**
+ * 生成符合数值约束的示例
+ * @param {Object} schema 数值schema
+ * @param {boolean} integer 是否为整数
+ * @returns {number} 示例
+ */
+function numberExample(schema, integer) {
+  let value = 1;
+  if (schema.minimum !== undefined) {
+    value = schema.minimum;
+  } else if (typeof schema.exclusiveMinimum === 'number') {
+    value = schema.exclusiveMinimum + 1;
+  }
+  if (schema.maximum !== undefined) {
+    value = Math.min(value, schema.maximum);
+  }
+  return integer ? Math.ceil(value) : value;
+}
+
+/**
+ * 生成操作的测试名称，与内置测试一样以 "方法 路径" 命名
+ * @param {Object} operation 操作
+ * @returns {string} 测试名称
+ */
+function testName(operation) {
+  return `${operation.method} ${operation.path}`;
+}
+
+/**
+ * 检查操作是否能自动生成请求，不能时返回原因
+ * @param {Object} operation 操作
+ * @returns {string|null} 原因
+ */
+function unsupportedReason(operation) {
+  const body = operation.requestBody;
+  if (body && body.content && !findJsonContent(body.content)) {
+    return `请求体类型 ${Object.keys(body.content).join(', ')} 不支持自动生成`;
+  }
+  return null;
+}
+
+/**
+ * 计算百分比文本
+ * @param {number} count 数量
+ * @param {number} total 总数
+ * @returns {string} 百分比
+ */
+function percent(count, total) {
+  return total ? (count / total * 100).toFixed(2) + '%' : '0%';
+}
+
+export const OpenApiContract = {
+  // 生成的测试模块ID
+  MODULE_ID: 'openapiContract',
+
+  /**
+   * 解析并校验OpenAPI文档
+   * @param {string} content 文档内容，JSON或YAML
+   * @returns {Object} OpenAPI文档
+   */
+  parseDocument(content) {
+    // JSON是YAML的子集，两种格式都可以直接按YAML解析
+    const document = yaml.load(content);
+
+    if (!document || typeof document !== 'object') {
+      throw new Error('OpenAPI文档内容为空或格式不正确');
+    }
+    if (typeof document.openapi !== 'string' || !document.openapi.startsWith('3.')) {
+      throw new Error(`仅支持OpenAPI 3文档，实际版本为 ${document.openapi || document.swagger || '未知'}`);
+    }
+    if (!document.paths || typeof document.paths !== 'object') {
+      throw new Error('OpenAPI文档缺少paths字段');
+    }
+
+    return document;
+  },
+
+  /**
+   * 列出文档中的所有操作
+   * 路径级参数与操作级参数合并，同名同位置的参数以操作级为准
+   *
+   * @param {Object} document OpenAPI文档
+   * @returns {Object[]} 操作列表 [{ method, path, operationId, summary, parameters, requestBody, responses }]
+   */
+  listOperations(document) {
+    const operations = [];
+
+    for (const [path, rawPathItem] of Object.entries(document.paths)) {
+      const pathItem = deref(rawPathItem, document);
+
+      for (const method of HTTP_METHODS) {
+        const operation = pathItem[method];
+        if (!operation) continue;
+
+        const parameters = new Map();
+        for (const parameter of [...(pathItem.parameters || []), ...(operation.parameters || [])]) {
+          const resolved = deref(parameter, document);
+          parameters.set(`${resolved.in}:${resolved.name}`, resolved);
+        }
+
+        operations.push({
+          method: method.toUpperCase(),
+          path,
+          operationId: operation.operationId || null,
+          summary: operation.summary || '',
+          tags: operation.tags || [],
+          parameters: [...parameters.values()],
+          requestBody: operation.requestBody ? deref(operation.requestBody, document) : null,
+          responses: operation.responses || {}
+        });
+      }
+    }
+
+    return operations;
+  },
+
+  /**
+   * 根据schema生成最小的有效示例
+   * 优先使用 example/default/const/enum，对象只包含必需字段（没有必需字段时包含全部字段），
+   * readOnly字段由服务器生成，不会出现在示例中
+   *
+   * @param {Object} schema JSON Schema
+   * @param {Object} document OpenAPI文档，用于解析$ref
+   * @param {number} depth 当前嵌套深度
+   * @returns {*} 示例
+   */
+  exampleFromSchema(schema, document, depth = 0) {
+    const resolved = deref(schema, document);
+    if (!resolved || typeof resolved !== 'object') return null;
+
+    if (resolved.example !== undefined) return resolved.example;
+    if (resolved.default !== undefined) return resolved.default;
+    if (resolved.const !== undefined) return resolved.const;
+    if (resolved.enum && resolved.enum.length > 0) return resolved.enum[0];
+
+    if (resolved.allOf) {
+      return Object.assign({}, ...resolved.allOf.map(subSchema => this.exampleFromSchema(subSchema, document, depth)));
+    }
+    if (resolved.oneOf || resolved.anyOf) {
+      return this.exampleFromSchema((resolved.oneOf || resolved.anyOf)[0], document, depth);
+    }
+
+    const types = [].concat(resolved.type || (resolved.properties ? 'object' : []));
+    const type = types.find(candidate => candidate !== 'null');
+
+    switch (type) {
+      case 'string':
+        return stringExample(resolved);
+      case 'integer':
+        return numberExample(resolved, true);
+      case 'number':
+        return numberExample(resolved, false);
+      case 'boolean':
+        return false;
+      case 'array':
+        if (depth >= MAX_EXAMPLE_DEPTH || !resolved.items) return [];
+        return Array.from({ length: resolved.minItems || 0 }, () => this.exampleFromSchema(resolved.items, document, depth + 1));
+      case 'object': {
+        const example = {};
+        if (depth >= MAX_EXAMPLE_DEPTH) return example;
+
+        const properties = resolved.properties || {};
+        const required = resolved.required && resolved.required.length > 0 ? resolved.required : Object.keys(properties);
+        for (const key of required) {
+          if (!properties[key] || deref(properties[key], document).readOnly) continue;
+          example[key] = this.exampleFromSchema(properties[key], document, depth + 1);
+        }
+        return example;
+      }
+      default:
+        return null;
+    }
+  },
+
+  /**
+   * 生成参数的示例值
+   * @param {Object} parameter 参数定义
+   * @param {Object} document OpenAPI文档
+   * @returns {*} 示例值
+   */
+  parameterExample(parameter, document) {
+    if (parameter.example !== undefined) return parameter.example;
+
+    const examples = Object.values(parameter.examples || {});
+    if (examples.length > 0) {
+      return deref(examples[0], document).value;
+    }
+    return this.exampleFromSchema(parameter.schema || { type: 'string' }, document);
+  },
+
+  /**
+   * 生成请求体示例
+   * @param {Object} operation 操作
+   * @param {Object} document OpenAPI文档
+   * @returns {Object|null} { mediaType, schema, body }，操作没有JSON请求体时为null
+   */
+  requestBodyExample(operation, document) {
+    const json = operation.requestBody && findJsonContent(operation.requestBody.content);
+    if (!json) return null;
+
+    const example = mediaExample(json.media, document);
+    return {
+      mediaType: json.mediaType,
+      schema: json.media.schema || null,
+      body: example !== undefined ? example : this.exampleFromSchema(json.media.schema || {}, document)
+    };
+  },
+
+  /**
+   * 解析路径中的参数值
+   * 参数前面的路径如果是文档中可以POST的集合，就先创建一个资源并使用它的ID，
+   * 创建的资源由测试上下文在测试结束后自动删除
+   *
+   * @param {TestContext} ctx 测试上下文
+   * @param {Object} document OpenAPI文档
+   * @param {Object} operation 操作
+   * @returns {Promise<Object>} { url, values, violations }
+   */
+  async resolvePath(ctx, document, operation) {
+    const values = {};
+    const violations = [];
+    let template = '';
+    let url = '';
+
+    for (const segment of operation.path.split('/').slice(1)) {
+      const match = segment.match(/^\{(.+)\}$/);
+      if (!match) {
+        template += `/${segment}`;
+        url += `/${segment}`;
+        continue;
+      }
+
+      const name = match[1];
+      const parameter = operation.parameters.find(item => item.in === 'path' && item.name === name) || { name, in: 'path' };
+      const collection = document.paths[template] && deref(document.paths[template], document);
+
+      if (collection && collection.post) {
+        values[name] = await this.createResource(ctx, document, template, url, name);
+      } else {
+        values[name] = this.parameterExample(parameter, document);
+      }
+
+      if (parameter.schema) {
+        violations.push(...SchemaValidator.validate(values[name], parameter.schema, {
+          location: `路径参数 ${name}`,
+          root: document,
+          direction: 'request'
+        }));
+      }
+
+      template += `/${segment}`;
+      url += `/${encodeURIComponent(values[name])}`;
+    }
+
+    return { url, values, violations };
+  },
+
+  /**
+   * 通过集合的POST操作创建资源
+   * @param {TestContext} ctx 测试上下文
+   * @param {Object} document OpenAPI文档
+   * @param {string} template 集合的路径模板
+   * @param {string} url 集合的实际路径
+   * @param {string} name 需要的路径参数名称
+   * @returns {Promise<*>} 资源中与参数同名的字段，没有时为id字段
+   */
+  async createResource(ctx, document, template, url, name) {
+    const creator = deref(document.paths[template], document).post;
+    const request = this.requestBodyExample({
+      requestBody: creator.requestBody ? deref(creator.requestBody, document) : null
+    }, document);
+
+    const response = await ctx.http.post(url, request ? request.body : undefined, { validateStatus: () => true });
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`准备路径参数 ${name} 时 POST ${url} 返回 ${response.status}`);
+    }
+
+    const value = response.data && (response.data[name] ?? response.data.id);
+    if (value === undefined || value === null) {
+      throw new Error(`准备路径参数 ${name} 时 POST ${url} 的响应中没有 ${name} 或 id 字段`);
+    }
+    return value;
+  },
+
+  /**
+   * 查找响应状态码对应的文档定义，依次匹配具体状态码、状态码范围(如2XX)和default
+   * @param {Object} operation 操作
+   * @param {number} status 状态码
+   * @param {Object} document OpenAPI文档
+   * @returns {Object|null} { key, response }，未声明时为null
+   */
+  findResponse(operation, status, document) {
+    const candidates = [String(status), `${String(status)[0]}XX`, `${String(status)[0]}xx`, 'default'];
+    const key = candidates.find(candidate => operation.responses[candidate]);
+    return key ? { key, response: deref(operation.responses[key], document) } : null;
+  },
+
+  /**
+   * 执行一个操作的契约测试，返回附带请求信息的响应
+   * @param {TestContext} ctx 测试上下文
+   * @param {Object} document OpenAPI文档
+   * @param {Object} operation 操作
+   * @returns {Promise<Object>} Axios响应，contract字段包含实际发送的请求和请求的违规项
+   */
+  async runOperation(ctx, document, operation) {
+    const path = await this.resolvePath(ctx, document, operation);
+    const violations = [...path.violations];
+    const params = {};
+    const headers = {};
+
+    // 只发送必需的查询参数和请求头，避免可选的过滤条件影响结果
+    for (const parameter of operation.parameters) {
+      if (!parameter.required || !['query', 'header'].includes(parameter.in)) continue;
+
+      const value = this.parameterExample(parameter, document);
+      (parameter.in === 'query' ? params : headers)[parameter.name] = value;
+      if (parameter.schema) {
+        violations.push(...SchemaValidator.validate(value, parameter.schema, {
+          location: `${parameter.in === 'query' ? '查询参数' : '请求头'} ${parameter.name}`,
+          root: document,
+          direction: 'request'
+        }));
+      }
+    }
+
+    const request = this.requestBodyExample(operation, document);
+    if (request) {
+      headers['Content-Type'] = request.mediaType === '*/*' ? 'application/json' : request.mediaType;
+      if (request.schema) {
+        violations.push(...SchemaValidator.validate(request.body, request.schema, {
+          location: '请求体',
+          root: document,
+          direction: 'request'
+        }));
+      }
+    }
+
+    const response = await ctx.http.request({
+      method: operation.method,
+      url: path.url,
+      params,
+      headers,
+      data: request ? request.body : undefined,
+      validateStatus: () => true
+    });
+
+    response.contract = {
+      request: {
+        method: operation.method,
+        url: path.url,
+        params,
+        body: request ? request.body : null
+      },
+      requestViolations: violations
+    };
+    response.message = `${operation.method} ${path.url} 返回 ${response.status}`;
+    return response;
+  },
+
+  /**
+   * 生成操作的评分细则
+   * @param {Object} document OpenAPI文档
+   * @param {Object} operation 操作
+   * @returns {Object[]} 评分细则
+   */
+  createRubric(document, operation) {
+    return [
+      {
+        name: '返回成功状态码',
+        weight: 2,
+        check: response => {
+          if (response.status < 200 || response.status >= 300) {
+            throw new Error(`状态码为 ${response.status}，响应: ${JSON.stringify(response.data)}`);
+          }
+        }
+      },
+      {
+        name: '状态码已在文档中声明',
+        weight: 1,
+        check: response => {
+          if (!this.findResponse(operation, response.status, document)) {
+            throw new Error(`状态码 ${response.status} 未在文档中声明，已声明: ${Object.keys(operation.responses).join(', ')}`);
+          }
+        }
+      },
+      {
+        name: '响应体符合文档Schema',
+        weight: 3,
+        check: response => {
+          const declared = this.findResponse(operation, response.status, document);
+          if (!declared) {
+            throw new Error(`状态码 ${response.status} 未在文档中声明，无法确定响应结构`);
+          }
+
+          const json = findJsonContent(declared.response.content);
+          if (json && json.media.schema) {
+            SchemaValidator.assert(response.data, json.media.schema, `${declared.key} 响应体`, {
+              root: document,
+              direction: 'response'
+            });
+          }
+        }
+      },
+      {
+        name: '请求符合文档Schema',
+        weight: 1,
+        // 自动生成的请求不符合文档说明文档自身的示例或schema有误，不影响学生得分
+        severity: 'warning',
+        check: response => {
+          const { requestViolations } = response.contract;
+          if (requestViolations.length > 0) {
+            throw new Error(`根据文档生成的请求不符合文档 (${requestViolations.length} 处问题): ${requestViolations.join('; ')}`);
+          }
+        }
+      }
+    ];
+  },
+
+  /**
+   * 根据OpenAPI文档生成测试模块
+   * 模块的contract字段记录文档信息和所有操作，用于统计覆盖率
+   *
+   * @param {Object} document OpenAPI文档
+   * @param {Object} options
+   * @param {string} options.source 文档来源，显示在模块列表中
+   * @returns {Object} 测试模块定义
+   */
+  createModule(document, { source = null } = {}) {
+    const operations = this.listOperations(document);
+    const tests = [];
+    const contractOperations = [];
+
+    for (const operation of operations) {
+      const reason = unsupportedReason(operation);
+      contractOperations.push({
+        method: operation.method,
+        path: operation.path,
+        operationId: operation.operationId,
+        testName: reason ? null : testName(operation),
+        reason
+      });
+      if (reason) continue;
+
+      tests.push({
+        name: testName(operation),
+        description: operation.summary,
+        // 文档中操作的tags可以用于 --tag 选择测试
+        tags: operation.tags,
+        run: async (ctx) => this.runOperation(ctx, document, operation),
+        rubric: this.createRubric(document, operation)
+      });
+    }
+
+    const info = document.info || {};
+    return {
+      name: `OpenAPI契约测试: ${info.title || '未命名文档'}`,
+      description: `根据OpenAPI文档${info.version ? ` (版本 ${info.version})` : ''}自动生成，检查 ${operations.length} 个文档操作的状态码和响应结构`,
+      active: true,
+      source,
+      sourceType: 'contract',
+      tags: ['contract'],
+      // 在集合上POST创建的资源在测试结束后自动删除
+      trackResources: Object.keys(document.paths).filter(path => !path.includes('{') && deref(document.paths[path], document).post),
+      tests,
+      contract: {
+        title: info.title || null,
+        version: info.version || null,
+        source,
+        operations: contractOperations
+      }
+    };
+  },
+
+  /**
+   * 统计文档操作的覆盖率
+   * 执行了契约测试的操作算作已覆盖，其中测试通过的操作算作符合文档
+   *
+   * @param {Object} contract 模块的contract字段
+   * @param {Object[]} tests 该模块的测试结果
+   * @returns {Object} 覆盖率报告
+   */
+  summarizeCoverage(contract, tests) {
+    const results = new Map(tests.map(test => [test.name, test]));
+
+    const operations = contract.operations.map(operation => {
+      const test = operation.testName ? results.get(operation.testName) : null;
+      const status = operation.reason ? 'unsupported' : test ? test.status : 'notRun';
+      let reason = operation.reason;
+      if (status === 'failed') reason = test.error;
+      if (status === 'skipped') reason = test.skipReason;
+
+      return {
+        method: operation.method,
+        path: operation.path,
+        operationId: operation.operationId,
+        status,
+        reason: reason || null
+      };
+    });
+
+    const total = operations.length;
+    const covered = operations.filter(operation => ['passed', 'failed'].includes(operation.status)).length;
+    const conforming = operations.filter(operation => operation.status === 'passed').length;
+
+    return {
+      title: contract.title,
+      version: contract.version,
+      source: contract.source,
+      total,
+      covered,
+      conforming,
+      coverage: percent(covered, total),
+      conformance: percent(conforming, total),
+      operations
+    };
+  }
+};
+
+export default OpenApiContract;
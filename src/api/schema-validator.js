@@ -0,0 +1,255 @@
+// src/api/schema-validator.js
+// JSON Schema 响应断言
+
+/**
+ * JSON Schema 校验器
+ *
+ * 实现测试中常用的 JSON Schema 子集，并给出指向具体字段的中文错误信息：
+ * type / required / properties / additionalProperties / items / enum / const /
+ * format / minLength / maxLength / pattern / minimum / maximum /
+ * exclusiveMinimum / exclusiveMaximum / minItems / maxItems / uniqueItems /
+ * allOf / anyOf / oneOf / nullable(OpenAPI) / $ref(仅限文档内引用)
+ *
+ * 按OpenAPI的约定，校验请求时readOnly字段不是必需字段，校验响应时writeOnly字段不是必需字段
+ */
+
+// 支持的字符串格式
+const FORMAT_CHECKS = {
+  'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(value) && !isNaN(Date.parse(value)),
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uri: value => {
+    try {
+      new URL(value);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+  uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)
+};
+
+/**
+ * 获取值的JSON类型名称
+ * @param {*} value 值
+ * @returns {string} 类型名称
+ */
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * 判断值是否属于指定类型（integer也属于number）
+ * @param {*} value 值
+ * @param {string} type 类型名称
+ * @returns {boolean} 是否匹配
+ */
+function matchesType(value, type) {
+  const actual = jsonType(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * 解析文档内引用，如 #/components/schemas/Todo
+ * @param {string} ref 引用
+ * @param {Object} root 根文档
+ * @returns {Object} 被引用的schema
+ */
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`不支持的外部引用: ${ref}`);
+  }
+
+  const target = ref.slice(2).split('/').reduce((node, key) => {
+    const decoded = key.replace(/~1/g, '/').replace(/~0/g, '~');
+    return node ? node[decoded] : undefined;
+  }, root);
+
+  if (!target) {
+    throw new Error(`无法解析引用: ${ref}`);
+  }
+  return target;
+}
+
+/**
+ * 判断必需字段在当前校验方向上是否可以省略
+ * 请求中不需要提供readOnly字段，响应中不会返回writeOnly字段
+ *
+ * @param {Object} propertySchema 字段的schema
+ * @param {Object} root 根文档
+ * @param {string} direction 校验方向: request/response
+ * @returns {boolean} 是否可以省略
+ */
+function isExempt(propertySchema, root, direction) {
+  if (!propertySchema || !direction) return false;
+  const resolved = propertySchema.$ref ? resolveRef(propertySchema.$ref, root) : propertySchema;
+  return direction === 'request' ? Boolean(resolved.readOnly) : Boolean(resolved.writeOnly);
+}
+
+/**
+ * 递归校验
+ * @param {*} value 待校验的值
+ * @param {Object} schema schema
+ * @param {string} location 当前位置
+ * @param {Object} root 根文档，用于解析$ref
+ * @param {string[]} violations 收集到的违规项
+ * @param {string} direction 校验方向: request/response，未指定时不区分
+ */
+function validateNode(value, schema, location, root, violations, direction) {
+  if (!schema || schema === true) return;
+  if (schema === false) {
+    violations.push(`${location}: 不允许出现`);
+    return;
+  }
+
+  if (schema.$ref) {
+    validateNode(value, resolveRef(schema.$ref, root), location, root, violations, direction);
+    return;
+  }
+
+  if (value === null && schema.nullable) return;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      violations.push(`${location}: 类型应为 ${types.join('|')}，实际为 ${jsonType(value)}`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(item => JSON.stringify(item) === JSON.stringify(value))) {
+    violations.push(`${location}: 应为 ${schema.enum.map(item => JSON.stringify(item)).join('、')} 之一，实际为 ${JSON.stringify(value)}`);
+  }
+
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    violations.push(`${location}: 应为 ${JSON.stringify(schema.const)}，实际为 ${JSON.stringify(value)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      violations.push(`${location}: 长度不能小于 ${schema.minLength}`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      violations.push(`${location}: 长度不能大于 ${schema.maxLength}`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      violations.push(`${location}: 不匹配模式 ${schema.pattern}`);
+    }
+    if (schema.format && FORMAT_CHECKS[schema.format] && !FORMAT_CHECKS[schema.format](value)) {
+      violations.push(`${location}: 不是有效的 ${schema.format} 格式 (${JSON.stringify(value)})`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      violations.push(`${location}: 不能小于 ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      violations.push(`${location}: 不能大于 ${schema.maximum}`);
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      violations.push(`${location}: 必须大于 ${schema.exclusiveMinimum}`);
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      violations.push(`${location}: 必须小于 ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      violations.push(`${location}: 至少需要 ${schema.minItems} 项，实际为 ${value.length} 项`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      violations.push(`${location}: 最多允许 ${schema.maxItems} 项，实际为 ${value.length} 项`);
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set(value.map(item => JSON.stringify(item)));
+      if (seen.size !== value.length) {
+        violations.push(`${location}: 存在重复项`);
+      }
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateNode(item, schema.items, `${location}[${index}]`, root, violations, direction));
+    }
+  }
+
+  if (jsonType(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined && !isExempt(properties[key], root, direction)) {
+        violations.push(`${location}.${key}: 缺少必需字段`);
+      }
+    }
+
+    for (const [key, propValue] of Object.entries(value)) {
+      if (properties[key]) {
+        validateNode(propValue, properties[key], `${location}.${key}`, root, violations, direction);
+      } else if (schema.additionalProperties === false) {
+        violations.push(`${location}.${key}: 不允许的额外字段`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateNode(propValue, schema.additionalProperties, `${location}.${key}`, root, violations, direction);
+      }
+    }
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach(subSchema => validateNode(value, subSchema, location, root, violations, direction));
+  }
+
+  if (schema.anyOf || schema.oneOf) {
+    const candidates = schema.anyOf || schema.oneOf;
+    const matched = candidates.filter(subSchema => {
+      const subViolations = [];
+      validateNode(value, subSchema, location, root, subViolations, direction);
+      return subViolations.length === 0;
+    }).length;
+
+    if (matched === 0) {
+      violations.push(`${location}: 不符合任何一个候选结构`);
+    } else if (schema.oneOf && matched > 1) {
+      violations.push(`${location}: 同时符合 ${matched} 个候选结构，应只符合一个`);
+    }
+  }
+}
+
+export const SchemaValidator = {
+  /**
+   * 校验数据是否符合schema
+   * @param {*} data 待校验的数据
+   * @param {Object} schema JSON Schema
+   * @param {Object} options 选项
+   * @param {string} options.location 根位置名称，默认为body
+   * @param {Object} options.root 解析$ref使用的根文档，默认为schema本身
+   * @param {string} options.direction 校验方向: request/response，用于处理readOnly/writeOnly
+   * @returns {string[]} 违规项列表，为空表示通过
+   */
+  validate(data, schema, options = {}) {
+    const violations = [];
+    validateNode(data, schema, options.location || 'body', options.root || schema, violations, options.direction);
+    return violations;
+  },
+
+  /**
+   * 断言数据符合schema，不符合时抛出带违规列表的错误
+   * @param {*} data 待校验的数据
+   * @param {Object} schema JSON Schema
+   * @param {string} label 被校验对象的描述，用于错误信息
+   * @param {Object} options 同validate
+   * @throws {Error} 错误对象的violations属性包含所有违规项
+   */
+  assert(data, schema, label = '响应数据', options = {}) {
+    const violations = this.validate(data, schema, options);
+
+    if (violations.length > 0) {
+      const error = new Error(`${label}不符合预期结构 (${violations.length} 处问题): ${violations.join('; ')}`);
+      error.violations = violations;
+      throw error;
+    }
+  }
+};
+
+export default SchemaValidator;
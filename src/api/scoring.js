@@ -0,0 +1,154 @@
+// src/api/scoring.js
+// 测试评分：权重、评分细则(rubric)和部分得分
+
+/**
+ * 评分规则
+ *
+ * - 每个测试的满分为 test.weight（默认10分），再乘以所在模块的 module.weight（默认1）
+ * - 测试可以声明评分细则 rubric: [{ name, weight, check(response) }]，
+ *   细则的weight是其在测试满分中所占的比例，未通过的细则不得分
+ * - check 抛出异常或返回 false 表示该细则未通过
+ * - 细则可以设置 severity: 'warning'，未通过时只记为警告，不使测试失败，也不计入得分和满分；
+ *   严格模式下警告按普通细则处理，便于课程逐步引入新的要求
+ * - 没有细则的测试通过得满分，失败得0分
+ * - 因依赖未通过而跳过的测试得0分，但仍计入满分，使同一批测试的满分不随失败的测试变化
+ */
+
+// 测试默认满分
+const DEFAULT_TEST_WEIGHT = 10;
+
+export const Scoring = {
+  DEFAULT_TEST_WEIGHT,
+
+  /**
+   * 逐项评估评分细则
+   * @param {Object[]} rubric 评分细则
+   * @param {*} response 测试返回的结果
+   * @param {Object} thisArg check函数的this
+   * @param {Object} options
+   * @param {boolean} options.strict 严格模式，警告级细则按普通细则处理
+   * @returns {Promise<Object[]>} 细则结果 [{ name, weight, severity, passed, message, violations }]
+   */
+  async evaluateRubric(rubric, response, thisArg = null, options = {}) {
+    const criteria = [];
+
+    for (const item of rubric) {
+      const criterion = {
+        name: item.name,
+        weight: item.weight ?? 1,
+        severity: item.severity === 'warning' && !options.strict ? 'warning' : 'error',
+        passed: true,
+        message: null
+      };
+
+      try {
+        const outcome = await item.check.call(thisArg, response);
+        if (outcome === false) {
+          criterion.passed = false;
+          criterion.message = '未满足要求';
+        }
+      } catch (error) {
+        criterion.passed = false;
+        criterion.message = error.message;
+        if (error.violations) {
+          criterion.violations = error.violations;
+        }
+      }
+
+      criteria.push(criterion);
+    }
+
+    return criteria;
+  },
+
+  /**
+   * 判断细则是否全部通过，警告级细则不影响结果
+   * @param {Object[]} criteria 细则结果
+   * @returns {boolean} 是否全部通过
+   */
+  allPassed(criteria) {
+    return criteria.every(criterion => criterion.passed || criterion.severity === 'warning');
+  },
+
+  /**
+   * 获取未通过的警告级细则
+   * @param {Object[]|null} criteria 细则结果
+   * @returns {string[]} 警告信息
+   */
+  getWarnings(criteria) {
+    return (criteria || [])
+      .filter(criterion => !criterion.passed && criterion.severity === 'warning')
+      .map(criterion => `${criterion.name}: ${criterion.message}`);
+  },
+
+  /**
+   * 为未全部通过的细则创建错误对象
+   * 错误携带criteria，使失败的测试仍能按已通过的细则获得部分得分
+   *
+   * @param {Object[]} criteria 细则结果
+   * @param {Object} response 响应，附加到错误上便于查看
+   * @returns {Error} 错误对象
+   */
+  createCriteriaError(criteria, response) {
+    const failed = criteria.filter(criterion => !criterion.passed && criterion.severity !== 'warning');
+    const error = new Error(failed.map(criterion => `${criterion.name}: ${criterion.message}`).join('; '));
+    const violations = failed.flatMap(criterion => criterion.violations || []);
+
+    error.criteria = criteria;
+    error.responseData = response;
+    if (violations.length > 0) {
+      error.violations = violations;
+    }
+    return error;
+  },
+
+  /**
+   * 计算测试得分
+   * @param {Object} test 测试定义
+   * @param {Object} module 所在模块
+   * @param {boolean} passed 测试是否通过
+   * @param {Object[]|null} criteria 细则结果，有细则时按比例计分
+   * @returns {Object} { value, maxValue }
+   */
+  calculateScore(test, module, passed, criteria = null) {
+    const maxValue = (test.weight ?? DEFAULT_TEST_WEIGHT) * (module.weight ?? 1);
+
+    if (criteria && criteria.length > 0) {
+      // 警告级细则不计分，只有警告级细则的测试不计入满分
+      const graded = criteria.filter(criterion => criterion.severity !== 'warning');
+      if (graded.length === 0) {
+        return { value: 0, maxValue: 0 };
+      }
+
+      const totalWeight = graded.reduce((sum, criterion) => sum + criterion.weight, 0);
+      const earnedWeight = graded
+        .filter(criterion => criterion.passed)
+        .reduce((sum, criterion) => sum + criterion.weight, 0);
+      const value = totalWeight > 0 ? maxValue * earnedWeight / totalWeight : 0;
+
+      return { value: Math.round(value * 100) / 100, maxValue };
+    }
+
+    return { value: passed ? maxValue : 0, maxValue };
+  },
+
+  /**
+   * 计算跳过的测试的得分：0分，满分与执行时相同
+   * @param {Object} test 测试定义
+   * @param {Object} module 所在模块
+   * @param {Object} options
+   * @param {boolean} options.strict 严格模式，警告级细则按普通细则处理
+   * @returns {Object} { value, maxValue }
+   */
+  calculateSkippedScore(test, module, { strict = false } = {}) {
+    // 只有警告级细则的测试执行时也不计入满分
+    const warningsOnly = Array.isArray(test.rubric) && test.rubric.length > 0
+      && test.rubric.every(item => item.severity === 'warning');
+    if (warningsOnly && !strict) {
+      return { value: 0, maxValue: 0 };
+    }
+    return { value: 0, maxValue: this.calculateScore(test, module, false).maxValue };
+  }
+};
+
+export default Scoring;
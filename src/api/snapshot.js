@@ -0,0 +1,197 @@
+// src/api/snapshot.js
+// 快照测试：记录规范化后的响应，之后的运行与其比较以发现回归
+
+/**
+ * 快照规则
+ *
+ * - 快照按 模块ID + 键 保存，键为测试名称，测试中显式调用 ctx.matchSnapshot(name, ...) 时为 "测试名称 › name"
+ * - 保存前先规范化：对象的键排序；ID类字段（id、_id、userId、todo_id 等）和 createdAt/updatedAt 等
+ *   易变字段替换为占位符；字符串中的ISO时间、UUID、13位毫秒时间戳和数据命名空间标记替换为占位符
+ * - 没有快照时记录为新快照并通过；与快照不一致时测试失败，新结果等待 course-reporter snapshots 审查，
+ *   批准后替换原快照
+ * - 快照的读取和保存由调用方负责（见 core/snapshot-store.js），这里只处理一次运行中的比较
+ */
+
+// 易变字段名
+const VOLATILE_KEYS = ['createdAt', 'updatedAt', 'deletedAt', 'timestamp'];
+// ID类字段名：id、_id、userId、todo_id 等
+const ID_KEY_PATTERN = /^_?id$|Id$|_id$/;
+// 字符串中的易变内容及其占位符
+const VOLATILE_PATTERNS = [
+  [/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?/g, '<date-time>'],
+  [/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '<uuid>'],
+  [/(?<!\d)\d{13}(?!\d)/g, '<timestamp>'],
+  // 数据命名空间标记，见 TestContext.namespaced
+  [/\[ns:[^\]\s]+\]/g, '<namespace>']
+];
+// 错误信息中最多列出的差异数
+const MAX_REPORTED_DIFFS = 5;
+
+/**
+ * 获取值的类型名称
+ * @param {*} value 值
+ * @returns {string} 类型名称
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * 递归比较快照
+ * @param {*} expected 快照中的值
+ * @param {*} actual 本次的值
+ * @param {string} location 当前位置
+ * @param {string[]} diffs 收集到的差异
+ */
+function diffNode(expected, actual, location, diffs) {
+  const expectedType = typeOf(expected);
+  const actualType = typeOf(actual);
+
+  if (expectedType !== actualType) {
+    diffs.push(`${location}: 预期 ${JSON.stringify(expected)}，实际 ${JSON.stringify(actual)}`);
+    return;
+  }
+
+  if (expectedType === 'array') {
+    if (expected.length !== actual.length) {
+      diffs.push(`${location}: 预期 ${expected.length} 项，实际 ${actual.length} 项`);
+    }
+    for (let index = 0; index < Math.min(expected.length, actual.length); index++) {
+      diffNode(expected[index], actual[index], `${location}[${index}]`, diffs);
+    }
+    return;
+  }
+
+  if (expectedType === 'object') {
+    for (const key of Object.keys(expected)) {
+      if (!(key in actual)) {
+        diffs.push(`${location}.${key}: 缺少字段，预期 ${JSON.stringify(expected[key])}`);
+      } else {
+        diffNode(expected[key], actual[key], `${location}.${key}`, diffs);
+      }
+    }
+    for (const key of Object.keys(actual)) {
+      if (!(key in expected)) {
+        diffs.push(`${location}.${key}: 多出字段 ${JSON.stringify(actual[key])}`);
+      }
+    }
+    return;
+  }
+
+  if (expected !== actual) {
+    diffs.push(`${location}: 预期 ${JSON.stringify(expected)}，实际 ${JSON.stringify(actual)}`);
+  }
+}
+
+export const Snapshot = {
+  /**
+   * 创建一次运行的快照会话
+   * @param {Object} options
+   * @param {Object} options.baseline 已保存的快照 { 模块ID: { 键: 值 } }
+   * @param {boolean} options.enabled 是否为所有模块记录测试响应的快照
+   * @param {boolean} options.update 是否直接用本次结果替换不一致的快照
+   * @returns {Object} 会话 { baseline, enabled, update, results }
+   */
+  createSession({ baseline = {}, enabled = false, update = false } = {}) {
+    return { baseline, enabled, update, results: new Map() };
+  },
+
+  /**
+   * 规范化数据，替换易变字段和内容
+   * @param {*} value 数据
+   * @param {Object} options
+   * @param {string[]} options.ignore 额外忽略的字段名
+   * @returns {*} 规范化后的数据
+   */
+  normalize(value, { ignore = [] } = {}) {
+    if (typeof value === 'string') {
+      return VOLATILE_PATTERNS.reduce((text, [pattern, placeholder]) => text.replace(pattern, placeholder), value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.normalize(item, { ignore }));
+    }
+    if (value && typeof value === 'object') {
+      const normalized = {};
+      for (const key of Object.keys(value).sort()) {
+        const volatile = ID_KEY_PATTERN.test(key) || VOLATILE_KEYS.includes(key) || ignore.includes(key);
+        normalized[key] = volatile && value[key] !== null ? `<${key}>` : this.normalize(value[key], { ignore });
+      }
+      return normalized;
+    }
+    return value === undefined ? null : value;
+  },
+
+  /**
+   * 比较快照
+   * @param {*} expected 快照中的值
+   * @param {*} actual 本次的值
+   * @returns {string[]} 差异列表，为空表示一致
+   */
+  diff(expected, actual) {
+    const diffs = [];
+    diffNode(expected, actual, 'snapshot', diffs);
+    return diffs;
+  },
+
+  /**
+   * 将数据与快照比较
+   * 没有快照或更新模式下记录新快照，不一致时抛出带差异列表的错误
+   *
+   * @param {Object} session 快照会话
+   * @param {string} moduleId 模块ID
+   * @param {string} key 快照键
+   * @param {*} data 数据
+   * @param {Object} options 同normalize
+   * @returns {Object} 比较结果 { moduleId, key, status, actual, expected, diff }，status为 written/updated/matched
+   */
+  match(session, moduleId, key, data, options = {}) {
+    const actual = this.normalize(data, options);
+    const moduleSnapshots = session.baseline[moduleId] || {};
+    const result = { moduleId, key, status: 'matched', actual, expected: null, diff: [] };
+
+    if (!(key in moduleSnapshots)) {
+      result.status = 'written';
+    } else {
+      result.expected = moduleSnapshots[key];
+      result.diff = this.diff(result.expected, actual);
+      if (result.diff.length > 0) {
+        result.status = session.update ? 'updated' : 'mismatched';
+      }
+    }
+
+    // 重试的测试以最后一次比较为准
+    session.results.set(`${moduleId}\u0000${key}`, result);
+
+    if (result.status === 'mismatched') {
+      const shown = result.diff.slice(0, MAX_REPORTED_DIFFS).join('; ');
+      const more = result.diff.length > MAX_REPORTED_DIFFS ? ' 等' : '';
+      const error = new Error(`与快照 "${key}" 不一致 (${result.diff.length} 处差异): ${shown}${more}，确认是预期的变化后使用 course-reporter snapshots 批准`);
+      error.violations = result.diff;
+      throw error;
+    }
+
+    return result;
+  },
+
+  /**
+   * 汇总会话中的比较结果
+   * @param {Object} session 快照会话
+   * @returns {Object} { matched, written, updated, mismatched, results }
+   */
+  summarize(session) {
+    const results = [...session.results.values()];
+    const count = status => results.filter(result => result.status === status).length;
+
+    return {
+      matched: count('matched'),
+      written: count('written'),
+      updated: count('updated'),
+      mismatched: count('mismatched'),
+      results
+    };
+  }
+};
+
+export default Snapshot;
@@ -0,0 +1,440 @@
+// src/api/spec-runner.js
+// 声明式测试规格解释器
+
+/**
+ * 声明式测试规格
+ *
+ * 允许助教用 JSON/YAML 描述测试，而不必编写 JavaScript 闭包。
+ * 一个规格测试包含请求描述(request)、期望结果(expect)和变量捕获(capture)：
+ *
+ *   name: "POST /todos 创建待办事项"
+ *   request:
+ *     method: POST
+ *     path: /todos
+ *     body: { title: "测试 {{$timestamp}}", completed: false }
+ *   expect:
+ *     status: [200, 201]
+ *     shape: { id: any, title: string, completed: boolean }
+ *   capture:
+ *     todoId: body.id
+ *
+ * 字符串中的 {{变量名}} 会被替换为之前捕获的变量，同一模块内的测试共享变量。
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+import { SchemaValidator } from './schema-validator.js';
+import { Scoring } from './scoring.js';
+
+// 内置变量
+const BUILTIN_VARIABLES = {
+  $timestamp: () => Date.now(),
+  $random: () => Math.random().toString(36).substring(2, 10),
+  $isoDate: () => new Date().toISOString()
+};
+
+// 匹配 {{变量名}} 占位符
+const PLACEHOLDER_PATTERN = /\{\{\s*([$\w.]+)\s*\}\}/g;
+const FULL_PLACEHOLDER_PATTERN = /^\{\{\s*([$\w.]+)\s*\}\}$/;
+
+/**
+ * 按点分路径读取对象中的值
+ * @param {Object} source 源对象
+ * @param {string} keyPath 形如 body.items.0.id 的路径
+ * @returns {*} 读取到的值，不存在时返回undefined
+ */
+function getByPath(source, keyPath) {
+  return keyPath.split('.').reduce(
+    (value, key) => (value === null || value === undefined ? undefined : value[key]),
+    source
+  );
+}
+
+/**
+ * 解析单个变量
+ * @param {string} name 变量名
+ * @param {Object} variables 已捕获的变量
+ * @returns {*} 变量值
+ */
+function resolveVariable(name, variables) {
+  if (BUILTIN_VARIABLES[name]) {
+    return BUILTIN_VARIABLES[name]();
+  }
+
+  const value = getByPath(variables, name);
+  if (value === undefined) {
+    throw new Error(`未定义的变量: ${name}`);
+  }
+  return value;
+}
+
+/**
+ * 递归替换值中的变量占位符
+ * 整个字符串恰好是一个占位符时保留变量的原始类型（如数字ID）
+ *
+ * @param {*} value 待处理的值
+ * @param {Object} variables 已捕获的变量
+ * @returns {*} 替换后的值
+ */
+function interpolate(value, variables) {
+  if (typeof value === 'string') {
+    const fullMatch = value.match(FULL_PLACEHOLDER_PATTERN);
+    if (fullMatch) {
+      return resolveVariable(fullMatch[1], variables);
+    }
+    return value.replace(PLACEHOLDER_PATTERN, (_, name) => String(resolveVariable(name, variables)));
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => interpolate(item, variables));
+  }
+
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, propValue] of Object.entries(value)) {
+      result[key] = interpolate(propValue, variables);
+    }
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * 获取值的类型名称
+ * @param {*} value 值
+ * @returns {string} 类型名称
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * 检查响应体是否符合期望的结构
+ *
+ * 结构描述规则:
+ * - 字符串表示类型: string/number/boolean/object/array/null/any，以?结尾表示可选
+ * - 对象表示嵌套结构
+ * - 单元素数组表示数组中每一项的结构
+ *
+ * @param {*} actual 实际值
+ * @param {*} shape 结构描述
+ * @param {string} location 当前位置，用于错误信息
+ * @param {string[]} problems 收集到的问题
+ * @returns {string[]} 问题列表
+ */
+function checkShape(actual, shape, location = 'body', problems = []) {
+  if (typeof shape === 'string') {
+    const optional = shape.endsWith('?');
+    const expectedType = optional ? shape.slice(0, -1) : shape;
+
+    if (actual === undefined) {
+      if (!optional) problems.push(`${location} 缺失`);
+      return problems;
+    }
+
+    if (expectedType !== 'any' && typeOf(actual) !== expectedType) {
+      problems.push(`${location} 应为 ${expectedType}，实际为 ${typeOf(actual)}`);
+    }
+    return problems;
+  }
+
+  if (Array.isArray(shape)) {
+    if (!Array.isArray(actual)) {
+      problems.push(`${location} 应为 array，实际为 ${typeOf(actual)}`);
+      return problems;
+    }
+    if (shape.length > 0) {
+      actual.forEach((item, index) => checkShape(item, shape[0], `${location}[${index}]`, problems));
+    }
+    return problems;
+  }
+
+  if (shape && typeof shape === 'object') {
+    if (typeOf(actual) !== 'object') {
+      problems.push(`${location} 应为 object，实际为 ${typeOf(actual)}`);
+      return problems;
+    }
+    for (const [key, propShape] of Object.entries(shape)) {
+      checkShape(actual[key], propShape, `${location}.${key}`, problems);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * 检查响应体是否包含期望的值（部分匹配）
+ * @param {*} actual 实际值
+ * @param {*} expected 期望值
+ * @param {string} location 当前位置，用于错误信息
+ * @param {string[]} problems 收集到的问题
+ * @returns {string[]} 问题列表
+ */
+function checkPartialEqual(actual, expected, location = 'body', problems = []) {
+  if (expected && typeof expected === 'object' && !Array.isArray(expected)) {
+    if (typeOf(actual) !== 'object') {
+      problems.push(`${location} 应为 object，实际为 ${typeOf(actual)}`);
+      return problems;
+    }
+    for (const [key, expectedValue] of Object.entries(expected)) {
+      checkPartialEqual(actual[key], expectedValue, `${location}.${key}`, problems);
+    }
+    return problems;
+  }
+
+  if (Array.isArray(expected)) {
+    if (!Array.isArray(actual) || actual.length !== expected.length) {
+      problems.push(`${location} 应为长度 ${expected.length} 的数组`);
+      return problems;
+    }
+    expected.forEach((item, index) => checkPartialEqual(actual[index], item, `${location}[${index}]`, problems));
+    return problems;
+  }
+
+  if (actual !== expected) {
+    problems.push(`${location} 应为 ${JSON.stringify(expected)}，实际为 ${JSON.stringify(actual)}`);
+  }
+  return problems;
+}
+
+/**
+ * 检查响应头是否包含期望的值
+ * @param {Object} headers 实际响应头
+ * @param {Object} expected 期望的响应头，值为true表示只要求存在
+ * @returns {string[]} 问题列表
+ */
+function checkHeaders(headers, expected) {
+  const problems = [];
+  for (const [name, expectedValue] of Object.entries(expected)) {
+    const actualValue = headers[name.toLowerCase()];
+    if (actualValue === undefined) {
+      problems.push(`响应头 ${name} 缺失`);
+    } else if (expectedValue !== true && !String(actualValue).includes(String(expectedValue))) {
+      problems.push(`响应头 ${name} 应包含 ${expectedValue}，实际为 ${actualValue}`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * 存在问题时抛出携带问题列表的错误
+ * @param {string[]} problems 问题列表
+ */
+function assertNoProblems(problems) {
+  if (problems.length > 0) {
+    const error = new Error(problems.join('; '));
+    error.violations = problems;
+    throw error;
+  }
+}
+
+/**
+ * 检查状态码是否符合期望
+ * @param {number} status 实际状态码
+ * @param {number|number[]|undefined} expected 期望状态码，未指定时接受任意2xx
+ * @returns {boolean} 是否符合
+ */
+function statusMatches(status, expected) {
+  if (expected === undefined || expected === null) {
+    return status >= 200 && status < 300;
+  }
+  const accepted = Array.isArray(expected) ? expected : [expected];
+  return accepted.includes(status);
+}
+
+export const SpecRunner = {
+  /**
+   * 判断测试是否为声明式规格测试
+   * @param {Object} test 测试定义
+   * @returns {boolean} 是否为规格测试
+   */
+  isSpecTest(test) {
+    return Boolean(test && test.request && typeof test.run !== 'function');
+  },
+
+  /**
+   * 校验规格测试定义的完整性
+   * @param {Object} spec 规格测试
+   * @throws {Error} 定义不完整时抛出
+   */
+  validateSpec(spec) {
+    if (!spec.name) {
+      throw new Error('规格测试缺少name字段');
+    }
+    if (!spec.request || !spec.request.path) {
+      throw new Error(`规格测试 "${spec.name}" 缺少request.path字段`);
+    }
+  },
+
+  /**
+   * 执行一个规格测试
+   * @param {Object} spec 规格测试定义
+   * @param {TestContext} ctx 测试上下文，捕获的变量写入 ctx.vars
+   * @returns {Promise<Object>} Axios响应对象，附带message和requestData
+   */
+  async runSpecTest(spec, ctx) {
+    this.validateSpec(spec);
+
+    const variables = ctx.vars;
+
+    const request = interpolate(spec.request, variables);
+    const expect = interpolate(spec.expect || {}, variables);
+    const method = (request.method || 'GET').toUpperCase();
+
+    const requestData = {
+      method,
+      url: `${ctx.baseUrl}${request.path}`,
+      headers: request.headers,
+      params: request.query,
+      body: request.body
+    };
+
+    // 状态码由规格判断，不让axios对非2xx抛出异常
+    const response = await ctx.http.request({
+      method,
+      url: request.path,
+      headers: request.headers,
+      params: request.query,
+      data: request.body,
+      validateStatus: () => true
+    });
+    response.requestData = requestData;
+
+    // 每一类期望作为一条评分细则，部分正确的响应可获得部分得分
+    const weights = spec.weights || {};
+    const rubric = [{
+      name: '状态码',
+      weight: weights.status ?? 1,
+      check: res => {
+        if (!statusMatches(res.status, expect.status)) {
+          throw new Error(`应为 ${JSON.stringify(expect.status ?? '2xx')}，实际为 ${res.status}`);
+        }
+      }
+    }];
+
+    if (expect.shape !== undefined) {
+      rubric.push({
+        name: '响应结构',
+        weight: weights.shape ?? 1,
+        check: res => assertNoProblems(checkShape(res.data, expect.shape))
+      });
+    }
+
+    if (expect.schema !== undefined) {
+      rubric.push({
+        name: '响应Schema',
+        weight: weights.schema ?? 1,
+        check: res => assertNoProblems(SchemaValidator.validate(res.data, expect.schema))
+      });
+    }
+
+    if (expect.body !== undefined) {
+      rubric.push({
+        name: '响应内容',
+        weight: weights.body ?? 1,
+        check: res => assertNoProblems(checkPartialEqual(res.data, expect.body))
+      });
+    }
+
+    if (expect.headers) {
+      rubric.push({
+        name: '响应头',
+        weight: weights.headers ?? 1,
+        check: res => assertNoProblems(checkHeaders(res.headers, expect.headers))
+      });
+    }
+
+    // 捕获变量供后续测试使用
+    if (spec.capture) {
+      rubric.push({
+        name: '捕获变量',
+        weight: weights.capture ?? 1,
+        check: res => {
+          for (const [name, sourcePath] of Object.entries(spec.capture)) {
+            const value = getByPath(res, sourcePath.replace(/^body\b/, 'data'));
+            if (value === undefined) {
+              throw new Error(`无法从响应中捕获变量 ${name} (${sourcePath})`);
+            }
+            variables[name] = value;
+          }
+        }
+      });
+    }
+
+    const criteria = await Scoring.evaluateRubric(rubric, response);
+
+    // 后续测试可能通过捕获的变量使用本测试创建的资源，保留到模块结束再清理
+    if (spec.capture) {
+      ctx.retainResources();
+    }
+
+    if (!Scoring.allPassed(criteria)) {
+      throw Scoring.createCriteriaError(criteria, response);
+    }
+    response.criteria = criteria;
+
+    response.message = spec.message
+      ? interpolate(spec.message, { ...variables, status: response.status })
+      : `${method} ${request.path} 返回 ${response.status}`;
+
+    return response;
+  },
+
+  /**
+   * 解析模块规格文本
+   * @param {string} content 文件内容
+   * @param {string} format 格式: json 或 yaml
+   * @returns {Object} 测试模块定义
+   */
+  parseModuleSpec(content, format = 'json') {
+    return this.normalizeModule(format === 'yaml' ? yaml.load(content) : JSON.parse(content));
+  },
+
+  /**
+   * 校验并补全模块规格定义
+   * @param {Object} module 已解析的模块规格对象
+   * @returns {Object} 测试模块定义
+   */
+  normalizeModule(module) {
+    if (!module || typeof module !== 'object') {
+      throw new Error('模块规格内容为空或格式不正确');
+    }
+    if (!module.name) {
+      throw new Error('模块规格缺少name字段');
+    }
+    if (!Array.isArray(module.tests)) {
+      throw new Error(`模块 "${module.name}" 缺少tests数组`);
+    }
+
+    module.tests.forEach(test => this.validateSpec(test));
+
+    return {
+      description: '',
+      active: false,
+      ...module
+    };
+  },
+
+  /**
+   * 从文件加载模块规格
+   * @param {string} filePath .json/.yaml/.yml 文件路径
+   * @returns {Promise<Object>} 测试模块定义
+   */
+  async loadModuleFile(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    const format = ext === '.yaml' || ext === '.yml' ? 'yaml' : 'json';
+    const content = await fs.readFile(filePath, 'utf8');
+
+    try {
+      return this.parseModuleSpec(content, format);
+    } catch (error) {
+      throw new Error(`解析模块规格 ${filePath} 失败: ${error.message}`);
+    }
+  }
+};
+
+export default SpecRunner;
@@ -9,10 +9,39 @@
  */
 
 import axios from 'axios';
+import { performance } from 'perf_hooks';
+import { SpecRunner } from './spec-runner.js';
+import { SchemaValidator } from './schema-validator.js';
+import { Scoring } from './scoring.js';
+import { TestContext } from './test-context.js';
+import { Fuzzer } from './fuzzer.js';
+import { LoadTester } from './load-tester.js';
+import { OpenApiContract } from './openapi-contract.js';
+import { HarRecorder } from './har-recorder.js';
+import { Snapshot } from './snapshot.js';
+import { TestSelection } from './test-selection.js';
 
 // 默认的API基础URL
 const API_BASE_URL = 'http://localhost:3000';
 
+// 当前测试目标，可通过 StudentAPI.configureTarget 修改
+let currentTarget = {
+  url: API_BASE_URL,
+  baseUrl: API_BASE_URL,
+  port: 3000,
+  basePath: '',
+  headers: {},
+  authToken: ''
+};
+
+// 默认的测试超时时间（毫秒）和重试次数
+const DEFAULT_TEST_TIMEOUT = 10000;
+const DEFAULT_TEST_RETRIES = 0;
+// 测试超时并中止请求后，等待测试体结束的最长时间（毫秒）
+const ABORT_GRACE_PERIOD = 2000;
+// 默认同时运行的模块数
+const DEFAULT_PARALLELISM = 1;
+
 /**
    * 截断响应数据以控制大小
    * @param {Object} response Axios响应对象
@@ -73,159 +102,1105 @@ function truncateResponseData(response, maxLength = 5000, maxArrayItems = 100) {
   return truncated;
 }
 
+/**
+ * 整理测试返回的自定义结果，使其可以序列化
+ * 嵌套的axios响应只保留状态码、头部和截断后的数据，循环引用替换为说明文字
+ * @param {*} result 测试返回的结果
+ * @param {number} maxLength 字符串字段最大长度
+ * @param {number} maxArrayItems 数组最大项数
+ * @returns {*} 整理后的结果
+ */
+function sanitizeResult(result, maxLength = 5000, maxArrayItems = 100) {
+  // 当前路径上的对象，用于发现循环引用（同一对象出现在多处不算循环）
+  const ancestors = new Set();
+  
+  function sanitizeValue(value) {
+    if (typeof value === 'string') {
+      return value.length > maxLength ? value.substring(0, maxLength) + `... (原长度: ${value.length})` : value;
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    if (ancestors.has(value)) {
+      return '[循环引用]';
+    }
+    // axios响应（包含请求和配置对象）
+    if (value.status !== undefined && value.headers && (value.config || value.request)) {
+      return truncateResponseData(value, maxLength, maxArrayItems);
+    }
+    
+    ancestors.add(value);
+    let sanitized;
+    if (Array.isArray(value)) {
+      sanitized = value.slice(0, maxArrayItems).map(sanitizeValue);
+      if (value.length > maxArrayItems) {
+        sanitized.push(`... (另外还有 ${value.length - maxArrayItems} 项)`);
+      }
+    } else {
+      sanitized = {};
+      for (const [key, propValue] of Object.entries(value)) {
+        sanitized[key] = sanitizeValue(propValue);
+      }
+    }
+    ancestors.delete(value);
+    return sanitized;
+  }
+  
+  return sanitizeValue(result);
+}
+
+/**
+ * 待办事项的期望结构
+ * 只约束课程要求的字段，允许 userId、priority 等额外字段；时间字段可以是ISO字符串或毫秒时间戳
+ */
+const TodoSchema = {
+  type: 'object',
+  required: ['id', 'title', 'completed'],
+  properties: {
+    id: { type: ['integer', 'string'] },
+    title: { type: 'string', minLength: 1 },
+    completed: { type: 'boolean' },
+    description: { type: ['string', 'null'] },
+    createdAt: { type: ['string', 'number'], format: 'date-time' },
+    updatedAt: { type: ['string', 'number'], format: 'date-time' }
+  }
+};
+
+/**
+ * 断言响应体符合schema
+ * 失败时把响应附加到错误上，便于在测试结果中查看实际数据
+ *
+ * @param {Object} response Axios响应对象
+ * @param {Object} schema JSON Schema
+ * @param {string} label 被校验对象的描述
+ */
+function assertResponseSchema(response, schema, label) {
+  try {
+    SchemaValidator.assert(response.data, schema, label);
+  } catch (error) {
+    error.responseData = response;
+    throw error;
+  }
+}
+
+/**
+ * 断言响应状态码
+ * @param {Object} response Axios响应对象
+ * @param {number|number[]} expected 期望的状态码
+ * @param {string} label 请求描述，用于错误信息
+ */
+function assertStatus(response, expected, label = '') {
+  const accepted = [].concat(expected);
+  if (!accepted.includes(response.status)) {
+    throw new Error(`${label}状态码应为 ${accepted.join('或')}，实际为 ${response.status}`);
+  }
+}
+
+/**
+ * 断言对象包含期望的字段值
+ * @param {Object} actual 实际对象
+ * @param {Object} expected 期望的字段值
+ * @param {string} label 对象描述，用于错误信息
+ */
+function assertFields(actual, expected, label) {
+  if (!actual || typeof actual !== 'object') {
+    throw new Error(`${label}不是对象`);
+  }
+  
+  const mismatches = Object.entries(expected)
+    .filter(([key, value]) => actual[key] !== value)
+    .map(([key, value]) => `${key} 应为 ${JSON.stringify(value)}，实际为 ${JSON.stringify(actual[key])}`);
+  
+  if (mismatches.length > 0) {
+    throw new Error(`${label}数据不匹配: ${mismatches.join('; ')}`);
+  }
+}
+
+// 分页测试最多翻页次数，防止学生服务器分页实现有误时无限翻页
+const MAX_PAGES = 10;
+
+/**
+ * 按查询参数获取待办事项列表
+ * 兼容直接返回数组，以及返回 { items|data, total, nextCursor } 的分页格式
+ *
+ * @param {TestContext} ctx 测试上下文
+ * @param {Object} params 查询参数
+ * @returns {Promise<Object>} { query, status, items, total, nextCursor }
+ */
+async function queryTodos(ctx, params) {
+  const query = new URLSearchParams(params).toString();
+  const response = await ctx.http.get(`/todos?${query}`, { validateStatus: () => true });
+  const body = response.data;
+  const items = Array.isArray(body) ? body : body && (body.items || body.data);
+  const headerTotal = response.headers['x-total-count'];
+  
+  return {
+    query,
+    status: response.status,
+    items: Array.isArray(items) ? items : null,
+    total: headerTotal !== undefined ? Number(headerTotal) : (body && body.total),
+    nextCursor: body && !Array.isArray(body) ? body.nextCursor ?? null : null
+  };
+}
+
+/**
+ * 逐页获取列表，直到某页不足limit项
+ * 响应带有 nextCursor 时使用游标翻页，否则使用 offset 翻页
+ *
+ * @param {TestContext} ctx 测试上下文
+ * @param {Object} params 查询参数
+ * @param {number} limit 每页数量
+ * @returns {Promise<Object[]>} 每页的查询结果
+ */
+async function collectPages(ctx, params, limit) {
+  const pages = [];
+  let offset = 0;
+  let cursor = null;
+  
+  while (pages.length < MAX_PAGES) {
+    const page = await queryTodos(ctx, { ...params, limit, ...(cursor ? { cursor } : { offset }) });
+    pages.push(page);
+    
+    if (page.status !== 200 || !page.items || page.items.length < limit) break;
+    if (page.nextCursor) {
+      cursor = page.nextCursor;
+    } else if (cursor) {
+      break;
+    } else {
+      offset += limit;
+    }
+  }
+  
+  return pages;
+}
+
+/**
+ * 断言列表查询成功并返回期望的待办事项
+ * @param {Object} result queryTodos 的结果
+ * @param {string[]} expected 期望的标题
+ * @param {boolean} ordered 是否要求顺序一致
+ */
+function assertQueryTitles(result, expected, ordered = false) {
+  if (result.status !== 200) {
+    throw new Error(`GET /todos?${result.query} 状态码应为 200，实际为 ${result.status}`);
+  }
+  if (!result.items) {
+    throw new Error(`GET /todos?${result.query} 响应不是列表`);
+  }
+  
+  const actual = result.items.map(todo => todo.title);
+  const matches = ordered
+    ? JSON.stringify(actual) === JSON.stringify(expected)
+    : actual.length === expected.length && expected.every(title => actual.includes(title));
+  
+  if (!matches) {
+    throw new Error(`GET /todos?${result.query} 应${ordered ? '依次' : ''}返回 ${JSON.stringify(expected)}，实际为 ${JSON.stringify(actual)}`);
+  }
+}
+
+// 创建待办事项时应被拒绝的异常请求
+const MALFORMED_CREATE_CASES = [
+  { name: '缺少标题', data: { completed: false } },
+  { name: '空标题', data: { title: '', completed: false } },
+  { name: '标题不是字符串', data: { title: 12345, completed: false } },
+  { name: 'completed不是布尔值', data: { title: '类型错误', completed: 'yes' } },
+  { name: '请求体是数组', data: [{ title: '数组请求体', completed: false }] },
+  { name: '无效的JSON', data: '{"title": "无效的JSON",', raw: true },
+  { name: '空请求体', data: '', raw: true },
+  { name: '超长标题(1MB)', data: { title: 'a'.repeat(1024 * 1024), completed: false } }
+];
+
+// 更新待办事项时应被拒绝的异常请求
+const MALFORMED_UPDATE_CASES = [
+  { name: 'PUT缺少标题', method: 'PUT', data: { completed: true } },
+  { name: 'PUT无效的JSON', method: 'PUT', data: '{"title": ', raw: true },
+  { name: 'PATCH空标题', method: 'PATCH', data: { title: '' } },
+  { name: 'PATCH completed不是布尔值', method: 'PATCH', data: { completed: 'no' } }
+];
+
+/**
+ * 发送异常请求，网络错误也作为结果返回，以便区分"拒绝请求"和"服务器崩溃"
+ * @param {TestContext} ctx 测试上下文
+ * @param {Object} request { method, path, data, raw }，raw为true时原样发送字符串请求体
+ * @returns {Promise<Object>} { label, status, data, error }
+ */
+async function sendMalformed(ctx, { method, path, data, raw = false }) {
+  const label = `${method} ${path}`;
+  
+  try {
+    const response = await ctx.http.request({
+      method,
+      url: path,
+      data,
+      headers: { 'Content-Type': 'application/json' },
+      // axios会把无效的JSON字符串再序列化一次，原始请求体需要跳过转换
+      transformRequest: raw ? [body => body] : undefined,
+      maxBodyLength: Infinity,
+      validateStatus: () => true
+    });
+    return { label, status: response.status, data: response.data };
+  } catch (error) {
+    return { label, status: null, data: null, error: error.message };
+  }
+}
+
+/**
+ * 断言异常请求被拒绝：返回4xx，且响应体说明了错误原因
+ * @param {Object} result sendMalformed 的结果
+ */
+function assertRejected(result) {
+  if (result.status === null) {
+    throw new Error(`${result.label} 请求失败，服务器可能已崩溃: ${result.error}`);
+  }
+  if (result.status >= 500) {
+    throw new Error(`${result.label} 返回服务器错误 ${result.status}，应返回4xx`);
+  }
+  if (result.status < 400) {
+    throw new Error(`${result.label} 返回 ${result.status}，异常输入应被拒绝并返回4xx`);
+  }
+  
+  const body = result.data;
+  const reason = body && typeof body === 'object' && (body.error || body.message || body.errors);
+  if (!reason || (typeof reason === 'string' && !reason.trim())) {
+    throw new Error(`${result.label} 返回 ${result.status}，但响应体缺少说明错误原因的 error 或 message 字段`);
+  }
+}
+
+// 模糊测试使用的生成器
+// 标题不含首尾空白，因为去除首尾空白是合理的实现，不应判为不一致
+const fuzzTitle = Fuzzer.Arbitrary.string({
+  minLength: 1,
+  maxLength: 200,
+  filter: title => title.length > 0 && title === title.trim()
+});
+const fuzzTodo = Fuzzer.Arbitrary.record({ title: fuzzTitle, completed: Fuzzer.Arbitrary.boolean() });
+const fuzzTodoPatch = Fuzzer.Arbitrary.record(
+  { title: fuzzTitle, completed: Fuzzer.Arbitrary.boolean() },
+  { optional: ['title', 'completed'] }
+);
+const fuzzQuery = Fuzzer.Arbitrary.record({
+  completed: Fuzzer.Arbitrary.string({ maxLength: 10 }),
+  q: Fuzzer.Arbitrary.string({ maxLength: 30 }),
+  limit: Fuzzer.Arbitrary.integer(-10, 1000),
+  offset: Fuzzer.Arbitrary.integer(-10, 1000),
+  sort: Fuzzer.Arbitrary.string({ maxLength: 10 })
+}, { optional: ['completed', 'q', 'limit', 'offset', 'sort'] });
+
+/**
+ * 断言请求没有导致服务器错误
+ * @param {Object} result sendMalformed 的结果
+ */
+function assertNoServerError(result) {
+  if (result.status === null) {
+    throw new Error(`${result.label} 请求失败，服务器可能已崩溃: ${result.error}`);
+  }
+  if (result.status >= 500) {
+    throw new Error(`${result.label} 返回服务器错误 ${result.status}`);
+  }
+}
+
+/**
+ * 按测试上下文中的负载设置执行负载测试
+ * @param {TestContext} ctx 测试上下文
+ * @param {Function} scenario 场景函数 (iteration) => Promise<响应>
+ * @returns {Promise<Object>} 测试结果，stats为统计数据
+ */
+async function runLoad(ctx, scenario) {
+  const stats = await LoadTester.run(scenario, ctx.load || {});
+  return { passed: true, message: LoadTester.describe(stats), stats };
+}
+
+// 并发测试同时发出的请求数
+const CONCURRENT_REQUESTS = 20;
+
+/**
+ * 并发执行一组请求，记录每个请求的开始和结束时间
+ * @param {Object[]} operations 请求列表 [{ label, body, send: () => Promise<响应> }]
+ * @returns {Promise<Object[]>} 时间线 [{ index, label, body, start, end, status, data, error }]
+ */
+async function runConcurrently(operations) {
+  const origin = performance.now();
+  const elapsed = () => Math.round((performance.now() - origin) * 10) / 10;
+  
+  return Promise.all(operations.map(async ({ label, body, send }, index) => {
+    const entry = { index: index + 1, label, body, start: elapsed(), end: null, status: null, data: null, error: null };
+    try {
+      const response = await send();
+      entry.status = response.status;
+      entry.data = response.data;
+    } catch (error) {
+      entry.error = error.message;
+    }
+    entry.end = elapsed();
+    return entry;
+  }));
+}
+
+/**
+ * 按开始时间描述请求的交错顺序，说明问题是在怎样的并发下出现的
+ * @param {Object[]} entries 时间线中的请求
+ * @param {number} limit 最多列出的请求数
+ * @returns {string} 描述
+ */
+function describeInterleaving(entries, limit = 10) {
+  const described = [...entries]
+    .sort((a, b) => a.start - b.start)
+    .slice(0, limit)
+    .map(entry => `#${entry.index} ${entry.label} [${entry.start}-${entry.end}ms] → ${entry.status ?? entry.error}`);
+  
+  if (entries.length > limit) {
+    described.push(`... 另外 ${entries.length - limit} 个请求`);
+  }
+  return described.join('; ');
+}
+
+/**
+ * 断言时间线中的请求都成功
+ * @param {Object[]} timeline 时间线
+ */
+function assertAllSucceeded(timeline) {
+  const failed = timeline.filter(entry => entry.status === null || entry.status >= 300);
+  if (failed.length > 0) {
+    throw new Error(`${failed.length} 个并发请求失败: ${describeInterleaving(failed)}`);
+  }
+}
+
+// 安全检查使用的不受信任的来源
+const UNTRUSTED_ORIGIN = 'https://untrusted.example';
+// 用于检查输入反射的载荷
+const REFLECTION_PAYLOAD = '<script>alert(1)</script>';
+
+// 错误响应中不应出现的内部信息
+const LEAK_PATTERNS = [
+  { pattern: /\bat\s+(?:\S+\s+)?\(?(?:file:\/\/)?[^\s()]+:\d+:\d+\)?/, description: '调用栈' },
+  { pattern: /Traceback \(most recent call last\)|Exception in thread/, description: '调用栈' },
+  { pattern: /node_modules[\\/]|\/home\/\w+|\/usr\/src\/|[A-Z]:\\\\(?:Users|projects)/i, description: '服务器文件路径' },
+  { pattern: /SQLITE_[A-Z]+|ER_[A-Z_]+|SequelizeDatabaseError|MongoServerError|MongoError|CastError|syntax error at or near/, description: '数据库错误' }
+];
+
+// 查询参数注入载荷，存在注入时会绕过 completed 过滤，同时返回已完成和未完成的待办事项
+// control 是对照查询：服务器没有实现过滤或忽略该参数时，对照查询同样返回全部数据，此时无法判断是否存在注入
+const SQL_INJECTION_CONTROL = 'completed=true';
+const NOSQL_INJECTION_CONTROL = 'completed[$invalidOperator]=__none__';
+const INJECTION_PAYLOADS = [
+  { name: "SQL注入 true' OR '1'='1", query: `completed=${encodeURIComponent("true' OR '1'='1")}`, control: SQL_INJECTION_CONTROL },
+  { name: 'SQL注入 1 OR 1=1', query: `completed=${encodeURIComponent('1 OR 1=1')}`, control: SQL_INJECTION_CONTROL },
+  { name: "SQL注入 true'--", query: `completed=${encodeURIComponent("true'--")}`, control: SQL_INJECTION_CONTROL },
+  { name: 'NoSQL注入 completed[$ne]', query: 'completed[$ne]=__none__', control: NOSQL_INJECTION_CONTROL },
+  { name: 'NoSQL注入 completed[$exists]', query: 'completed[$exists]=true', control: NOSQL_INJECTION_CONTROL }
+];
+
+/**
+ * 查找文本中泄露的内部信息
+ * @param {*} data 响应体
+ * @returns {string|null} 泄露内容的描述，没有时为null
+ */
+function findLeak(data) {
+  const text = typeof data === 'string' ? data : JSON.stringify(data ?? '');
+  for (const { pattern, description } of LEAK_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      return `${description} (${match[0].slice(0, 80)})`;
+    }
+  }
+  return null;
+}
+
+/**
+ * 以原始文本获取响应，用于检查响应体中的原样内容
+ * @param {TestContext} ctx 测试上下文
+ * @param {string} path 请求路径
+ * @returns {Promise<Object>} { label, status, contentType, text }
+ */
+async function getRawText(ctx, path) {
+  const response = await ctx.http.get(path, {
+    responseType: 'text',
+    transformResponse: [data => data],
+    validateStatus: () => true
+  });
+  return {
+    label: `GET ${path}`,
+    status: response.status,
+    contentType: String(response.headers['content-type'] || ''),
+    text: typeof response.data === 'string' ? response.data : ''
+  };
+}
+
 // 测试结果收集器
 class TestResults {
   constructor() {
     this.passed = 0;
     this.failed = 0;
+    this.skipped = 0;
     this.total = 0;
+    this.score = 0;
+    this.maxScore = 0;
     this.tests = [];
+    this.modules = {};
   }
 
   // 添加测试结果
+  // testData.status 为 skipped 时记为跳过，否则根据 passed 记为通过或失败
   addResult(name, passed, message, testData = {}) {
-    if(passed) {
-      this.passed++;
-    } else {
-      this.failed++;
-    }
+    const status = testData.status || (passed ? 'passed' : 'failed');
+    this[status]++;
     this.total++;
     
+    const score = testData.score || { value: 0, maxValue: 0 };
+    this.score += score.value;
+    this.maxScore += score.maxValue;
+    
+    // 按模块汇总
+    if (testData.moduleId) {
+      const moduleSummary = this.modules[testData.moduleId] || (this.modules[testData.moduleId] = {
+        name: testData.moduleName,
+        passed: 0,
+        failed: 0,
+        skipped: 0,
+        total: 0,
+        score: 0,
+        maxScore: 0
+      });
+      moduleSummary[status]++;
+      moduleSummary.total++;
+      moduleSummary.score = roundScore(moduleSummary.score + score.value);
+      moduleSummary.maxScore = roundScore(moduleSummary.maxScore + score.maxValue);
+    }
+    
     this.tests.push({
       name,
       passed,
+      status,
       message,
       ...testData
     });
   }
 
+  // 合并另一组结果，如并行运行的模块的结果
+  merge(other) {
+    other.tests.forEach(test => this.addResult(test.name, test.passed, test.message, test));
+  }
+
   // 获取结果摘要
   getSummary() {
     const passed = this.passed || 0;
     const total = this.total || 0;
     const failed = this.failed || 0;
+    const skipped = this.skipped || 0;
     
     return {
       passed,
       failed,
+      skipped,
       total,
       tests: this.tests,
+      modules: this.modules,
       passRate: total ? (passed / total * 100).toFixed(2) + '%' : '0%',
-      score: total ? Math.round((passed / total) * 100) : 0,
-      maxPossibleScore: total * 10,
+      score: roundScore(this.score),
+      maxPossibleScore: roundScore(this.maxScore),
       timestamp: new Date().toISOString()
     };
   }
 }
 
 /**
- * API测试集合 - 按课程模块组织
- * 
- * 每个测试模块都是一个对象，包含测试名称和测试函数
- * 随着课程进度，可以方便地添加新的测试模块
+ * 检查测试依赖是否满足
+ * 依赖失败或被跳过时返回跳过信息，rootCause 指向最初失败的测试
+ *
+ * @param {Object} test 测试定义
+ * @param {Map} outcomes 本模块已执行测试的结果 name -> { status, rootCause }
+ * @returns {Object|null} { reason, rootCause }，依赖满足时返回null
  */
-const TestModules = {
-  // 模块1: 基础待办事项CRUD操作
-  basicTodos: {
-    name: "基础待办事项CRUD操作",
-    description: "测试基本的待办事项创建、读取、更新和删除功能",
-    active: true, // 是否激活此测试模块
-    tests: [
-      // 获取所有待办事项测试
-      {
-        name: "GET /todos 获取所有待办事项",
-        run: async () => {
-          const response = await axios.get(`${API_BASE_URL}/todos`);
-          
-          // 验证响应
-          if (!Array.isArray(response.data)) {
-            throw new Error('响应不是数组格式');
-          }
-          
-          // 直接在响应对象上添加消息属性
-          response.message = `成功获取 ${response.data.length} 个待办事项`;
-          
-          // 直接返回完整的响应对象
-          return response;
-        }
-      },
+function checkDependencies(test, outcomes) {
+  const dependencies = [].concat(test.dependsOn || []);
+  
+  for (const dependency of dependencies) {
+    const outcome = outcomes.get(dependency);
+    
+    if (!outcome) {
+      return { reason: `依赖的测试 "${dependency}" 未执行`, rootCause: dependency };
+    }
+    if (outcome.status === 'excluded') {
+      return { reason: `依赖的测试 "${dependency}" 被 --exclude 排除`, rootCause: dependency };
+    }
+    if (outcome.status === 'failed') {
+      return { reason: `依赖的测试 "${dependency}" 失败`, rootCause: dependency };
+    }
+    if (outcome.status === 'skipped') {
+      const excluded = outcomes.get(outcome.rootCause)?.status === 'excluded';
+      return {
+        reason: `依赖的测试 "${dependency}" 被跳过，根本原因: "${outcome.rootCause}" ${excluded ? '被 --exclude 排除' : '失败'}`,
+        rootCause: outcome.rootCause
+      };
+    }
+  }
+  
+  return null;
+}
 
-      // 创建待办事项测试
-      {
-        name: "POST /todos 创建待办事项",
-        run: async () => {
-          const newTodo = {
-            title: `测试待办事项 ${Date.now()}`,
-            completed: false
-          };
-          
-          const response = await axios.post(`${API_BASE_URL}/todos`, newTodo);
-          
-          // 验证响应
-          if (!response.data || !response.data.id || response.data.title !== newTodo.title) {
-            throw new Error('创建的待办事项缺少必要字段或数据不匹配');
-          }
-          
-          // 保存ID用于后续测试
-          StudentAPI.lastCreatedTodoId = response.data.id;
-          
-          // 在响应对象上添加消息和请求信息
-          response.message = `成功创建待办事项，ID: ${response.data.id}`;
-          response.requestData = {
-            method: 'POST',
-            url: `${API_BASE_URL}/todos`,
-            body: newTodo
-          };
-          
-          // 返回完整响应
-          return response;
-        }
-      },
+/**
+ * 为Promise设置超时，超时后以错误结束
+ * 学生服务器无响应时，保证测试不会无限期挂起
+ *
+ * @param {Promise} promise 要等待的Promise
+ * @param {number} ms 超时时间（毫秒），0表示不限制
+ * @param {string} label 超时错误信息中的描述
+ * @returns {Promise<*>} 原Promise的结果
+ */
+function withTimeout(promise, ms, label) {
+  if (!ms) return promise;
+  
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label}超时 (${ms}ms)`);
+      error.timedOut = true;
+      reject(error);
+    }, ms);
+  });
+  
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
 
-      // 获取特定待办事项测试
-      {
-        name: "GET /todos/:id 获取特定待办事项",
-        run: async () => {
-          if (!StudentAPI.lastCreatedTodoId) {
-            throw new Error('没有可用的待办事项ID，请先创建待办事项');
-          }
-          
-          const response = await axios.get(`${API_BASE_URL}/todos/${StudentAPI.lastCreatedTodoId}`);
-          
-          // 验证响应
-          if (!response.data || response.data.id !== StudentAPI.lastCreatedTodoId) {
-            throw new Error('获取的待办事项ID不匹配');
-          }
-          
-          // 添加消息
-          response.message = `成功获取待办事项，ID: ${StudentAPI.lastCreatedTodoId}`;
-          
-          // 直接返回响应
-          return response;
-        }
-      },
-    ]
-  },
+/**
+ * 在上下文中执行测试体或钩子，超时后中止上下文的请求
+ * 中止后等待测试体结束（最多 ABORT_GRACE_PERIOD）再抛出超时错误，
+ * 避免它在数据清理或重试时继续发出请求
+ *
+ * @param {TestContext} ctx 测试上下文
+ * @param {Promise} promise 测试体或钩子返回的Promise
+ * @param {number} ms 超时时间（毫秒），0表示不限制
+ * @param {string} label 超时错误信息中的描述
+ * @returns {Promise<*>} 原Promise的结果
+ */
+async function runInContext(ctx, promise, ms, label) {
+  try {
+    return await withTimeout(promise, ms, label);
+  } catch (error) {
+    if (error.timedOut) {
+      ctx.abort(error);
+      const settled = await withTimeout(Promise.resolve(promise).then(() => true, () => true), ABORT_GRACE_PERIOD, '')
+        .catch(() => false);
+      if (settled) {
+        ctx.resume();
+      } else {
+        console.warn(`${label}超时后仍未结束，之后发出的请求将被中止`);
+      }
+    }
+    throw error;
+  }
+}
+
+/**
+ * 执行一次测试（包括beforeEach/afterEach和数据清理）
+ * @param {Object} test 测试定义
+ * @param {Object} module 所在模块
+ * @param {TestContext} ctx 本次执行使用的测试上下文
+ * @param {Object} thisArg 钩子和run的this
+ * @param {number} timeout 超时时间（毫秒）
+ * @returns {Promise<Object>} { result, criteria }
+ */
+async function executeTest(test, module, ctx, thisArg, timeout) {
+  try {
+    if (module.beforeEach) {
+      await runInContext(ctx, module.beforeEach.call(thisArg, ctx), timeout, 'beforeEach ');
+    }
+    
+    // 声明式规格由解释器执行，闭包的this指向StudentAPI
+    const result = await runInContext(
+      ctx,
+      SpecRunner.isSpecTest(test) ? SpecRunner.runSpecTest(test, ctx) : test.run.call(thisArg, ctx),
+      timeout,
+      '测试'
+    );
+    
+    // 按评分细则逐项检查，有未通过的细则时按失败处理并保留部分得分
+    let criteria = result && result.criteria ? result.criteria : null;
+    if (test.rubric) {
+      criteria = await Scoring.evaluateRubric(test.rubric, result, thisArg, { strict: ctx.strict });
+      if (!Scoring.allPassed(criteria)) {
+        throw Scoring.createCriteriaError(criteria, result);
+      }
+    }
+    
+    // 快照模式下将响应的状态码和响应体与快照比较，测试和模块可以通过snapshot字段单独开启或关闭
+    const snapshot = test.snapshot ?? module.snapshot;
+    const snapshotOptions = snapshot && typeof snapshot === 'object' ? snapshot : {};
+    const compareSnapshot = typeof snapshot === 'boolean' ? snapshot : snapshotOptions.enabled ?? ctx.snapshots.enabled;
+    if (compareSnapshot && result && result.status && result.headers) {
+      ctx.matchSnapshot(null, { status: result.status, body: result.data }, snapshotOptions);
+    }
+    
+    return { result, criteria };
+  } finally {
+    if (module.afterEach) {
+      try {
+        await runInContext(ctx, module.afterEach.call(thisArg, ctx), timeout, 'afterEach ');
+      } catch (error) {
+        console.warn(`afterEach 执行失败: ${error.message}`);
+      }
+    }
+    await ctx.cleanup();
+  }
+}
+
+/**
+ * 运行一个测试模块
+ * 模块内的测试依次执行，结果收集在模块自己的TestResults中，由调用方按模块顺序合并
+ *
+ * @param {string} moduleId 模块ID
+ * @param {Object} module 模块定义
+ * @param {Object} run 本次运行的共享设置
+ * @param {Object} run.thisArg 钩子和测试函数的this（StudentAPI）
+ * @param {string} run.namespace 模块的数据命名空间
+ * @param {Set<string>|null} run.tests 选中的测试名称，为null时运行所有测试
+ * @param {string[]} run.excluded 被 --exclude 排除的依赖，依赖它们的测试会被跳过
+ * @param {Function} run.log 模块的日志函数，见 createModuleLogger
+ * @returns {Promise<TestResults>} 模块的测试结果
+ */
+async function runModule(moduleId, module, run) {
+  const { thisArg, defaultTimeout, defaultRetries, fuzz, load, har, snapshots, strict, namespace, log } = run;
+  const results = new TestResults();
   
-  // 模块2: 待办事项过滤和查询
-  todoFilters: {
-    name: "待办事项过滤和查询",
-    description: "测试待办事项的过滤和查询功能",
-    active: true,
+  if (module.fuzz) {
+    log(`\n模糊测试种子: ${fuzz.seed}`);
+  }
+  
+  log(`\n测试模块: ${module.name}`);
+  log(module.description);
+  
+  // 模块级上下文，模块内的测试共享其变量和状态
+  const moduleTimeout = module.timeout ?? defaultTimeout;
+  const moduleContext = new TestContext({
+    moduleId,
+    module,
+    baseUrl: currentTarget.baseUrl,
+    headers: currentTarget.headers,
+    timeout: moduleTimeout,
+    snapshots,
+    namespace,
+    har: har && { log: har, pageref: HarRecorder.addPage(har, moduleId, `${module.name}（模块准备和清理）`) }
+  });
+  
+  let setupError = null;
+  if (module.beforeAll) {
+    try {
+      await runInContext(moduleContext, module.beforeAll.call(thisArg, moduleContext), moduleTimeout, 'beforeAll ');
+    } catch (error) {
+      setupError = error;
+      log(`模块初始化失败: ${error.message}`);
+    }
+  }
+  
+  // 本模块已执行测试的结果，用于检查依赖
+  const outcomes = new Map();
+  (run.excluded || []).forEach(name => outcomes.set(name, { status: 'excluded' }));
+  
+  // 运行模块中的所有测试
+  for (const test of module.tests) {
+    // 只运行部分测试时，未选中的测试不运行也不计入结果
+    if (run.tests && !run.tests.has(test.name)) continue;
+    
+    log(`\n运行测试: ${test.name}`);
+    
+    // 解析测试名称以获取方法和端点
+    const parts = test.name.split(' ');
+    const method = parts[0] || "未知方法";
+    const endpoint = parts.slice(1).join(' ') || "未知端点";
+    
+    // 依赖未通过时跳过，得0分但计入满分，使各学生的满分一致
+    const skip = checkDependencies(test, outcomes);
+    if (skip) {
+      results.addResult(test.name, false, skip.reason, {
+        name: test.name,
+        moduleId,
+        moduleName: module.name,
+        endpoint,
+        method,
+        passed: false,
+        status: 'skipped',
+        skipReason: skip.reason,
+        rootCause: skip.rootCause,
+        response: {},
+        error: null,
+        score: {
+          ...Scoring.calculateSkippedScore(test, module, { strict }),
+          comments: skip.reason
+        }
+      });
+      outcomes.set(test.name, { status: 'skipped', rootCause: skip.rootCause });
+      log(`⏭️  跳过: ${skip.reason}`);
+      continue;
+    }
+    
+    const timeout = test.timeout ?? moduleTimeout;
+    const retries = test.retries ?? module.retries ?? defaultRetries;
+    let attempts = 0;
+    // 重试的请求记录在同一个页面中
+    const harPage = har ? HarRecorder.addPage(har, `${moduleId} › ${test.name}`, test.name) : null;
+    
+    try {
+      if (setupError) {
+        throw new Error(`模块初始化(beforeAll)失败: ${setupError.message}`);
+      }
+      
+      // 跟踪请求开始时间
+      const startTime = Date.now();
+      
+      // 失败时按重试次数重新执行，每次执行使用独立的上下文，结束后清理其创建的数据
+      let outcome;
+      while (!outcome) {
+        attempts++;
+        try {
+          // 每个测试的种子由基础种子和测试名称派生，重试时生成相同的输入
+          const testContext = moduleContext.createChild({
+            testName: test.name,
+            timeout,
+            fuzz: {
+              seed: Fuzzer.deriveSeed(fuzz.seed, test.name),
+              baseSeed: fuzz.seed,
+              runs: test.fuzzRuns ?? module.fuzzRuns ?? fuzz.runs
+            },
+            load: { concurrency: load.concurrency, duration: load.duration },
+            strict,
+            har: har && { log: har, pageref: harPage }
+          });
+          outcome = await executeTest(test, module, testContext, thisArg, timeout);
+        } catch (error) {
+          if (attempts > retries) throw error;
+          log(`⟳ 第 ${attempts} 次执行失败 (${error.message})，重试中...`);
+        }
+      }
+      const { result, criteria } = outcome;
+      
+      // 计算请求耗时
+      const duration = Date.now() - startTime;
+      
+      // 确保响应有正确的格式，并截断过大的数据
+      let responseData = {};
+      
+      // 如果测试函数直接返回了axios响应，则使用它
+      if (result && result.status && result.headers) {
+        responseData = truncateResponseData(result);
+      } 
+      // 如果测试返回了自定义格式的结果，提取响应数据
+      else if (result && result.data) {
+        responseData = truncateResponseData(result.data);
+      }
+      // 测试返回了自己的格式，整理其中嵌套的响应对象后使用
+      else {
+        responseData = sanitizeResult(result);
+      }
+      
+      // 成功的测试结果
+      const testData = {
+        name: test.name,
+        moduleId,
+        moduleName: module.name,
+        endpoint,
+        method,
+        passed: true,
+        duration,
+        // 保存完整的响应数据
+        response: responseData,
+        error: null,
+        criteria,
+        attempts,
+        // 重试后才通过的测试标记为不稳定
+        flaky: attempts > 1,
+        fuzz: result?.fuzz ?? null,
+        harPage,
+        // 未通过的警告级评分细则
+        warnings: Scoring.getWarnings(criteria),
+        score: {
+          ...Scoring.calculateScore(test, module, true, criteria),
+          comments: result?.message || "通过测试"
+        }
+      };
+      
+      results.addResult(test.name, true, result?.message || "测试通过", testData);
+      if (har) HarRecorder.setPageResult(har, harPage, 'passed');
+      outcomes.set(test.name, { status: 'passed' });
+      log(`✅ 通过: ${result?.message || "测试通过"} (${duration}ms)${attempts > 1 ? ` [重试 ${attempts - 1} 次后通过，不稳定]` : ''}`);
+      testData.warnings.forEach(warning => log(`⚠️  警告: ${warning}`));
+    } catch (error) {
+      // 获取错误信息
+      let errorMessage = error.message;
+      let responseData = {};
+      
+      // 尝试从Axios错误中提取响应数据
+      if (error.response) {
+        responseData = truncateResponseData(error.response);
+        // 增强错误信息
+        if (!errorMessage.includes(error.response.status.toString())) {
+          errorMessage = `[${error.response.status}] ${errorMessage}`;
+        }
+      } else if (error.request) {
+        // 请求已经发出，但没有收到响应
+        responseData = {
+          request: true,
+          message: "No response received"
+        };
+      }
+      
+      // 如果错误对象自带响应数据，使用它
+      if (error.responseData) {
+        responseData = truncateResponseData(error.responseData);
+      }
+      
+      // 失败的测试结果，按已通过的评分细则给予部分得分
+      const criteria = error.criteria || null;
+      const testData = {
+        name: test.name,
+        moduleId,
+        moduleName: module.name,
+        endpoint,
+        method,
+        passed: false,
+        // 保存响应数据，即使是错误响应
+        response: responseData,
+        error: errorMessage,
+        // schema断言失败时保存逐项违规信息
+        violations: error.violations || null,
+        criteria,
+        attempts,
+        timedOut: Boolean(error.timedOut || error.code === 'ECONNABORTED'),
+        // 模糊测试的种子和收缩后的最小反例
+        fuzz: error.fuzz || null,
+        // HAR记录中本测试的页面ID
+        harPage,
+        warnings: Scoring.getWarnings(criteria),
+        score: {
+          ...Scoring.calculateScore(test, module, false, criteria),
+          comments: errorMessage || "测试失败"
+        }
+      };
+      
+      results.addResult(test.name, false, errorMessage, testData);
+      if (har) HarRecorder.setPageResult(har, harPage, 'failed', errorMessage);
+      outcomes.set(test.name, { status: 'failed' });
+      log(`❌ 失败: ${errorMessage}`);
+      if (criteria) {
+        log(`   部分得分: ${testData.score.value}/${testData.score.maxValue}`);
+      }
+      testData.warnings.forEach(warning => log(`⚠️  警告: ${warning}`));
+    }
+  }
+  
+  if (module.afterAll && !setupError) {
+    try {
+      await runInContext(moduleContext, module.afterAll.call(thisArg, moduleContext), moduleTimeout, 'afterAll ');
+    } catch (error) {
+      log(`afterAll 执行失败: ${error.message}`);
+    }
+  }
+  await moduleContext.cleanup();
+
+  return results;
+}
+
+/**
+ * 创建模块的日志函数
+ * 并行运行时先缓存日志，模块结束后一次性输出，避免不同模块的日志交错
+ *
+ * @param {boolean} buffered 是否缓存
+ * @returns {Object} { log, flush }
+ */
+function createModuleLogger(buffered) {
+  const lines = [];
+  return {
+    log: (...args) => (buffered ? lines.push(args) : console.log(...args)),
+    flush: () => lines.splice(0).forEach(args => console.log(...args))
+  };
+}
+
+/**
+ * 以有限的并发数运行任务
+ * @param {Function[]} tasks 返回Promise的函数
+ * @param {number} limit 最大并发数
+ * @returns {Promise<Array>} 按任务顺序排列的结果
+ */
+async function runWithConcurrency(tasks, limit) {
+  const outputs = new Array(tasks.length);
+  let next = 0;
+  
+  const worker = async () => {
+    while (next < tasks.length) {
+      const index = next++;
+      outputs[index] = await tasks[index]();
+    }
+  };
+  
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+  return outputs;
+}
+
+// 分数保留两位小数，避免浮点累加误差
+function roundScore(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * API测试集合 - 按课程模块组织
+ * 
+ * 每个测试模块都是一个对象，包含测试名称和测试函数
+ * 随着课程进度，可以方便地添加新的测试模块
+ *
+ * 测试的 run 接收测试上下文 ctx（见 test-context.js），应通过 ctx.http 访问学生API，
+ * 这样创建的待办事项会在测试结束后自动删除。模块可以定义：
+ * - beforeAll/afterAll(ctx): 模块开始前/结束后执行一次
+ * - beforeEach/afterEach(ctx): 每个测试前/后执行
+ * - fixtures: { 名称: async (ctx) => 值 }，测试中通过 ctx.fixture('名称') 获取
+ * - snapshot: true 时测试返回的响应总是与快照比较，false 时即使使用 --snapshot 也不比较，
+ *   { ignore: [字段名], enabled } 设置额外忽略的字段，未设置enabled时随 --snapshot 比较
+ * - exclusive: true 时模块在并行运行（--parallel）时单独运行，适用于统计全部数据或测量性能的模块
+ * - tags: 模块和测试都可以设置标签，测试的标签包括所在模块的标签，用于 --tag/--exclude 选择测试
+ *
+ * 并行运行时各模块同时访问学生API，测试创建的数据应使用 ctx.namespaced() 生成标题，
+ * 并用 ctx.isOwn() 在列表中找到自己的数据，不要假设列表中只有本模块的数据。
+ */
+const TestModules = {
+  // 模块1: 基础待办事项CRUD操作
+  basicTodos: {
+    name: "基础待办事项CRUD操作",
+    description: "测试基本的待办事项创建、读取、更新和删除功能",
+    tags: ['crud'],
+    active: true, // 是否激活此测试模块
+    fixtures: {
+      // 为测试准备一个独立的待办事项，测试结束后自动删除
+      async todo(ctx) {
+        const response = await ctx.http.post('/todos', {
+          title: `夹具待办事项 ${Date.now()}`,
+          completed: false
+        });
+        return response.data;
+      }
+    },
+    tests: [
+      // 获取所有待办事项测试
+      {
+        name: "GET /todos 获取所有待办事项",
+        tags: ['read'],
+        run: async (ctx) => {
+          const response = await ctx.http.get('/todos');
+          
+          // 验证响应
+          assertResponseSchema(response, { type: 'array', items: TodoSchema }, '待办事项列表');
+          
+          // 直接在响应对象上添加消息属性
+          response.message = `成功获取 ${response.data.length} 个待办事项`;
+          
+          // 直接返回完整的响应对象
+          return response;
+        }
+      },
+
+      // 创建待办事项测试
+      // 按评分细则给分：状态码正确但数据有误时仍可获得部分分数
+      {
+        name: "POST /todos 创建待办事项",
+        tags: ['create'],
+        weight: 10,
+        run: async (ctx) => {
+          const newTodo = {
+            title: `测试待办事项 ${Date.now()}`,
+            completed: false
+          };
+          
+          // 状态码由评分细则判断
+          const response = await ctx.http.post('/todos', newTodo, {
+            validateStatus: () => true
+          });
+          
+          // 在响应对象上添加消息和请求信息
+          response.message = `成功创建待办事项，ID: ${response.data && response.data.id}`;
+          response.requestData = {
+            method: 'POST',
+            url: `${ctx.baseUrl}/todos`,
+            body: newTodo
+          };
+          
+          // 返回完整响应
+          return response;
+        },
+        rubric: [
+          {
+            name: '状态码为201或200',
+            weight: 3,
+            check: response => {
+              if (![200, 201].includes(response.status)) {
+                throw new Error(`实际状态码为 ${response.status}`);
+              }
+            }
+          },
+          {
+            name: '响应符合待办事项结构',
+            weight: 4,
+            check: response => SchemaValidator.assert(response.data, TodoSchema, '创建的待办事项')
+          },
+          {
+            name: '返回数据与请求一致',
+            weight: 3,
+            check: response => {
+              const sent = response.requestData.body;
+              if (!response.data || response.data.title !== sent.title || response.data.completed !== sent.completed) {
+                throw new Error(`期望 ${JSON.stringify(sent)}`);
+              }
+            }
+          }
+        ]
+      },
+
+      // 获取特定待办事项测试
+      // 夹具同样依赖创建接口，创建失败时跳过而不是重复扣分
+      {
+        name: "GET /todos/:id 获取特定待办事项",
+        tags: ['read'],
+        dependsOn: ["POST /todos 创建待办事项"],
+        run: async (ctx) => {
+          // 使用夹具创建独立的待办事项，不依赖其他测试的执行结果
+          const todo = await ctx.fixture('todo');
+          
+          const response = await ctx.http.get(`/todos/${todo.id}`);
+          
+          // 验证响应
+          assertResponseSchema(response, TodoSchema, '获取的待办事项');
+          
+          if (response.data.id !== todo.id) {
+            throw new Error(`获取的待办事项ID不匹配: 期望 ${todo.id}，实际为 ${response.data.id}`);
+          }
+          
+          // 添加消息
+          response.message = `成功获取待办事项，ID: ${todo.id}`;
+          
+          // 直接返回响应
+          return response;
+        }
+      },
+    ]
+  },
+  
+  // 模块2: 待办事项过滤和查询
+  todoFilters: {
+    name: "待办事项过滤和查询",
+    description: "测试待办事项的过滤和查询功能",
+    tags: ['query'],
+    active: true,
     tests: [
       {
         name: "GET /todos?completed=true 过滤已完成待办事项",
-        run: async () => {
+        run: async (ctx) => {
           // 首先创建一个已完成的待办事项
+          // 标题带命名空间标记，并行运行时可以在结果中找到本模块创建的数据
           const completedTodo = {
-            title: `已完成待办事项 ${Date.now()}`,
+            title: ctx.namespaced(`已完成待办事项 ${Date.now()}`),
             completed: true
           };
           
-          await axios.post(`${API_BASE_URL}/todos`, completedTodo);
+          const created = await ctx.http.post('/todos', completedTodo);
           
           // 测试过滤
-          const response = await axios.get(`${API_BASE_URL}/todos?completed=true`);
+          const response = await ctx.http.get('/todos?completed=true');
           
           if (!Array.isArray(response.data)) {
             throw new Error('响应不是数组格式');
@@ -239,6 +1214,11 @@ const TestModules = {
             throw new Error('存在未完成的待办事项在结果中');
           }
           
+          // 其他模块的数据也可能满足过滤条件，必须确认刚创建的待办事项在结果中
+          if (!response.data.some(todo => ctx.isOwn(todo) && todo.id === created.data.id)) {
+            throw new Error(`过滤结果中没有刚创建的待办事项 "${completedTodo.title}"`);
+          }
+          
           return { 
             passed: true, 
             message: `成功过滤 ${response.data.length} 个已完成待办事项` 
@@ -247,17 +1227,18 @@ const TestModules = {
       },
       {
         name: "GET /todos?completed=false 过滤未完成待办事项",
-        run: async () => {
+        run: async (ctx) => {
           // 首先创建一个未完成的待办事项
+          // 标题带命名空间标记，并行运行时可以在结果中找到本模块创建的数据
           const incompleteTodo = {
-            title: `未完成待办事项 ${Date.now()}`,
+            title: ctx.namespaced(`未完成待办事项 ${Date.now()}`),
             completed: false
           };
           
-          await axios.post(`${API_BASE_URL}/todos`, incompleteTodo);
+          const created = await ctx.http.post('/todos', incompleteTodo);
           
           // 测试过滤
-          const response = await axios.get(`${API_BASE_URL}/todos?completed=false`);
+          const response = await ctx.http.get('/todos?completed=false');
           
           if (!Array.isArray(response.data)) {
             throw new Error('响应不是数组格式');
@@ -271,6 +1252,11 @@ const TestModules = {
             throw new Error('存在已完成的待办事项在结果中');
           }
           
+          // 其他模块的数据也可能满足过滤条件，必须确认刚创建的待办事项在结果中
+          if (!response.data.some(todo => ctx.isOwn(todo) && todo.id === created.data.id)) {
+            throw new Error(`过滤结果中没有刚创建的待办事项 "${incompleteTodo.title}"`);
+          }
+          
           return { 
             passed: true, 
             message: `成功过滤 ${response.data.length} 个未完成待办事项` 
@@ -283,22 +1269,1143 @@ const TestModules = {
   // 模块3: 用户管理API
   userManagement: {
     name: "用户管理API",
-    description: "测试用户注册、登录和管理功能",
+    description: "测试用户注册、登录和需要认证的接口",
+    tags: ['auth'],
     active: false, // 未激活，等待后续课程开启
+    // 用户名和令牌每次运行都不同，不参与快照比较
+    snapshot: { ignore: ['username', 'token'] },
+    async beforeAll(ctx) {
+      // 每次运行使用新的用户名，避免与之前注册的用户冲突
+      const suffix = `${Date.now()}${Math.floor(Math.random() * 1000)}`;
+      ctx.state.credentials = {
+        username: `student_${suffix}`,
+        password: `Passw0rd!${suffix}`
+      };
+    },
     tests: [
       {
         name: "POST /users/register 注册用户",
-        run: async () => {
-          // 实现将在后续课程中添加
-          throw new Error("此测试尚未实现");
-        }
+        run: async (ctx) => {
+          const body = ctx.state.credentials;
+          const response = await ctx.http.post('/users/register', body, { validateStatus: () => true });
+          response.requestData = { method: 'POST', url: `${ctx.baseUrl}/users/register`, body };
+          response.message = `成功注册用户: ${body.username}`;
+          return response;
+        },
+        rubric: [
+          { name: '状态码为201或200', weight: 4, check: response => assertStatus(response, [201, 200]) },
+          {
+            name: '响应包含用户名',
+            weight: 3,
+            check: response => assertFields(response.data, { username: response.requestData.body.username }, '注册的用户')
+          },
+          {
+            name: '响应不包含密码',
+            weight: 3,
+            check: response => {
+              if (response.data && response.data.password !== undefined) {
+                throw new Error('注册的用户不应返回密码字段');
+              }
+            }
+          }
+        ]
+      },
+      {
+        name: "POST /users/register 重复注册返回409",
+        dependsOn: ["POST /users/register 注册用户"],
+        run: async (ctx) => {
+          const response = await ctx.http.post('/users/register', ctx.state.credentials, { validateStatus: () => true });
+          response.message = '重复的用户名被拒绝';
+          return response;
+        },
+        rubric: [
+          { name: '状态码为409', weight: 1, check: response => assertStatus(response, 409) }
+        ]
       },
       {
         name: "POST /users/login 用户登录",
-        run: async () => {
-          // 实现将在后续课程中添加
-          throw new Error("此测试尚未实现");
+        dependsOn: ["POST /users/register 注册用户"],
+        run: async (ctx) => {
+          const { username, password } = ctx.state.credentials;
+          const response = await ctx.http.post('/users/login', { username, password }, { validateStatus: () => true });
+          
+          // 保存令牌供后续需要认证的测试使用
+          if (response.status === 200 && response.data && typeof response.data.token === 'string') {
+            ctx.state.token = response.data.token;
+          }
+          response.message = `用户 ${username} 登录成功`;
+          return response;
+        },
+        rubric: [
+          { name: '状态码为200', weight: 4, check: response => assertStatus(response, 200) },
+          {
+            name: '响应包含令牌',
+            weight: 6,
+            check: response => SchemaValidator.assert(response.data, {
+              type: 'object',
+              required: ['token'],
+              properties: { token: { type: 'string', minLength: 1 } }
+            }, '登录响应')
+          }
+        ]
+      },
+      {
+        name: "POST /users/login 错误凭据返回401",
+        dependsOn: ["POST /users/register 注册用户"],
+        run: async (ctx) => {
+          const { username, password } = ctx.state.credentials;
+          const options = { validateStatus: () => true };
+          
+          const response = await ctx.http.post('/users/login', { username, password: `${password}x` }, options);
+          response.unknownUser = await ctx.http.post('/users/login', { username: `${username}_unknown`, password }, options);
+          response.message = '错误的密码和不存在的用户均被拒绝';
+          return response;
+        },
+        rubric: [
+          { name: '错误密码返回401', weight: 1, check: response => assertStatus(response, 401, '错误密码') },
+          { name: '不存在的用户返回401', weight: 1, check: response => assertStatus(response.unknownUser, 401, '不存在的用户') },
+          {
+            name: '不返回令牌',
+            weight: 1,
+            check: response => {
+              if ((response.data && response.data.token) || (response.unknownUser.data && response.unknownUser.data.token)) {
+                throw new Error('登录失败时不应返回令牌');
+              }
+            }
+          }
+        ]
+      },
+      {
+        name: "GET /users/me 使用令牌访问受保护接口",
+        dependsOn: ["POST /users/login 用户登录"],
+        run: async (ctx) => {
+          if (!ctx.state.token) {
+            throw new Error('登录未返回令牌，无法测试受保护接口');
+          }
+          
+          const response = await ctx.http.get('/users/me', {
+            headers: { Authorization: `Bearer ${ctx.state.token}` },
+            validateStatus: () => true
+          });
+          response.expectedUsername = ctx.state.credentials.username;
+          response.message = '使用令牌成功获取当前用户';
+          return response;
+        },
+        rubric: [
+          { name: '状态码为200', weight: 5, check: response => assertStatus(response, 200) },
+          {
+            name: '返回当前登录的用户',
+            weight: 5,
+            check: response => assertFields(response.data, { username: response.expectedUsername }, '当前用户')
+          }
+        ]
+      },
+      {
+        name: "GET /users/me 缺少或无效令牌返回401",
+        run: async (ctx) => {
+          const response = await ctx.http.get('/users/me', {
+            // 覆盖可能通过配置设置的默认令牌
+            headers: { Authorization: null },
+            validateStatus: () => true
+          });
+          response.invalidToken = await ctx.http.get('/users/me', {
+            headers: { Authorization: 'Bearer invalid-token' },
+            validateStatus: () => true
+          });
+          response.message = '未认证的请求被拒绝';
+          return response;
+        },
+        rubric: [
+          { name: '缺少令牌返回401', weight: 1, check: response => assertStatus(response, 401, '缺少令牌') },
+          { name: '无效令牌返回401', weight: 1, check: response => assertStatus(response.invalidToken, 401, '无效令牌') }
+        ]
+      }
+    ]
+  },
+  
+  // 模块4: 完整的待办事项CRUD和错误语义
+  todoCrud: {
+    name: "待办事项完整CRUD",
+    description: "测试待办事项的更新、部分更新、删除以及404/400等错误状态码",
+    tags: ['crud'],
+    // 默认未激活，避免提高已有学生的满分，由教师在课程进行到该单元时远程启用
+    active: false,
+    fixtures: {
+      // 独立的待办事项，测试结束后自动删除
+      async todo(ctx) {
+        const response = await ctx.http.post('/todos', {
+          title: `CRUD测试待办事项 ${Date.now()}`,
+          completed: false
+        });
+        return response.data;
+      },
+      // 一个已被删除的待办事项ID，保证类型正确且不存在
+      async missingTodoId(ctx) {
+        const response = await ctx.http.post('/todos', {
+          title: `待删除待办事项 ${Date.now()}`,
+          completed: false
+        });
+        await ctx.http.delete(`/todos/${response.data.id}`);
+        return response.data.id;
+      }
+    },
+    tests: [
+      {
+        name: "PUT /todos/:id 完整更新待办事项",
+        tags: ['update'],
+        run: async (ctx) => {
+          const todo = await ctx.fixture('todo');
+          const update = { title: `已更新 ${Date.now()}`, completed: true };
+          
+          const response = await ctx.http.put(`/todos/${todo.id}`, update, { validateStatus: () => true });
+          response.requestData = { method: 'PUT', url: `${ctx.baseUrl}/todos/${todo.id}`, body: update };
+          response.persisted = await ctx.http.get(`/todos/${todo.id}`, { validateStatus: () => true });
+          response.message = `成功更新待办事项，ID: ${todo.id}`;
+          return response;
+        },
+        rubric: [
+          { name: '状态码为200', weight: 3, check: response => assertStatus(response, 200) },
+          {
+            name: '响应包含更新后的数据',
+            weight: 3,
+            check: response => {
+              SchemaValidator.assert(response.data, TodoSchema, '更新后的待办事项');
+              assertFields(response.data, response.requestData.body, '更新后的待办事项');
+            }
+          },
+          {
+            name: '更新已持久化',
+            weight: 4,
+            check: response => assertFields(response.persisted.data, response.requestData.body, '重新获取的待办事项')
+          }
+        ]
+      },
+      {
+        name: "PATCH /todos/:id 部分更新待办事项",
+        tags: ['update'],
+        run: async (ctx) => {
+          const todo = await ctx.fixture('todo');
+          const patch = { completed: true };
+          
+          const response = await ctx.http.patch(`/todos/${todo.id}`, patch, { validateStatus: () => true });
+          response.requestData = { method: 'PATCH', url: `${ctx.baseUrl}/todos/${todo.id}`, body: patch };
+          response.original = todo;
+          response.persisted = await ctx.http.get(`/todos/${todo.id}`, { validateStatus: () => true });
+          response.message = `成功部分更新待办事项，ID: ${todo.id}`;
+          return response;
+        },
+        rubric: [
+          { name: '状态码为200', weight: 3, check: response => assertStatus(response, 200) },
+          {
+            name: '只修改了提交的字段',
+            weight: 4,
+            check: response => assertFields(response.data, {
+              title: response.original.title,
+              completed: true
+            }, '部分更新后的待办事项')
+          },
+          {
+            name: '更新已持久化',
+            weight: 3,
+            check: response => assertFields(response.persisted.data, {
+              title: response.original.title,
+              completed: true
+            }, '重新获取的待办事项')
+          }
+        ]
+      },
+      {
+        name: "DELETE /todos/:id 删除待办事项",
+        tags: ['delete'],
+        run: async (ctx) => {
+          const todo = await ctx.fixture('todo');
+          
+          const response = await ctx.http.delete(`/todos/${todo.id}`, { validateStatus: () => true });
+          response.afterDelete = await ctx.http.get(`/todos/${todo.id}`, { validateStatus: () => true });
+          response.message = `成功删除待办事项，ID: ${todo.id}`;
+          return response;
+        },
+        rubric: [
+          { name: '状态码为200或204', weight: 5, check: response => assertStatus(response, [200, 204]) },
+          { name: '删除后获取返回404', weight: 5, check: response => assertStatus(response.afterDelete, 404, '删除后获取') }
+        ]
+      },
+      {
+        name: "DELETE /todos/:id 重复删除的幂等性",
+        tags: ['delete'],
+        run: async (ctx) => {
+          const todo = await ctx.fixture('todo');
+          
+          const first = await ctx.http.delete(`/todos/${todo.id}`, { validateStatus: () => true });
+          const response = await ctx.http.delete(`/todos/${todo.id}`, { validateStatus: () => true });
+          response.first = first;
+          response.afterDelete = await ctx.http.get(`/todos/${todo.id}`, { validateStatus: () => true });
+          response.message = `重复删除返回 ${response.status}，资源保持已删除状态`;
+          return response;
+        },
+        rubric: [
+          { name: '首次删除成功', weight: 3, check: response => assertStatus(response.first, [200, 204], '首次删除') },
+          { name: '再次删除返回404', weight: 4, check: response => assertStatus(response, 404, '再次删除') },
+          { name: '资源保持已删除状态', weight: 3, check: response => assertStatus(response.afterDelete, 404, '删除后获取') }
+        ]
+      },
+      {
+        name: "GET/PUT/PATCH/DELETE /todos/:id 不存在的ID返回404",
+        tags: ['errors'],
+        run: async (ctx) => {
+          const id = await ctx.fixture('missingTodoId');
+          const options = { validateStatus: () => true };
+          const body = { title: `不存在 ${Date.now()}`, completed: true };
+          
+          const response = await ctx.http.get(`/todos/${id}`, options);
+          response.put = await ctx.http.put(`/todos/${id}`, body, options);
+          response.patch = await ctx.http.patch(`/todos/${id}`, { completed: true }, options);
+          response.delete = await ctx.http.delete(`/todos/${id}`, options);
+          response.message = `不存在的ID ${id} 均返回404`;
+          return response;
+        },
+        rubric: [
+          { name: 'GET返回404', weight: 1, check: response => assertStatus(response, 404, 'GET') },
+          { name: 'PUT返回404', weight: 1, check: response => assertStatus(response.put, 404, 'PUT') },
+          { name: 'PATCH返回404', weight: 1, check: response => assertStatus(response.patch, 404, 'PATCH') },
+          { name: 'DELETE返回404', weight: 1, check: response => assertStatus(response.delete, 404, 'DELETE') }
+        ]
+      },
+      {
+        name: "POST /todos 缺少标题返回400",
+        tags: ['errors', 'validation'],
+        run: async (ctx) => {
+          const body = { completed: false };
+          const response = await ctx.http.post('/todos', body, { validateStatus: () => true });
+          response.requestData = { method: 'POST', url: `${ctx.baseUrl}/todos`, body };
+          response.message = '缺少标题的请求被拒绝';
+          return response;
+        },
+        rubric: [
+          { name: '状态码为400', weight: 1, check: response => assertStatus(response, 400) }
+        ]
+      },
+      {
+        name: "PUT /todos/:id 无效请求体返回400",
+        tags: ['errors', 'validation'],
+        run: async (ctx) => {
+          const todo = await ctx.fixture('todo');
+          const body = { title: todo.title, completed: 'yes' };
+          
+          const response = await ctx.http.put(`/todos/${todo.id}`, body, { validateStatus: () => true });
+          response.requestData = { method: 'PUT', url: `${ctx.baseUrl}/todos/${todo.id}`, body };
+          response.persisted = await ctx.http.get(`/todos/${todo.id}`, { validateStatus: () => true });
+          response.original = todo;
+          response.message = 'completed类型错误的请求被拒绝';
+          return response;
+        },
+        rubric: [
+          { name: '状态码为400', weight: 6, check: response => assertStatus(response, 400) },
+          {
+            name: '原数据未被修改',
+            weight: 4,
+            check: response => assertFields(response.persisted.data, {
+              completed: response.original.completed
+            }, '重新获取的待办事项')
+          }
+        ]
+      }
+    ]
+  },
+  
+  // 模块5: 分页、排序和搜索
+  todoQueries: {
+    name: "待办事项分页、排序和搜索",
+    description: "使用已知数据集测试 q= 搜索、limit/offset 分页、总数和 sort= 排序",
+    tags: ['query'],
+    active: false, // 未激活，等待后续课程开启
+    async beforeAll(ctx) {
+      // 所有种子数据的标题都带有唯一标记，查询时用 q=标记 排除学生已有的数据
+      const tag = `qry${Date.now().toString(36)}${Math.floor(Math.random() * 1000)}`;
+      const seeds = [
+        ['alpha', 'apple', false],
+        ['bravo', 'banana', true],
+        ['charlie', 'apple', false],
+        ['delta', 'cherry', true],
+        ['echo', 'banana', false],
+        ['foxtrot', 'apple', true],
+        ['golf', 'cherry', false]
+      ];
+      
+      ctx.state.tag = tag;
+      ctx.state.dataset = [];
+      for (const [name, fruit, completed] of seeds) {
+        const todo = { title: `${name} ${fruit} ${tag}`, completed };
+        const response = await ctx.http.post('/todos', todo, { validateStatus: () => true });
+        if (response.status >= 300) {
+          throw new Error(`初始化测试数据失败: POST /todos 返回 ${response.status}`);
         }
+        ctx.state.dataset.push({ ...todo, fruit });
+      }
+    },
+    tests: [
+      {
+        name: "GET /todos?q= 按关键词搜索",
+        run: async (ctx) => {
+          const { tag, dataset } = ctx.state;
+          const titles = todos => todos.map(todo => todo.title);
+          
+          return {
+            passed: true,
+            message: `搜索 ${dataset.length} 条种子数据`,
+            byTag: await queryTodos(ctx, { q: tag }),
+            byKeyword: await queryTodos(ctx, { q: `apple ${tag}` }),
+            withFilter: await queryTodos(ctx, { q: tag, completed: true }),
+            noMatch: await queryTodos(ctx, { q: `nomatch ${tag}` }),
+            expected: {
+              byTag: titles(dataset),
+              byKeyword: titles(dataset.filter(todo => todo.fruit === 'apple')),
+              withFilter: titles(dataset.filter(todo => todo.completed))
+            }
+          };
+        },
+        rubric: [
+          { name: '按标记搜索返回全部种子数据', weight: 3, check: result => assertQueryTitles(result.byTag, result.expected.byTag) },
+          { name: '按关键词搜索只返回匹配项', weight: 3, check: result => assertQueryTitles(result.byKeyword, result.expected.byKeyword) },
+          { name: '搜索与完成状态过滤组合', weight: 2, check: result => assertQueryTitles(result.withFilter, result.expected.withFilter) },
+          { name: '无匹配时返回空列表', weight: 2, check: result => assertQueryTitles(result.noMatch, []) }
+        ]
+      },
+      {
+        name: "GET /todos?limit=&offset= 分页",
+        dependsOn: ["GET /todos?q= 按关键词搜索"],
+        run: async (ctx) => {
+          const { tag, dataset } = ctx.state;
+          const full = await queryTodos(ctx, { q: tag });
+          const pages = await collectPages(ctx, { q: tag }, 3);
+          
+          return {
+            passed: true,
+            message: `以每页3条获取 ${pages.length} 页`,
+            expectedTotal: dataset.length,
+            full,
+            pages,
+            beyond: await queryTodos(ctx, { q: tag, limit: 3, offset: dataset.length + 10 })
+          };
+        },
+        rubric: [
+          {
+            name: '每页数量符合limit',
+            weight: 2,
+            check: result => {
+              for (const page of result.pages) {
+                if (page.status !== 200 || !page.items) {
+                  throw new Error(`GET /todos?${page.query} 返回 ${page.status}，响应不是列表`);
+                }
+              }
+              const sizes = result.pages.map(page => page.items.length);
+              if (sizes[0] !== 3 || sizes.some(size => size > 3)) {
+                throw new Error(`每页最多3条，实际各页数量为 ${sizes.join(', ')} (${result.pages.map(page => page.query).join(' | ')})`);
+              }
+            }
+          },
+          {
+            name: '分页结果完整且不重复',
+            weight: 4,
+            check: result => assertQueryTitles(
+              { ...result.pages[0], items: result.pages.flatMap(page => page.items || []) },
+              result.full.items.map(todo => todo.title),
+              true
+            )
+          },
+          {
+            name: '超出范围的页返回空列表',
+            weight: 2,
+            check: result => assertQueryTitles(result.beyond, [])
+          },
+          {
+            name: '返回总数',
+            weight: 2,
+            check: result => {
+              const { total, query } = result.pages[0];
+              if (total !== result.expectedTotal) {
+                throw new Error(`GET /todos?${query} 应通过 X-Total-Count 响应头或 total 字段返回总数 ${result.expectedTotal}，实际为 ${total}`);
+              }
+            }
+          }
+        ]
+      },
+      {
+        name: "GET /todos?sort= 排序",
+        dependsOn: ["GET /todos?q= 按关键词搜索"],
+        run: async (ctx) => {
+          const { tag, dataset } = ctx.state;
+          const ascending = dataset.map(todo => todo.title).sort();
+          
+          return {
+            passed: true,
+            message: '按标题升序和降序排序',
+            expected: { ascending, descending: [...ascending].reverse() },
+            ascending: await queryTodos(ctx, { q: tag, sort: 'title' }),
+            descending: await queryTodos(ctx, { q: tag, sort: '-title' }),
+            repeated: await queryTodos(ctx, { q: tag, sort: 'title' }),
+            paged: await queryTodos(ctx, { q: tag, sort: 'title', limit: 3, offset: 3 })
+          };
+        },
+        rubric: [
+          { name: '升序排序', weight: 3, check: result => assertQueryTitles(result.ascending, result.expected.ascending, true) },
+          { name: '降序排序', weight: 3, check: result => assertQueryTitles(result.descending, result.expected.descending, true) },
+          {
+            name: '重复查询顺序一致',
+            weight: 2,
+            check: result => assertQueryTitles(result.repeated, (result.ascending.items || []).map(todo => todo.title), true)
+          },
+          {
+            name: '排序与分页组合',
+            weight: 2,
+            check: result => assertQueryTitles(result.paged, result.expected.ascending.slice(3, 6), true)
+          }
+        ]
+      }
+    ]
+  },
+  
+  // 模块6: 输入校验和健壮性
+  inputValidation: {
+    name: "输入校验和健壮性",
+    description: "发送缺少字段、类型错误、无效JSON和超大请求体等异常请求，检查服务器返回4xx和错误说明而不是500或崩溃",
+    tags: ['validation'],
+    active: false, // 未激活，等待后续课程开启
+    fixtures: {
+      async todo(ctx) {
+        const response = await ctx.http.post('/todos', {
+          title: `输入校验测试 ${Date.now()}`,
+          completed: false
+        });
+        return response.data;
+      }
+    },
+    tests: [
+      {
+        name: "POST /todos 拒绝无效的请求体",
+        run: async (ctx) => {
+          const cases = {};
+          for (const { name, data, raw } of MALFORMED_CREATE_CASES) {
+            cases[name] = await sendMalformed(ctx, { method: 'POST', path: '/todos', data, raw });
+          }
+          return { passed: true, message: `发送 ${MALFORMED_CREATE_CASES.length} 个异常请求`, cases };
+        },
+        rubric: MALFORMED_CREATE_CASES.map(({ name }) => ({
+          name,
+          weight: 1,
+          check: result => assertRejected(result.cases[name])
+        }))
+      },
+      {
+        name: "PUT/PATCH /todos/:id 拒绝无效的请求体",
+        run: async (ctx) => {
+          const todo = await ctx.fixture('todo');
+          const cases = {};
+          for (const { name, method, data, raw } of MALFORMED_UPDATE_CASES) {
+            cases[name] = await sendMalformed(ctx, { method, path: `/todos/${todo.id}`, data, raw });
+          }
+          
+          const response = await ctx.http.get(`/todos/${todo.id}`, { validateStatus: () => true });
+          const persisted = { status: response.status, data: response.data };
+          return { passed: true, message: `发送 ${MALFORMED_UPDATE_CASES.length} 个异常请求`, cases, original: todo, persisted };
+        },
+        rubric: [
+          ...MALFORMED_UPDATE_CASES.map(({ name }) => ({
+            name,
+            weight: 1,
+            check: result => assertRejected(result.cases[name])
+          })),
+          {
+            name: '原数据未被修改',
+            weight: 2,
+            check: result => assertFields(result.persisted.data, {
+              title: result.original.title,
+              completed: result.original.completed
+            }, '重新获取的待办事项')
+          }
+        ]
+      },
+      {
+        name: "POST /todos 忽略或拒绝未知字段",
+        run: async (ctx) => {
+          const body = { title: `未知字段 ${Date.now()}`, completed: false, isAdmin: true, unknownField: '不应保存' };
+          const response = await ctx.http.post('/todos', body, { validateStatus: () => true });
+          response.message = `未知字段请求返回 ${response.status}`;
+          return response;
+        },
+        rubric: [
+          {
+            name: '未知字段不会被保存',
+            weight: 1,
+            check: response => {
+              // 拒绝请求(4xx)或忽略未知字段都是合理的处理方式
+              if (response.status >= 400 && response.status < 500) {
+                assertRejected({ label: 'POST /todos', status: response.status, data: response.data });
+                return;
+              }
+              assertStatus(response, [200, 201]);
+              for (const field of ['isAdmin', 'unknownField']) {
+                if (response.data && response.data[field] !== undefined) {
+                  throw new Error(`创建的待办事项不应包含未知字段 ${field}`);
+                }
+              }
+            }
+          }
+        ]
+      },
+      {
+        name: "GET /todos 异常输入后服务器仍可用",
+        run: async (ctx) => {
+          const response = await ctx.http.get('/todos', { validateStatus: () => true });
+          response.message = '服务器在异常输入后仍正常响应';
+          return response;
+        },
+        rubric: [
+          { name: '状态码为200', weight: 1, check: response => assertStatus(response, 200) }
+        ]
+      }
+    ]
+  },
+  
+  // 模块7: 模糊测试
+  todoFuzz: {
+    name: "待办事项模糊测试",
+    description: "用可复现的随机输入检查不变式：创建和更新后获取的数据一致，任意输入都不返回5xx",
+    tags: ['fuzz'],
+    active: false, // 通过 --fuzz 启用，或由教师远程激活
+    fuzz: true,
+    timeout: 60000, // 每个测试要检查大量随机输入
+    tests: [
+      {
+        name: "POST /todos 创建后获取一致（模糊测试）",
+        run: async (ctx) => Fuzzer.assertProperty(ctx, fuzzTodo, async (todo) => {
+          const created = await ctx.http.post('/todos', todo, { validateStatus: () => true });
+          assertStatus(created, [200, 201], 'POST /todos ');
+          
+          const fetched = await ctx.http.get(`/todos/${created.data.id}`, { validateStatus: () => true });
+          assertStatus(fetched, 200, 'GET /todos/:id ');
+          assertFields(fetched.data, todo, '获取的待办事项');
+        })
+      },
+      {
+        name: "PATCH /todos/:id 部分更新后获取一致（模糊测试）",
+        run: async (ctx) => Fuzzer.assertProperty(ctx, fuzzTodoPatch, async (patch) => {
+          const original = { title: `模糊测试 ${Date.now()}`, completed: false };
+          const created = await ctx.http.post('/todos', original);
+          
+          const updated = await ctx.http.patch(`/todos/${created.data.id}`, patch, { validateStatus: () => true });
+          assertStatus(updated, 200, 'PATCH /todos/:id ');
+          
+          const fetched = await ctx.http.get(`/todos/${created.data.id}`, { validateStatus: () => true });
+          assertStatus(fetched, 200, 'GET /todos/:id ');
+          assertFields(fetched.data, { ...original, ...patch }, '更新后获取的待办事项');
+        })
+      },
+      {
+        name: "POST /todos 任意请求体不返回5xx（模糊测试）",
+        run: async (ctx) => Fuzzer.assertProperty(ctx, Fuzzer.Arbitrary.json(), async (body) => {
+          assertNoServerError(await sendMalformed(ctx, {
+            method: 'POST',
+            path: '/todos',
+            data: JSON.stringify(body),
+            raw: true
+          }));
+        })
+      },
+      {
+        name: "GET /todos 任意查询参数不返回5xx（模糊测试）",
+        run: async (ctx) => Fuzzer.assertProperty(ctx, fuzzQuery, async (query) => {
+          assertNoServerError(await sendMalformed(ctx, {
+            method: 'GET',
+            path: `/todos?${new URLSearchParams(query)}`
+          }));
+        })
+      }
+    ]
+  },
+  
+  // 模块8: 性能和负载测试
+  todoPerformance: {
+    name: "待办事项性能和负载测试",
+    description: "以固定并发数在一段时间内持续请求，统计吞吐量、错误率和p50/p95/p99延迟",
+    tags: ['load'],
+    active: false, // 通过 --load 启用，或由教师远程激活
+    load: true,
+    exclusive: true, // 并行运行时单独运行，避免其他模块的请求影响延迟统计
+    timeout: 120000, // 负载测试的持续时间应小于此超时时间
+    async beforeAll(ctx) {
+      // 准备数据，使列表和单项查询有实际内容
+      ctx.state.todoIds = [];
+      for (let index = 0; index < 20; index++) {
+        const response = await ctx.http.post('/todos', {
+          title: `负载测试数据 ${index} ${Date.now()}`,
+          completed: index % 2 === 0
+        });
+        ctx.state.todoIds.push(response.data.id);
+      }
+    },
+    tests: [
+      {
+        name: "GET /todos 列表负载测试",
+        run: async (ctx) => runLoad(ctx, () => ctx.http.get('/todos', { validateStatus: () => true })),
+        rubric: LoadTester.createRubric({ maxErrorRate: 0.01, p95: 200, p99: 500, minThroughput: 50 })
+      },
+      {
+        name: "GET /todos/:id 单项查询负载测试",
+        run: async (ctx) => {
+          const { todoIds } = ctx.state;
+          return runLoad(ctx, iteration => ctx.http.get(`/todos/${todoIds[iteration % todoIds.length]}`, { validateStatus: () => true }));
+        },
+        rubric: LoadTester.createRubric({ maxErrorRate: 0.01, p95: 100, p99: 300, minThroughput: 100 })
+      },
+      {
+        name: "POST/DELETE /todos 写入负载测试",
+        run: async (ctx) => runLoad(ctx, async (iteration) => {
+          // 每次迭代创建并删除一个待办事项，延迟为两个请求的总耗时
+          const created = await ctx.http.post('/todos', {
+            title: `负载测试写入 ${iteration}`,
+            completed: false
+          }, { validateStatus: () => true });
+          if (created.status >= 400 || !created.data || created.data.id === undefined) {
+            return created;
+          }
+          return ctx.http.delete(`/todos/${created.data.id}`, { validateStatus: () => true });
+        }),
+        rubric: LoadTester.createRubric({ maxErrorRate: 0.01, p95: 300, p99: 800, minThroughput: 25 })
+      }
+    ]
+  },
+  
+  // 模块9: 并发和竞态条件
+  todoConcurrency: {
+    name: "待办事项并发和竞态条件",
+    description: "并发创建、更新和删除待办事项，检查ID唯一、数量一致、没有丢失的更新和误删",
+    tags: ['concurrency'],
+    active: false, // 未激活，等待后续课程开启
+    exclusive: true, // 并行运行时单独运行，避免其他模块的数据影响数量检查
+    tests: [
+      {
+        name: "POST /todos 并发创建生成唯一ID",
+        run: async (ctx) => {
+          const tag = `并发创建 ${Date.now().toString(36)}`;
+          const timeline = await runConcurrently(Array.from({ length: CONCURRENT_REQUESTS }, (_, index) => {
+            const body = { title: `${tag} #${index + 1}`, completed: false };
+            return {
+              label: `POST /todos "${body.title}"`,
+              body,
+              send: () => ctx.http.post('/todos', body, { validateStatus: () => true })
+            };
+          }));
+          
+          const list = await ctx.http.get('/todos', { validateStatus: () => true });
+          return {
+            passed: true,
+            message: `并发创建 ${CONCURRENT_REQUESTS} 个待办事项`,
+            timeline,
+            listed: Array.isArray(list.data) ? list.data.filter(todo => String(todo.title).startsWith(tag)) : null
+          };
+        },
+        rubric: [
+          { name: '所有创建请求成功', weight: 2, check: result => assertAllSucceeded(result.timeline) },
+          {
+            name: 'ID唯一',
+            weight: 4,
+            check: result => {
+              const byId = new Map();
+              for (const entry of result.timeline) {
+                const id = entry.data && entry.data.id;
+                if (id === undefined || id === null) continue;
+                byId.set(String(id), [...(byId.get(String(id)) || []), entry]);
+              }
+              const duplicates = [...byId.entries()].filter(([, entries]) => entries.length > 1);
+              if (duplicates.length > 0) {
+                const [id, entries] = duplicates[0];
+                throw new Error(`${duplicates.length} 个ID被重复分配，如 ID ${id} 分配给了: ${describeInterleaving(entries)}`);
+              }
+            }
+          },
+          {
+            name: '响应与请求对应',
+            weight: 2,
+            check: result => {
+              const mismatched = result.timeline.filter(entry => entry.data && entry.data.title !== entry.body.title);
+              if (mismatched.length > 0) {
+                throw new Error(`${mismatched.length} 个响应返回了其他请求的数据: ${describeInterleaving(mismatched)}`);
+              }
+            }
+          },
+          {
+            name: '列表中的数量一致',
+            weight: 2,
+            check: result => {
+              if (!result.listed) {
+                throw new Error('GET /todos 响应不是数组');
+              }
+              if (result.listed.length !== CONCURRENT_REQUESTS) {
+                const listedTitles = new Set(result.listed.map(todo => todo.title));
+                const missing = result.timeline.filter(entry => !listedTitles.has(entry.body.title));
+                throw new Error(`并发创建 ${CONCURRENT_REQUESTS} 个，列表中有 ${result.listed.length} 个` +
+                  (missing.length > 0 ? `，缺少: ${describeInterleaving(missing)}` : ''));
+              }
+            }
+          }
+        ]
+      },
+      {
+        name: "PATCH /todos/:id 并发更新不丢失",
+        run: async (ctx) => {
+          const tag = `并发更新 ${Date.now().toString(36)}`;
+          const todos = [];
+          for (let index = 0; index < CONCURRENT_REQUESTS / 2; index++) {
+            const response = await ctx.http.post('/todos', { title: `${tag} #${index + 1}`, completed: false });
+            todos.push(response.data);
+          }
+          
+          // 每个待办事项同时收到修改不同字段的两个请求
+          const timeline = await runConcurrently(todos.flatMap(todo => [
+            {
+              label: `PATCH /todos/${todo.id} {title}`,
+              body: { id: todo.id, title: `${todo.title} 已更新` },
+              send: () => ctx.http.patch(`/todos/${todo.id}`, { title: `${todo.title} 已更新` }, { validateStatus: () => true })
+            },
+            {
+              label: `PATCH /todos/${todo.id} {completed}`,
+              body: { id: todo.id, completed: true },
+              send: () => ctx.http.patch(`/todos/${todo.id}`, { completed: true }, { validateStatus: () => true })
+            }
+          ]));
+          
+          const final = [];
+          for (const todo of todos) {
+            const response = await ctx.http.get(`/todos/${todo.id}`, { validateStatus: () => true });
+            final.push({ original: todo, status: response.status, data: response.data });
+          }
+          return { passed: true, message: `并发更新 ${todos.length} 个待办事项`, timeline, final };
+        },
+        rubric: [
+          { name: '所有更新请求成功', weight: 2, check: result => assertAllSucceeded(result.timeline) },
+          {
+            name: '没有丢失的更新',
+            weight: 8,
+            check: result => {
+              const lost = result.final.filter(({ original, data }) =>
+                !data || data.title !== `${original.title} 已更新` || data.completed !== true);
+              if (lost.length > 0) {
+                const { original, data } = lost[0];
+                const entries = result.timeline.filter(entry => entry.body.id === original.id);
+                throw new Error(`${lost.length} 个待办事项丢失了更新，如 ID ${original.id} 最终为 ` +
+                  `${JSON.stringify(data && { title: data.title, completed: data.completed })}，并发请求: ${describeInterleaving(entries)}`);
+              }
+            }
+          }
+        ]
+      },
+      {
+        name: "DELETE /todos/:id 并发删除",
+        run: async (ctx) => {
+          const tag = `并发删除 ${Date.now().toString(36)}`;
+          const create = async (title) => (await ctx.http.post('/todos', { title, completed: false })).data;
+          
+          const targets = [];
+          const bystanders = [];
+          for (let index = 0; index < CONCURRENT_REQUESTS; index++) {
+            targets.push(await create(`${tag} 删除 #${index + 1}`));
+          }
+          for (let index = 0; index < 5; index++) {
+            bystanders.push(await create(`${tag} 保留 #${index + 1}`));
+          }
+          
+          // 前5个待办事项各被同时删除两次
+          const operations = [...targets, ...targets.slice(0, 5)].map(todo => ({
+            label: `DELETE /todos/${todo.id}`,
+            body: { id: todo.id },
+            send: () => ctx.http.delete(`/todos/${todo.id}`, { validateStatus: () => true })
+          }));
+          const timeline = await runConcurrently(operations);
+          
+          const list = await ctx.http.get('/todos', { validateStatus: () => true });
+          const remaining = [];
+          for (const todo of bystanders) {
+            const response = await ctx.http.get(`/todos/${todo.id}`, { validateStatus: () => true });
+            remaining.push({ todo, status: response.status });
+          }
+          
+          return {
+            passed: true,
+            message: `并发删除 ${targets.length} 个待办事项`,
+            timeline,
+            targets,
+            remaining,
+            listed: Array.isArray(list.data) ? list.data.filter(todo => String(todo.title).startsWith(tag)) : null
+          };
+        },
+        rubric: [
+          {
+            name: '删除请求不返回5xx',
+            weight: 3,
+            check: result => {
+              const errors = result.timeline.filter(entry => entry.status === null || entry.status >= 500);
+              if (errors.length > 0) {
+                throw new Error(`${errors.length} 个删除请求出错: ${describeInterleaving(errors)}`);
+              }
+            }
+          },
+          {
+            name: '删除的数据不再存在',
+            weight: 4,
+            check: result => {
+              if (!result.listed) {
+                throw new Error('GET /todos 响应不是数组');
+              }
+              const targetIds = new Set(result.targets.map(todo => String(todo.id)));
+              const leftover = result.listed.filter(todo => targetIds.has(String(todo.id)));
+              if (leftover.length > 0) {
+                const entries = result.timeline.filter(entry => String(entry.body.id) === String(leftover[0].id));
+                throw new Error(`${leftover.length} 个已删除的待办事项仍在列表中，如 ID ${leftover[0].id}，并发请求: ${describeInterleaving(entries)}`);
+              }
+            }
+          },
+          {
+            name: '未误删其他数据',
+            weight: 3,
+            check: result => {
+              const missing = result.remaining.filter(({ status }) => status !== 200);
+              if (missing.length > 0) {
+                throw new Error(`${missing.length} 个未被删除的待办事项丢失了 (ID: ${missing.map(({ todo }) => todo.id).join(', ')})，` +
+                  `并发删除: ${describeInterleaving(result.timeline)}`);
+              }
+            }
+          }
+        ]
+      }
+    ]
+  },
+  
+  // 模块10: 安全检查
+  apiSecurity: {
+    name: "API安全检查",
+    description: "检查CORS配置、安全响应头、错误信息泄露、输入反射和查询参数注入，部分检查只作为警告",
+    tags: ['security'],
+    active: false, // 未激活，等待后续课程开启
+    tests: [
+      {
+        name: "OPTIONS /todos CORS配置",
+        run: async (ctx) => {
+          const response = await ctx.http.options('/todos', {
+            headers: {
+              Origin: UNTRUSTED_ORIGIN,
+              'Access-Control-Request-Method': 'POST',
+              'Access-Control-Request-Headers': 'content-type'
+            },
+            validateStatus: () => true
+          });
+          response.simple = await ctx.http.get('/todos', { headers: { Origin: UNTRUSTED_ORIGIN }, validateStatus: () => true });
+          response.message = `CORS预检返回 ${response.status}`;
+          return response;
+        },
+        rubric: [
+          {
+            name: '不允许任意来源携带凭据',
+            weight: 1,
+            check: response => {
+              for (const { headers } of [response, response.simple]) {
+                const origin = headers['access-control-allow-origin'];
+                if (headers['access-control-allow-credentials'] === 'true' && (origin === '*' || origin === UNTRUSTED_ORIGIN)) {
+                  throw new Error(`对来源 ${UNTRUSTED_ORIGIN} 返回了 Access-Control-Allow-Origin: ${origin} 和 Access-Control-Allow-Credentials: true`);
+                }
+              }
+            }
+          },
+          {
+            name: '响应CORS预检请求',
+            weight: 1,
+            severity: 'warning',
+            check: response => {
+              if (response.status >= 400 || !response.headers['access-control-allow-methods']) {
+                throw new Error(`OPTIONS /todos 返回 ${response.status}，缺少 Access-Control-Allow-Methods 响应头`);
+              }
+            }
+          },
+          {
+            name: '不反射任意来源',
+            weight: 1,
+            severity: 'warning',
+            check: response => {
+              if ([response, response.simple].some(({ headers }) => headers['access-control-allow-origin'] === UNTRUSTED_ORIGIN)) {
+                throw new Error(`Access-Control-Allow-Origin 原样返回了请求的来源 ${UNTRUSTED_ORIGIN}，应使用允许来源的白名单`);
+              }
+            }
+          }
+        ]
+      },
+      {
+        name: "GET /todos 安全响应头",
+        run: async (ctx) => {
+          const response = await ctx.http.get('/todos', { validateStatus: () => true });
+          response.message = '检查响应头';
+          return response;
+        },
+        rubric: [
+          {
+            name: 'Content-Type为application/json',
+            weight: 1,
+            check: response => {
+              if (!String(response.headers['content-type'] || '').includes('application/json')) {
+                throw new Error(`Content-Type 为 ${response.headers['content-type'] || '空'}`);
+              }
+            }
+          },
+          {
+            name: 'X-Content-Type-Options: nosniff',
+            weight: 1,
+            severity: 'warning',
+            check: response => {
+              if (String(response.headers['x-content-type-options'] || '').toLowerCase() !== 'nosniff') {
+                throw new Error('缺少 X-Content-Type-Options: nosniff 响应头');
+              }
+            }
+          },
+          {
+            name: '不暴露X-Powered-By',
+            weight: 1,
+            severity: 'warning',
+            check: response => {
+              if (response.headers['x-powered-by']) {
+                throw new Error(`响应头暴露了服务器框架: X-Powered-By: ${response.headers['x-powered-by']}`);
+              }
+            }
+          }
+        ]
+      },
+      {
+        name: "POST/PATCH /todos 错误响应不泄露内部信息",
+        run: async (ctx) => {
+          const requests = [
+            { method: 'POST', path: '/todos', data: '{"title": ', raw: true },
+            { method: 'POST', path: '/todos', data: { title: { $gt: '' }, completed: 'yes' } },
+            { method: 'PATCH', path: '/todos/not-a-valid-id', data: '{"completed": tru', raw: true },
+            { method: 'GET', path: `/todos/${encodeURIComponent("1'\"")}` }
+          ];
+          const results = [];
+          for (const request of requests) {
+            results.push(await sendMalformed(ctx, request));
+          }
+          return { passed: true, message: `发送 ${results.length} 个会出错的请求`, results };
+        },
+        rubric: [
+          {
+            name: '不泄露调用栈和内部路径',
+            weight: 1,
+            check: result => {
+              const leaks = result.results
+                .map(item => ({ item, leak: findLeak(item.data) }))
+                .filter(({ leak }) => leak);
+              if (leaks.length > 0) {
+                throw new Error(leaks.map(({ item, leak }) => `${item.label} (${item.status}) 的响应泄露了${leak}`).join('; '));
+              }
+            }
+          },
+          {
+            name: '错误响应为JSON',
+            weight: 1,
+            severity: 'warning',
+            check: result => {
+              const plain = result.results.filter(item => item.status >= 400 && (typeof item.data !== 'object' || item.data === null));
+              if (plain.length > 0) {
+                throw new Error(`${plain.map(item => `${item.label} (${item.status})`).join('、')} 的错误响应不是JSON对象`);
+              }
+            }
+          }
+        ]
+      },
+      {
+        name: "GET /todos/:id 不反射输入",
+        run: async (ctx) => ({
+          passed: true,
+          message: `检查 ${REFLECTION_PAYLOAD} 是否被原样返回`,
+          results: [
+            await getRawText(ctx, `/todos/${encodeURIComponent(REFLECTION_PAYLOAD)}`),
+            await getRawText(ctx, `/todos?completed=${encodeURIComponent(REFLECTION_PAYLOAD)}`)
+          ]
+        }),
+        rubric: [
+          {
+            name: '不以HTML形式反射输入',
+            weight: 1,
+            check: result => {
+              const reflected = result.results.filter(item => item.text.includes(REFLECTION_PAYLOAD) && item.contentType.includes('text/html'));
+              if (reflected.length > 0) {
+                throw new Error(`${reflected.map(item => item.label).join('、')} 以 text/html 原样返回了输入中的脚本，存在反射型XSS风险`);
+              }
+            }
+          },
+          {
+            name: '错误信息不回显原始输入',
+            weight: 1,
+            severity: 'warning',
+            check: result => {
+              const reflected = result.results.filter(item => item.text.includes(REFLECTION_PAYLOAD));
+              if (reflected.length > 0) {
+                throw new Error(`${reflected.map(item => `${item.label} (${item.status})`).join('、')} 的响应回显了原始输入`);
+              }
+            }
+          }
+        ]
+      },
+      {
+        name: "GET /todos?completed= 查询参数注入",
+        run: async (ctx) => {
+          // 同时存在已完成和未完成的数据，注入成功时两者会一起返回
+          const tag = `注入检查 ${Date.now().toString(36)}`;
+          await ctx.http.post('/todos', { title: `${tag} 已完成`, completed: true });
+          await ctx.http.post('/todos', { title: `${tag} 未完成`, completed: false });
+          
+          // 返回的本测试数据的完成状态
+          const query = async (queryString) => {
+            const response = await ctx.http.get(`/todos?${queryString}`, { validateStatus: () => true });
+            const items = Array.isArray(response.data) ? response.data : [];
+            return {
+              label: `GET /todos?${queryString}`,
+              status: response.status,
+              matched: items.filter(todo => String(todo.title).startsWith(tag)).map(todo => todo.completed)
+            };
+          };
+          
+          const controls = {};
+          for (const control of new Set(INJECTION_PAYLOADS.map(payload => payload.control))) {
+            controls[control] = await query(control);
+          }
+          
+          const results = {};
+          for (const { name, query: queryString, control } of INJECTION_PAYLOADS) {
+            results[name] = { ...(await query(queryString)), control: controls[control] };
+          }
+          return { passed: true, message: `发送 ${INJECTION_PAYLOADS.length} 个注入载荷`, results };
+        },
+        rubric: [
+          ...INJECTION_PAYLOADS.map(({ name }) => ({
+            name: `${name} 未绕过过滤`,
+            weight: 1,
+            check: result => {
+              const { label, matched, control } = result.results[name];
+              const returnsAll = completed => completed.includes(true) && completed.includes(false);
+              if (returnsAll(matched) && !returnsAll(control.matched)) {
+                throw new Error(`${label} 同时返回了已完成和未完成的待办事项，completed 过滤被绕过，可能存在注入`);
+              }
+            }
+          })),
+          {
+            name: '注入载荷不导致5xx',
+            weight: 1,
+            severity: 'warning',
+            check: result => {
+              const errors = Object.values(result.results).filter(item => item.status >= 500);
+              if (errors.length > 0) {
+                throw new Error(`${errors.map(item => `${item.label} (${item.status})`).join('、')} 返回服务器错误，应校验参数并返回400`);
+              }
+            }
+          }
+        ]
       }
     ]
   },
@@ -306,139 +2413,222 @@ const TestModules = {
   // 可扩展：根据课程进度添加更多测试模块
 };
 
+// 内置模块的来源，外部模块的来源由加载方设置：local（本地模块目录）、pack（模块包）、contract（OpenAPI文档）
+Object.values(TestModules).forEach(module => {
+  module.sourceType = 'builtin';
+});
+
+// 模块来源的说明，用于日志和错误信息
+const SOURCE_TYPE_LABELS = {
+  builtin: '内置',
+  local: '本地',
+  pack: '模块包',
+  contract: 'OpenAPI契约'
+};
+
 /**
  * 学生API接口
  */
 export const StudentAPI = {
-  // API基础URL
+  // API基础URL，随 configureTarget 更新
   API_BASE_URL,
   
-  // 测试状态追踪
-  lastCreatedTodoId: null,
+  /**
+   * 设置测试目标
+   * 所有测试请求和数据清理都会发送到这里指定的地址，并附带指定的请求头
+   *
+   * @param {Object} target ConfigManager.resolveStudentApiTarget 的返回值
+   */
+  configureTarget(target) {
+    currentTarget = { ...currentTarget, ...target };
+    this.API_BASE_URL = currentTarget.baseUrl;
+  },
+  
+  /**
+   * 获取当前测试目标
+   * @returns {Object} { url, baseUrl, port, basePath, headers, authToken }
+   */
+  getTarget() {
+    return { ...currentTarget };
+  },
+  
+  /**
+   * 检查模块能否以该ID注册
+   *
+   * 本地模块（sourceType 为 local 或未设置）不能替换内置、模块包和契约测试模块，
+   * 否则学生可以用总是通过的测试替换计分的模块；模块包中的模块只有声明了
+   * overridesBuiltin（模块包的 overrides 字段）才能替换内置模块
+   *
+   * @param {string} moduleId 模块ID
+   * @param {Object} module 模块定义
+   * @throws {Error} 不能替换已有的同名模块时抛出
+   */
+  assertCanRegister(moduleId, module) {
+    const sourceType = module.sourceType || 'local';
+    const existing = TestModules[moduleId];
+    if (!existing) return;
+    
+    if (sourceType === 'local' && existing.sourceType !== 'local') {
+      throw new Error(`本地测试模块 ${moduleId}${module.source ? ` (${module.source})` : ''} 与${SOURCE_TYPE_LABELS[existing.sourceType]}模块同名，不能替换，请修改模块ID`);
+    }
+    if (sourceType === 'pack' && existing.sourceType === 'builtin' && !module.overridesBuiltin) {
+      throw new Error(`${module.source || '模块包'} 中的模块 ${moduleId} 与内置模块同名，模块包未在overrides中声明替换该模块`);
+    }
+  },
+  
+  /**
+   * 注册测试模块
+   * 模块中的测试可以是 run 闭包，也可以是声明式规格（见 spec-runner.js）
+   *
+   * @param {string} moduleId 模块ID
+   * @param {Object} module 模块定义
+   * @throws {Error} 不能替换已有的同名模块时抛出，见 assertCanRegister
+   */
+  registerTestModule(moduleId, module) {
+    this.assertCanRegister(moduleId, module);
+    if (TestModules[moduleId]) {
+      console.log(`覆盖已存在的测试模块: ${moduleId}`);
+    }
+    TestModules[moduleId] = { ...module, sourceType: module.sourceType || 'local' };
+  },
   
   /**
    * 运行所有激活的测试模块
    * 当服务器发送RUN_TEST命令时会调用这个函数
    * 
+   * @param {Object} options 运行选项
+   * @param {number} options.timeout 每个测试的默认超时时间（毫秒），测试可通过timeout字段覆盖
+   * @param {number} options.retries 失败测试的默认重试次数，测试可通过retries字段覆盖
+   * @param {boolean} options.fuzz 是否运行未激活的模糊测试模块
+   * @param {number} options.seed 模糊测试的基础种子，未指定时随机生成
+   * @param {number} options.fuzzRuns 每个模糊测试检查的随机输入数量
+   * @param {boolean} options.load 是否运行未激活的负载测试模块
+   * @param {number} options.concurrency 负载测试的并发数
+   * @param {number} options.loadDuration 每个负载测试的持续时间（毫秒）
+   * @param {boolean} options.strict 严格模式，警告级评分细则按普通细则处理
+   * @param {boolean} options.har 是否记录所有HTTP请求和响应，记录保存在 lastHar 中
+   * @param {Object} options.snapshots 快照设置 { baseline, enabled, update }，比较结果保存在 lastSnapshots 中
+   * @param {number} options.parallelism 同时运行的模块数，默认为1（依次运行）
+   * @param {Object} options.selection 只运行部分测试的选择条件 { modules, grep, tags, exclude }，见 test-selection.js
    * @returns {Promise<Object>} 测试结果
    */
-  async runCustomTests() {
+  async runCustomTests(options = {}) {
     console.log('开始执行API测试...');
     
+    const defaultTimeout = options.timeout ?? DEFAULT_TEST_TIMEOUT;
+    const defaultRetries = options.retries ?? DEFAULT_TEST_RETRIES;
+    const requestedParallelism = Number(options.parallelism ?? DEFAULT_PARALLELISM);
+    const parallelism = Number.isFinite(requestedParallelism) && requestedParallelism >= 1
+      ? Math.floor(requestedParallelism)
+      : DEFAULT_PARALLELISM;
+    if (parallelism !== Math.floor(requestedParallelism)) {
+      console.warn(`无效的并行模块数 ${options.parallelism}，改为依次运行`);
+    }
     const results = new TestResults();
-    this.lastCreatedTodoId = null;
     
-    // 遍历所有激活的测试模块
-    for (const [moduleId, module] of Object.entries(TestModules)) {
-      if (!module.active) continue;
-      
-      console.log(`\n测试模块: ${module.name}`);
-      console.log(module.description);
-      
-      // 运行模块中的所有测试
-      for (const test of module.tests) {
-        console.log(`\n运行测试: ${test.name}`);
-        
-        // 解析测试名称以获取方法和端点
-        const parts = test.name.split(' ');
-        const method = parts[0] || "未知方法";
-        const endpoint = parts.slice(1).join(' ') || "未知端点";
-        
-        try {
-          // 跟踪请求开始时间
-          const startTime = Date.now();
-          
-          // 使用bind确保this指向StudentAPI
-          const result = await test.run.bind(this)();
-          
-          // 计算请求耗时
-          const duration = Date.now() - startTime;
-          
-          // 确保响应有正确的格式，并截断过大的数据
-          let responseData = {};
-          
-          // 如果测试函数直接返回了axios响应，则使用它
-          if (result && result.status && result.data) {
-            responseData = truncateResponseData(result);
-          } 
-          // 如果测试返回了自定义格式的结果，提取响应数据
-          else if (result && result.data) {
-            responseData = truncateResponseData(result.data);
-          }
-          // 测试返回了自己的格式，直接使用
-          else {
-            responseData = result;
-          }
-          
-          // 成功的测试结果
-          const testData = {
-            name: test.name,
-            endpoint,
-            method,
-            passed: true,
-            duration,
-            // 保存完整的响应数据
-            response: responseData,
-            error: null,
-            score: {
-              value: 10, // 通过的测试得10分
-              maxValue: 10,
-              comments: result.message || "通过测试"
-            }
-          };
-          
-          results.addResult(test.name, true, result.message || "测试通过", testData);
-          console.log(`✅ 通过: ${result.message || "测试通过"} (${duration}ms)`);
-        } catch (error) {
-          // 获取错误信息
-          let errorMessage = error.message;
-          let responseData = {};
-          
-          // 尝试从Axios错误中提取响应数据
-          if (error.response) {
-            responseData = truncateResponseData(error.response);
-            // 增强错误信息
-            if (!errorMessage.includes(error.response.status.toString())) {
-              errorMessage = `[${error.response.status}] ${errorMessage}`;
-            }
-          } else if (error.request) {
-            // 请求已经发出，但没有收到响应
-            responseData = {
-              request: true,
-              message: "No response received"
-            };
-          }
-          
-          // 如果错误对象自带响应数据，使用它
-          if (error.responseData) {
-            responseData = truncateResponseData(error.responseData);
-          }
-          
-          // 失败的测试结果
-          const testData = {
-            name: test.name,
-            endpoint,
-            method,
-            passed: false,
-            // 保存响应数据，即使是错误响应
-            response: responseData,
-            error: errorMessage,
-            score: {
-              value: 0, // 失败的测试得0分
-              maxValue: 10,
-              comments: errorMessage || "测试失败"
-            }
-          };
-          
-          results.addResult(test.name, false, errorMessage, testData);
-          console.log(`❌ 失败: ${errorMessage}`);
+    // 模糊测试的种子未指定时随机生成，记录在测试结果中以便重现
+    const fuzz = {
+      enabled: Boolean(options.fuzz),
+      seed: Number.isInteger(options.seed) ? options.seed : Fuzzer.randomSeed(),
+      runs: options.fuzzRuns ?? Fuzzer.DEFAULT_RUNS
+    };
+    
+    // HTTP流量记录，每个测试是一个页面
+    const har = options.har ? HarRecorder.createLog() : null;
+    
+    // 快照会话，新快照和不一致的结果由调用方保存
+    const snapshots = Snapshot.createSession(options.snapshots);
+    
+    // 负载测试的并发数和持续时间
+    const load = {
+      enabled: Boolean(options.load),
+      concurrency: options.concurrency ?? LoadTester.DEFAULT_CONCURRENCY,
+      duration: options.loadDuration ?? LoadTester.DEFAULT_DURATION
+    };
+    
+    // 运行的模块：所有激活的模块，模糊测试和负载测试模块在通过选项启用时也会运行
+    const isRunnable = module => module.active || (module.fuzz && fuzz.enabled) || (module.load && load.enabled);
+    
+    // 指定了选择条件时只运行选中的测试
+    const selection = TestSelection.create(options.selection);
+    const selectedTests = selection ? TestSelection.select(selection, TestModules, isRunnable) : null;
+    if (selection) {
+      if (selectedTests.size === 0) {
+        throw new Error(`没有符合条件的测试（${TestSelection.describe(selection)}）`);
+      }
+      console.log(`只运行选中的测试: ${TestSelection.describe(selection)}`);
+      for (const [moduleId, { added, excluded }] of selectedTests) {
+        if (added.length > 0) {
+          console.log(`  自动加入 ${moduleId} 中依赖的测试: ${added.join(', ')}`);
+        }
+        if (excluded.length > 0) {
+          console.log(`  ${moduleId} 中依赖的测试已被排除，依赖它们的测试将被跳过: ${excluded.join(', ')}`);
         }
       }
     }
     
+    const selected = Object.entries(TestModules)
+      .filter(([moduleId, module]) => (selectedTests ? selectedTests.has(moduleId) : isRunnable(module)));
+    const fuzzed = selected.some(([, module]) => module.fuzz);
+    
+    const localModules = selected.filter(([, module]) => module.sourceType === 'local').map(([moduleId]) => moduleId);
+    if (localModules.length > 0) {
+      console.log(`注意: 运行本地测试模块 ${localModules.join(', ')}，其结果在报告中标记为本地模块`);
+    }
+    
+    // 执行的OpenAPI契约测试模块，测试结束后统计文档操作的覆盖率
+    // 同时运行本地文档和服务器下发的文档时统计后注册的本地文档
+    const contractEntry = selected.filter(([, module]) => module.contract).pop();
+    const contractModuleId = contractEntry ? contractEntry[0] : null;
+    
+    // 连续的普通模块分为一组并行运行，exclusive 模块（如负载测试）单独运行，避免与其他模块互相影响
+    const groups = [];
+    for (const entry of selected) {
+      const last = groups[groups.length - 1];
+      if (entry[1].exclusive || !last || last.exclusive) {
+        groups.push({ exclusive: Boolean(entry[1].exclusive), entries: [entry] });
+      } else {
+        last.entries.push(entry);
+      }
+    }
+    
+    // 本次运行的标识，与模块ID组成各模块的数据命名空间
+    const runId = Math.random().toString(36).slice(2, 8);
+    const moduleResults = [];
+    for (const group of groups) {
+      const buffered = parallelism > 1 && group.entries.length > 1;
+      const tasks = group.entries.map(([moduleId, module]) => async () => {
+        const logger = createModuleLogger(buffered);
+        try {
+          return await runModule(moduleId, module, {
+            thisArg: this,
+            defaultTimeout,
+            defaultRetries,
+            fuzz,
+            load,
+            har,
+            snapshots,
+            strict: Boolean(options.strict),
+            namespace: `${moduleId}-${runId}`,
+            tests: selectedTests ? selectedTests.get(moduleId).tests : null,
+            excluded: selectedTests ? selectedTests.get(moduleId).excluded : [],
+            log: logger.log
+          });
+        } finally {
+          logger.flush();
+        }
+      });
+      moduleResults.push(...await runWithConcurrency(tasks, parallelism));
+    }
+    
+    // 按模块定义的顺序合并结果，与模块完成的先后无关
+    moduleResults.forEach(moduleResult => results.merge(moduleResult));
+    
     // 打印测试结果摘要
     const summary = results.getSummary();
-    console.log(`\n测试完成: ${summary.passed}/${summary.total} 通过 (${summary.passRate})`);
+    console.log(`\n测试完成: ${summary.passed}/${summary.total} 通过 (${summary.passRate})，${summary.skipped} 跳过，得分 ${summary.score}/${summary.maxPossibleScore}`);
+    
+    const snapshotSummary = Snapshot.summarize(snapshots);
     
     // 保存最新的测试结果，确保格式符合前端期望
     this.lastTestResults = {
@@ -446,19 +2636,64 @@ export const StudentAPI = {
       maxPossibleScore: summary.maxPossibleScore,
       totalPassed: summary.passed,
       totalFailed: summary.failed,
+      totalSkipped: summary.skipped,
+      // 未通过的警告级评分细则总数，不影响得分
+      totalWarnings: summary.tests.reduce((sum, test) => sum + (test.warnings ? test.warnings.length : 0), 0),
       timestamp: summary.timestamp,
+      // 重试后才通过的测试
+      flakyTests: summary.tests.filter(test => test.flaky).map(test => test.name),
+      // 模糊测试的基础种子，使用 --seed 可以精确重现
+      fuzz: fuzzed ? { seed: fuzz.seed, runs: fuzz.runs } : null,
+      // 只运行了部分测试时的选择条件和选中的测试数，完整运行时为null
+      selection: selection
+        ? { ...selection, description: TestSelection.describe(selection), tests: summary.total }
+        : null,
+      // 快照比较结果的数量，没有比较任何快照时为null
+      snapshots: snapshotSummary.results.length > 0
+        ? {
+          matched: snapshotSummary.matched,
+          written: snapshotSummary.written,
+          updated: snapshotSummary.updated,
+          mismatched: snapshotSummary.mismatched
+        }
+        : null,
+      // OpenAPI文档中操作的覆盖率和一致性
+      contract: contractModuleId
+        ? OpenApiContract.summarizeCoverage(
+          TestModules[contractModuleId].contract,
+          summary.tests.filter(test => test.moduleId === contractModuleId)
+        )
+        : null,
+      // 各模块的结果，附带模块来源，本地模块的结果未经教师审核
+      modules: Object.fromEntries(Object.entries(summary.modules).map(([moduleId, moduleSummary]) => [moduleId, {
+        ...moduleSummary,
+        sourceType: TestModules[moduleId].sourceType,
+        source: TestModules[moduleId].source || null
+      }])),
       tests: summary.tests.map(test => ({
         name: test.name,
+        moduleId: test.moduleId,
         endpoint: test.endpoint,
         method: test.method,
         passed: test.passed,
+        status: test.status,
+        skipReason: test.skipReason || null,
+        rootCause: test.rootCause || null,
         // 直接使用测试中保存的响应数据
         response: test.response || {},
-        error: test.passed ? null : test.error,
+        error: test.status === 'failed' ? test.error : null,
+        violations: test.violations || null,
+        criteria: test.criteria || null,
+        attempts: test.attempts || 0,
+        flaky: Boolean(test.flaky),
+        timedOut: Boolean(test.timedOut),
+        fuzz: test.fuzz || null,
+        harPage: test.harPage || null,
+        warnings: test.warnings || [],
         score: {
-          value: test.passed ? 10 : 0,
-          maxValue: 10,
-          comments: test.passed ? (test.message || "通过测试") : test.error
+          value: test.score.value,
+          maxValue: test.score.maxValue,
+          comments: test.score.comments
         }
       }))
     };
@@ -471,6 +2706,11 @@ export const StudentAPI = {
     //   console.log(JSON.stringify(firstTest.response, null, 2).substring(0, 5000) + (JSON.stringify(firstTest.response, null, 2).length > 5000 ? '...' : ''));
     // }
     
+    // 本次运行的HTTP流量记录，由调用方保存
+    this.lastHar = har;
+    // 本次运行的快照比较结果，由调用方保存
+    this.lastSnapshots = snapshotSummary;
+    
     console.log('\n测试结果详细数据:');
     console.log(JSON.stringify(this.lastTestResults, null, 2));
     return this.lastTestResults;
@@ -487,14 +2727,19 @@ export const StudentAPI = {
     
     try {
       // 获取所有待办事项
-      const response = await axios.get(`${API_BASE_URL}/todos`);
+      const http = axios.create({
+        baseURL: currentTarget.baseUrl,
+        headers: currentTarget.headers,
+        timeout: DEFAULT_TEST_TIMEOUT
+      });
+      const response = await http.get('/todos');
       const todos = response.data;
       
       console.log(`找到 ${todos.length} 个待办事项需要删除`);
       
       // 删除所有待办事项
       for (const todo of todos) {
-        await axios.delete(`${API_BASE_URL}/todos/${todo.id}`);
+        await http.delete(`/todos/${todo.id}`);
         console.log(`已删除待办事项 ID: ${todo.id}`);
       }
       
@@ -541,7 +2786,12 @@ export const StudentAPI = {
         name: module.name,
         description: module.description,
         active: module.active,
-        testCount: module.tests.length
+        testCount: module.tests.length,
+        weight: module.weight ?? 1,
+        source: module.source || null,
+        sourceType: module.sourceType,
+        // 模块及其测试的所有标签，可用于 --tag 选择测试
+        tags: [...new Set(module.tests.flatMap(test => TestSelection.getTags(module, test)))]
       };
     }
     
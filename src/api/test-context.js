@@ -0,0 +1,290 @@
+// src/api/test-context.js
+// 测试上下文：为每个测试提供HTTP客户端、夹具和自动清理
+
+import axios from 'axios';
+import { HarRecorder } from './har-recorder.js';
+import { Snapshot } from './snapshot.js';
+
+// 默认自动清理的资源集合：对这些路径POST创建的资源会在测试结束后DELETE
+const DEFAULT_TRACKED_COLLECTIONS = ['/todos'];
+// 携带数据命名空间的请求头，学生API可以据此隔离不同模块的数据（可选）
+const NAMESPACE_HEADER = 'X-Test-Namespace';
+
+/**
+ * 测试上下文
+ *
+ * 每个模块有一个模块级上下文（传给 beforeAll/afterAll），模块中的每个测试
+ * 使用从它派生的测试级上下文（传给 beforeEach/afterEach 和测试的 run）：
+ *
+ * - http:      指向学生API的axios实例，会自动记录创建的资源
+ * - vars:      模块内共享的变量（声明式规格的捕获变量也保存在这里）
+ * - state:     模块内共享的状态，通常由 beforeAll 写入
+ * - fixture(): 按名称获取模块 fixtures 中定义的夹具，同一测试内只创建一次
+ * - onCleanup(): 注册清理函数
+ * - fuzz:      模糊测试的种子和输入数量 { seed, baseSeed, runs }，见 fuzzer.js
+ * - load:      负载测试的并发数和持续时间 { concurrency, duration }，见 load-tester.js
+ * - strict:    严格模式，警告级评分细则按普通细则处理，见 scoring.js
+ * - har:       HTTP流量记录 { log, pageref }，ctx.http 的请求会记录到对应页面，见 har-recorder.js
+ * - matchSnapshot(): 将数据与保存的快照比较，见 snapshot.js
+ * - namespace: 本次运行中模块的数据命名空间，并行运行的模块用 namespaced() 生成的标题区分各自的数据
+ * - signal:    测试超时后被中止的AbortSignal，ctx.http 的请求已自动使用，其他异步操作可以自行检查
+ *
+ * 测试级上下文创建的资源在测试结束后按创建的相反顺序清理，
+ * 模块级上下文创建的资源在模块结束后清理。
+ */
+export class TestContext {
+  /**
+   * @param {Object} options
+   * @param {string} options.moduleId 模块ID
+   * @param {string} options.testName 测试名称，模块级上下文为null
+   * @param {Object} options.module 模块定义
+   * @param {string} options.baseUrl 学生API基础URL
+   * @param {Object} options.headers 每个请求附带的默认请求头
+   * @param {number} options.timeout 每个请求的超时时间（毫秒），0表示不限制
+   * @param {Object} options.fuzz 模糊测试设置 { seed, baseSeed, runs }
+   * @param {Object} options.load 负载测试设置 { concurrency, duration }
+   * @param {boolean} options.strict 是否为严格模式
+   * @param {Object} options.har HTTP流量记录 { log, pageref }，为null时不记录
+   * @param {Object} options.snapshots 本次运行的快照会话，见 Snapshot.createSession
+   * @param {string} options.namespace 数据命名空间，设置后每个请求附带 X-Test-Namespace 请求头
+   * @param {TestContext} options.parent 父上下文（测试级上下文指向模块级上下文）
+   */
+  constructor({ moduleId, testName = null, module, baseUrl, headers = {}, timeout = 0, fuzz = null, load = null, strict = false, har = null, snapshots = null, namespace = null, parent = null }) {
+    this.moduleId = moduleId;
+    this.testName = testName;
+    this.module = module;
+    this.baseUrl = baseUrl;
+    this.headers = headers;
+    this.timeout = timeout;
+    this.fuzz = fuzz;
+    this.load = load;
+    this.strict = strict;
+    this.har = har;
+    this.snapshots = snapshots || Snapshot.createSession();
+    this.namespace = namespace;
+    this.parent = parent;
+    this.vars = parent ? parent.vars : {};
+    this.state = parent ? parent.state : {};
+    this.trackedCollections = module.trackResources || DEFAULT_TRACKED_COLLECTIONS;
+
+    this.cleanups = [];
+    this.fixtureValues = new Map();
+    this.abortController = new AbortController();
+    this.http = this.createHttpClient();
+  }
+
+  /**
+   * 创建带资源跟踪的HTTP客户端
+   * @returns {Object} axios实例
+   */
+  createHttpClient() {
+    const headers = this.namespace ? { ...this.headers, [NAMESPACE_HEADER]: this.namespace } : this.headers;
+    const http = axios.create({ baseURL: this.baseUrl, headers, timeout: this.timeout });
+
+    // 超时中止后，测试体仍在发出的请求会立即失败；清理请求带 cleanup 标记，不受中止影响
+    http.interceptors.request.use(config => {
+      if (!config.cleanup && !config.signal) {
+        config.signal = this.abortController.signal;
+      }
+      return config;
+    });
+
+    http.interceptors.response.use(response => {
+      this.trackResponse(response);
+      return response;
+    });
+
+    if (this.har) {
+      HarRecorder.attach(http, this.har.log, this.har.pageref);
+    }
+
+    return http;
+  }
+
+  /**
+   * 当前的中止信号
+   * @returns {AbortSignal}
+   */
+  get signal() {
+    return this.abortController.signal;
+  }
+
+  /**
+   * 中止上下文中进行中和之后发出的请求，用于测试超时后让仍在运行的测试体尽快结束
+   * @param {Error} reason 中止原因
+   */
+  abort(reason) {
+    this.abortController.abort(reason);
+  }
+
+  /**
+   * 测试体结束后恢复请求，使 afterEach 等后续钩子可以继续使用 ctx.http
+   */
+  resume() {
+    if (this.abortController.signal.aborted) {
+      this.abortController = new AbortController();
+    }
+  }
+
+  /**
+   * 根据响应记录创建或删除的资源
+   * @param {Object} response Axios响应对象
+   */
+  trackResponse(response) {
+    const method = (response.config.method || 'get').toLowerCase();
+    const requestPath = (response.config.url || '').split('?')[0].replace(/\/$/, '');
+
+    if (method === 'post' && response.status < 300 && this.trackedCollections.includes(requestPath)) {
+      const id = response.data && response.data.id;
+      if (id !== undefined && id !== null) {
+        const resourcePath = `${requestPath}/${encodeURIComponent(id)}`;
+        this.onCleanup(async () => {
+          await this.http.delete(resourcePath, { validateStatus: () => true, cleanup: true });
+        }, `DELETE ${resourcePath}`, resourcePath);
+      }
+    }
+
+    // 测试自己删除的资源不再需要清理
+    if (method === 'delete') {
+      this.forgetResource(requestPath);
+    }
+  }
+
+  /**
+   * 注册清理函数
+   * @param {Function} fn 清理函数
+   * @param {string} description 描述，用于日志
+   * @param {string} resourcePath 对应的资源路径（可选）
+   */
+  onCleanup(fn, description = '清理', resourcePath = null) {
+    this.cleanups.push({ fn, description, resourcePath });
+  }
+
+  /**
+   * 移除指定资源的清理任务（包括父上下文中的）
+   * @param {string} resourcePath 资源路径
+   */
+  forgetResource(resourcePath) {
+    for (let context = this; context; context = context.parent) {
+      context.cleanups = context.cleanups.filter(cleanup => cleanup.resourcePath !== resourcePath);
+    }
+  }
+
+  /**
+   * 将本上下文创建的资源移交给父上下文，在模块结束时再清理
+   * 用于后续测试还需要使用这些资源的情况（如声明式规格的捕获变量）
+   */
+  retainResources() {
+    if (!this.parent) return;
+    this.parent.cleanups.push(...this.cleanups);
+    this.cleanups = [];
+  }
+
+  /**
+   * 获取夹具
+   * 夹具定义在模块的 fixtures 中: fixtures: { todo: async (ctx) => {...} }
+   *
+   * @param {string} name 夹具名称
+   * @returns {Promise<*>} 夹具值
+   */
+  async fixture(name) {
+    if (!this.fixtureValues.has(name)) {
+      const factory = this.module.fixtures && this.module.fixtures[name];
+      if (typeof factory !== 'function') {
+        throw new Error(`模块 ${this.moduleId} 未定义夹具: ${name}`);
+      }
+      // 先保存Promise，避免并发获取同一夹具时重复创建
+      this.fixtureValues.set(name, Promise.resolve().then(() => factory(this)));
+    }
+
+    try {
+      return await this.fixtureValues.get(name);
+    } catch (error) {
+      throw new Error(`创建夹具 ${name} 失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 将数据与快照比较，不一致时抛出带差异列表的错误
+   * 快照键为测试名称，指定name时为 "测试名称 › name"，同一测试中多次比较需使用不同的name
+   *
+   * @param {string|null} name 快照名称
+   * @param {*} data 数据，会先规范化再比较
+   * @param {Object} options
+   * @param {string[]} options.ignore 额外忽略的字段名
+   * @returns {Object} 比较结果，见 Snapshot.match
+   */
+  matchSnapshot(name, data, options = {}) {
+    const key = [this.testName, name].filter(Boolean).join(' › ') || 'beforeAll';
+    return Snapshot.match(this.snapshots, this.moduleId, key, data, options);
+  }
+
+  /**
+   * 为文本加上命名空间标记，用于创建的数据的标题等字段
+   * @param {string} text 文本
+   * @returns {string} 带标记的文本，没有命名空间时原样返回
+   */
+  namespaced(text) {
+    return this.namespace ? `[ns:${this.namespace}] ${text}` : text;
+  }
+
+  /**
+   * 判断数据是否由本模块创建，用于在列表中排除其他并行模块的数据
+   * @param {Object} item 数据，如待办事项
+   * @param {string} field 带命名空间标记的字段
+   * @returns {boolean} 是否属于本模块，没有命名空间时始终为true
+   */
+  isOwn(item, field = 'title') {
+    if (!this.namespace) return true;
+    return Boolean(item) && typeof item[field] === 'string' && item[field].startsWith(`[ns:${this.namespace}] `);
+  }
+
+  /**
+   * 派生测试级上下文
+   * @param {Object} options 覆盖的选项，如 { testName, timeout, fuzz, load, strict, har }
+   * @returns {TestContext} 新的上下文
+   */
+  createChild(options = {}) {
+    return new TestContext({
+      moduleId: this.moduleId,
+      testName: this.testName,
+      module: this.module,
+      baseUrl: this.baseUrl,
+      headers: this.headers,
+      timeout: this.timeout,
+      fuzz: this.fuzz,
+      load: this.load,
+      strict: this.strict,
+      har: this.har,
+      snapshots: this.snapshots,
+      namespace: this.namespace,
+      ...options,
+      parent: this
+    });
+  }
+
+  /**
+   * 执行所有清理任务，清理失败只记录不抛出
+   * @returns {Promise<string[]>} 清理失败的信息
+   */
+  async cleanup() {
+    const errors = [];
+    const cleanups = this.cleanups.reverse();
+    this.cleanups = [];
+
+    for (const { fn, description } of cleanups) {
+      try {
+        await fn();
+      } catch (error) {
+        errors.push(`${description}: ${error.message}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      console.warn(`清理测试数据时出错: ${errors.join('; ')}`);
+    }
+    return errors;
+  }
+}
+
+export default TestContext;
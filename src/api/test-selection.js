@@ -0,0 +1,174 @@
+// src/api/test-selection.js
+// 测试选择：按模块、名称和标签只运行部分测试，便于反复调试某个失败的接口
+
+/**
+ * 选择条件
+ *
+ * - modules: 只运行这些模块，可以包括未激活的模块；未指定时为本次会运行的所有模块
+ * - grep:    测试名称匹配该正则表达式（不区分大小写）
+ * - tags:    测试带有其中任一标签；测试的标签为模块的 tags 加上测试自己的 tags
+ * - exclude: 排除名称匹配该正则表达式或带有同名标签的测试
+ *
+ * 多个条件同时满足的测试才会运行。选中的测试通过 dependsOn 依赖的测试会被自动选中，
+ * 否则它们会因为依赖未运行而被跳过；但被 exclude 排除的依赖不会被选回，
+ * 依赖它的测试会被跳过，跳过原因中给出被排除的依赖。
+ */
+
+/**
+ * 将选项转换为字符串列表，支持重复的选项和逗号分隔的值
+ * @param {string|string[]} value 选项值
+ * @returns {string[]} 去重后的列表
+ */
+function toList(value) {
+  return [...new Set([].concat(value || [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean))];
+}
+
+/**
+ * 编译名称匹配表达式
+ * @param {string} pattern 正则表达式
+ * @param {string} option 选项名称，用于错误信息
+ * @returns {RegExp|null} 正则表达式，未指定时为null
+ */
+function compilePattern(pattern, option) {
+  if (!pattern) return null;
+
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (error) {
+    throw new Error(`${option} 不是有效的正则表达式: ${error.message}`);
+  }
+}
+
+export const TestSelection = {
+  /**
+   * 创建选择条件
+   * @param {Object} options
+   * @param {string|string[]} options.modules 模块ID
+   * @param {string} options.grep 测试名称的正则表达式
+   * @param {string|string[]} options.tags 标签
+   * @param {string} options.exclude 排除的测试名称正则表达式或标签
+   * @returns {Object|null} 选择条件 { modules, grep, tags, exclude }，没有任何条件时为null
+   */
+  create({ modules = [], grep = null, tags = [], exclude = null } = {}) {
+    const selection = {
+      modules: toList(modules),
+      grep: grep || null,
+      tags: toList(tags),
+      exclude: exclude || null
+    };
+
+    // 提前检查表达式，避免运行到一半才报错
+    compilePattern(selection.grep, '--grep');
+    compilePattern(selection.exclude, '--exclude');
+
+    const empty = selection.modules.length === 0 && !selection.grep && selection.tags.length === 0 && !selection.exclude;
+    return empty ? null : selection;
+  },
+
+  /**
+   * 获取测试的标签
+   * @param {Object} module 模块定义
+   * @param {Object} test 测试定义
+   * @returns {string[]} 模块标签和测试标签
+   */
+  getTags(module, test) {
+    return [...new Set([...toList(module.tags), ...toList(test.tags)])];
+  },
+
+  /**
+   * 判断测试是否满足选择条件（不含模块条件）
+   * @param {Object} selection 选择条件
+   * @param {Object} module 模块定义
+   * @param {Object} test 测试定义
+   * @returns {boolean} 是否选中
+   */
+  matches(selection, module, test) {
+    const tags = this.getTags(module, test);
+    const grep = compilePattern(selection.grep, '--grep');
+
+    if (grep && !grep.test(test.name)) return false;
+    if (selection.tags.length > 0 && !selection.tags.some(tag => tags.includes(tag))) return false;
+    return !this.isExcluded(selection, module, test);
+  },
+
+  /**
+   * 判断测试是否被 exclude 条件排除
+   * @param {Object} selection 选择条件
+   * @param {Object} module 模块定义
+   * @param {Object} test 测试定义
+   * @returns {boolean} 是否排除
+   */
+  isExcluded(selection, module, test) {
+    const exclude = compilePattern(selection.exclude, '--exclude');
+    return Boolean(exclude) && (exclude.test(test.name) || this.getTags(module, test).includes(selection.exclude));
+  },
+
+  /**
+   * 选出要运行的测试
+   * @param {Object} selection 选择条件
+   * @param {Object} modules 所有模块 { 模块ID: 模块定义 }
+   * @param {Function} isRunnable (module) => boolean，未指定模块时判断模块本次是否运行
+   * @returns {Map<string, Object>} 模块ID -> { tests, added, excluded }，只包含至少选中一个测试的模块；
+   *          tests 为要运行的测试名称，added 为自动加入的依赖，excluded 为被 exclude 排除而没有加入的依赖
+   */
+  select(selection, modules, isRunnable) {
+    const unknown = selection.modules.filter(moduleId => !modules[moduleId]);
+    if (unknown.length > 0) {
+      throw new Error(`未知的测试模块: ${unknown.join(', ')}，可用的模块: ${Object.keys(modules).join(', ')}`);
+    }
+
+    const selected = new Map();
+    for (const [moduleId, module] of Object.entries(modules)) {
+      const candidate = selection.modules.length > 0 ? selection.modules.includes(moduleId) : isRunnable(module);
+      if (!candidate) continue;
+
+      const names = new Set(module.tests.filter(test => this.matches(selection, module, test)).map(test => test.name));
+      const added = [];
+      const excluded = new Set();
+
+      // 自动加入依赖的测试，依赖的依赖也一并加入；被排除的依赖不加入
+      const pending = [...names];
+      while (pending.length > 0) {
+        const name = pending.pop();
+        const test = module.tests.find(item => item.name === name);
+        for (const dependency of [].concat(test?.dependsOn || [])) {
+          if (names.has(dependency) || excluded.has(dependency)) continue;
+
+          const dependencyTest = module.tests.find(item => item.name === dependency);
+          if (dependencyTest && this.isExcluded(selection, module, dependencyTest)) {
+            excluded.add(dependency);
+            continue;
+          }
+          names.add(dependency);
+          added.push(dependency);
+          pending.push(dependency);
+        }
+      }
+
+      if (names.size > 0) {
+        selected.set(moduleId, { tests: names, added, excluded: [...excluded] });
+      }
+    }
+
+    return selected;
+  },
+
+  /**
+   * 生成选择条件的说明，如 "模块 todoCrud，名称匹配 /PATCH/"
+   * @param {Object} selection 选择条件
+   * @returns {string} 说明
+   */
+  describe(selection) {
+    return [
+      selection.modules.length > 0 && `模块 ${selection.modules.join(', ')}`,
+      selection.grep && `名称匹配 /${selection.grep}/`,
+      selection.tags.length > 0 && `标签 ${selection.tags.join(', ')}`,
+      selection.exclude && `排除 ${selection.exclude}`
+    ].filter(Boolean).join('，');
+  }
+};
+
+export default TestSelection;
@@ -5,7 +5,14 @@ import { ConfigManager } from '../core/config-manager.js';
 import { ReporterCore } from '../core/reporter-core.js';
 import { TestModuleManager } from '../core/test-module-manager.js';
 import { CommandHandler } from '../core/command-handler.js';
+import { HarManager } from '../core/har-manager.js';
+import { SnapshotStore } from '../core/snapshot-store.js';
+import { WatchManager } from '../core/watch-manager.js';
+import { ServerManager } from '../core/server-manager.js';
+import { MockTeacherServer } from '../core/mock-teacher-server.js';
 import inquirer from 'inquirer';
+import fs from 'fs/promises';
+import path from 'path';
 
 export const Commands = {
   // 设置配置
@@ -45,11 +52,36 @@ export const Commands = {
           default: config.autoReportInterval / 60000,
           validate: input => !isNaN(parseInt(input)) && parseInt(input) > 0 || '请输入有效的分钟数',
           filter: input => parseInt(input) * 60000
+        },
+        {
+          type: 'input',
+          name: 'studentApiUrl',
+          message: '你的API服务地址（被测试的服务）:',
+          default: ConfigManager.resolveStudentApiTarget(config).baseUrl,
+          validate: input => {
+            try {
+              new URL(input);
+              return true;
+            } catch (error) {
+              return '请输入有效的地址，如 http://localhost:3000';
+            }
+          }
         }
       ]);
       
-      // 更新配置
-      const newConfig = { ...config, ...answers };
+      // 更新配置，地址中的路径部分作为路径前缀
+      const { studentApiUrl, ...otherAnswers } = answers;
+      const studentApiUrlParts = new URL(studentApiUrl);
+      const newConfig = {
+        ...config,
+        ...otherAnswers,
+        studentApi: {
+          ...ConfigManager.DEFAULT_CONFIG.studentApi,
+          ...config.studentApi,
+          url: studentApiUrlParts.origin,
+          basePath: studentApiUrlParts.pathname === '/' ? '' : studentApiUrlParts.pathname
+        }
+      };
       
       // 处理密钥对 - 修改逻辑：始终尝试进行注册
       // 如果没有密钥对，先生成一个
@@ -97,7 +129,7 @@ export const Commands = {
   },
   
   // 单次报告
-  async reportOnce() {
+  async reportOnce(options = {}) {
     try {
       // 加载配置
       const config = await ConfigManager.loadConfig();
@@ -138,7 +170,7 @@ export const Commands = {
       }
       
       // 创建报告数据
-      const reportData = await ReporterCore.createReportData(config, authData);
+      const reportData = await ReporterCore.createReportData(config, authData, options);
       
       // 发送报告
       console.log('准备发送API状态报告...');
@@ -148,7 +180,7 @@ export const Commands = {
       
       // 处理服务器命令
       if (response.command) {
-        await CommandHandler.handleServerCommands(response);
+        await CommandHandler.handleServerCommands(response, options);
       }
       
       return response;
@@ -205,12 +237,12 @@ export const Commands = {
       console.log(`启动自动报告，间隔: ${intervalMinutes} 分钟`);
       
       // 首次立即报告 - 使用 Commands 而不是 this
-      await Commands.reportOnce();
+      await Commands.reportOnce(options);
       
       // 设置定期报告 - 使用 Commands 而不是 this
       const intervalId = setInterval(async () => {
         try {
-          await Commands.reportOnce();
+          await Commands.reportOnce(options);
         } catch (error) {
           console.error('自动报告失败:', error.message);
         }
@@ -241,6 +273,7 @@ export const Commands = {
       console.log('学号:', config.studentId || '未设置');
       console.log('姓名:', config.name || '未设置');
       console.log('自动报告间隔:', `${config.autoReportInterval / 60000} 分钟`);
+      console.log('学生API地址:', ConfigManager.resolveStudentApiTarget(config).baseUrl);
       
       if (config.keyPair) {
         console.log('\n密钥信息:');
@@ -261,15 +294,116 @@ export const Commands = {
   },
   
   // 只运行测试，不发送报告
-  async runTestsOnly() {
+  async runTestsOnly(options = {}) {
+    if (options.watch) {
+      return Commands.watchTests(options);
+    }
+    
     try {
       console.log('===== 执行API测试 =====');
-      await CommandHandler.runTests();
+      await CommandHandler.runTests(options);
     } catch (error) {
       console.error('执行测试失败:', error.message);
     }
   },
   
+  // 监视学生项目，修改后重新运行受影响的测试模块
+  async watchTests(options) {
+    try {
+      const projectDir = path.resolve(options.watch);
+      const stat = await fs.stat(projectDir).catch(() => null);
+      if (!stat || !stat.isDirectory()) {
+        throw new Error(`项目目录不存在: ${projectDir}`);
+      }
+      
+      const config = await ConfigManager.loadConfig();
+      const watchConfig = { ...ConfigManager.DEFAULT_CONFIG.watch, ...config.watch };
+      const { baseUrl } = ConfigManager.resolveStudentApiTarget(config, options);
+      // 由本工具启动服务器时每次运行都会重新启动，不需要等待学生自己重启
+      const managedServer = Boolean(ServerManager.resolveOptions(config, options));
+      const { default: StudentAPI } = await import('../api/student-api.js');
+      
+      // 所有测试最近一次的结果，部分运行后也能与之比较
+      const known = new Map();
+      let running = false;
+      let ignoreUntil = 0;
+      let timer = null;
+      const changed = new Set();
+      
+      // 等待修改停止 delay 后运行，运行期间的修改留到本次运行结束后处理
+      const schedule = () => {
+        clearTimeout(timer);
+        timer = setTimeout(async () => {
+          if (running) return;
+          const files = [...changed];
+          changed.clear();
+          try {
+            await run(files, WatchManager.findAffectedModules(files, [...known.values()]));
+          } catch (error) {
+            console.error('执行测试失败:', error.message);
+          }
+        }, watchConfig.delay);
+      };
+      
+      // 运行测试并输出与上次的差异，modules为null时按命令行选项运行
+      const run = async (files, modules) => {
+        running = true;
+        try {
+          console.log(`\n===== 执行API测试 (${new Date().toLocaleTimeString()}) =====`);
+          if (files) {
+            console.log(`检测到修改: ${files.map(file => path.relative(projectDir, file)).join(', ')}`);
+            console.log(modules ? `重新运行受影响的模块: ${modules.join(', ')}` : '无法确定受影响的模块，重新运行所有模块');
+          }
+          
+          if (!managedServer && !await WatchManager.waitForServer(baseUrl, { timeout: watchConfig.serverTimeout })) {
+            console.log(`学生服务器 ${baseUrl} 在 ${watchConfig.serverTimeout / 1000} 秒内没有响应，等待下一次修改`);
+            return;
+          }
+          
+          const previous = StudentAPI.lastTestResults;
+          await CommandHandler.runTests(modules ? { ...options, module: modules } : options);
+          const results = StudentAPI.lastTestResults;
+          if (!results || results === previous) return;
+          
+          if (known.size > 0) {
+            WatchManager.printDiff(WatchManager.diffResults(known, results.tests));
+          }
+          WatchManager.remember(known, results.tests);
+        } finally {
+          running = false;
+          // 测试结束后学生服务器可能还在写入数据文件，稍后再响应其他文件的修改
+          ignoreUntil = Date.now() + watchConfig.delay;
+          if (changed.size > 0) {
+            console.log(`\n运行期间有 ${changed.size} 个文件被修改，再运行一次`);
+            schedule();
+          } else {
+            console.log(`\n监视中: ${projectDir}，按 Ctrl+C 停止`);
+          }
+        }
+      };
+      
+      const watcher = WatchManager.watchTree(projectDir, filePath => {
+        // 运行期间只记录源代码的修改，数据文件的修改来自测试请求
+        if ((running || Date.now() < ignoreUntil) && !WatchManager.isSourceFile(filePath)) return;
+        
+        changed.add(filePath);
+        if (!running) schedule();
+      }, watchConfig.ignore);
+      
+      // 监听退出信号
+      process.on('SIGINT', () => {
+        clearTimeout(timer);
+        watcher.close();
+        console.log('\n监视已停止');
+        process.exit(0);
+      });
+      
+      await run(null, null);
+    } catch (error) {
+      console.error('启动监视模式失败:', error.message);
+    }
+  },
+  
   // 显示测试模块状态
   async showModules() {
     try {
@@ -288,12 +422,164 @@ export const Commands = {
         console.log(`- ${moduleId}: ${status.name}`);
         console.log(`  描述: ${status.description}`);
         console.log(`  状态: ${active ? '激活' : '未激活'}`);
+        console.log(`  来源: ${status.source || '内置'}`);
+        if (status.tags.length > 0) {
+          console.log(`  标签: ${status.tags.join(', ')}`);
+        }
         console.log(`  测试数: ${status.testCount}\n`);
       }
       
     } catch (error) {
       console.error('获取测试模块状态失败:', error.message);
     }
+  },
+  
+  // 查看测试运行的HTTP流量记录
+  async showHar(file, options = {}) {
+    try {
+      if (options.list) {
+        const files = await HarManager.list();
+        console.log('\n===== HTTP流量记录 =====');
+        if (files.length === 0) {
+          console.log('还没有HTTP流量记录，请先运行测试');
+        }
+        files.forEach((item, index) => {
+          console.log(`${index + 1}. ${item.name}  ${(item.size / 1024).toFixed(1)}KB  ${item.modified.toLocaleString()}`);
+        });
+        return;
+      }
+      
+      const { path: filePath, har } = await HarManager.load(file);
+      console.log(`\n===== HTTP流量记录: ${filePath} =====`);
+      
+      const pages = har.log.pages.filter(page => {
+        if (options.failed && page._status !== 'failed') return false;
+        if (options.test && !page.id.includes(options.test)) return false;
+        return true;
+      });
+      
+      for (const page of pages) {
+        const entries = har.log.entries.filter(entry => entry.pageref === page.id);
+        if (entries.length === 0 && !page._status) continue;
+        
+        const mark = page._status === 'failed' ? '❌' : page._status === 'passed' ? '✅' : '•';
+        console.log(`\n${mark} ${page.id}`);
+        if (page._error) {
+          console.log(`  失败原因: ${page._error}`);
+        }
+        
+        for (const entry of entries) {
+          const status = entry.response.status || `无响应 (${entry._error})`;
+          console.log(`  ${entry.request.method} ${entry.request.url} → ${status} (${entry.time}ms)`);
+          
+          if (options.full) {
+            entry.request.headers.forEach(header => console.log(`    > ${header.name}: ${header.value}`));
+            if (entry.request.postData) {
+              console.log(`    > ${entry.request.postData.text}`);
+            }
+            entry.response.headers.forEach(header => console.log(`    < ${header.name}: ${header.value}`));
+            if (entry.response.content.text) {
+              console.log(`    < ${entry.response.content.text}`);
+            }
+          }
+        }
+        
+        if (page._droppedEntries) {
+          console.log(`  ……另有 ${page._droppedEntries} 个请求未记录`);
+        }
+      }
+      
+      if (pages.length === 0) {
+        console.log('没有符合条件的测试');
+      }
+    } catch (error) {
+      console.error('查看HTTP流量记录失败:', error.message);
+    }
+  },
+  
+  // 审查、批准或拒绝快照变化
+  async manageSnapshots(action = 'review', indexes = [], options = {}) {
+    try {
+      if (action === 'delete') {
+        if (!options.module) {
+          console.error('请使用 --module 指定要删除快照的模块');
+          return;
+        }
+        const existed = await SnapshotStore.deleteModule(options.module);
+        console.log(existed ? `已删除模块 ${options.module} 的快照，下次运行时重新记录` : `模块 ${options.module} 没有保存的快照`);
+        return;
+      }
+      
+      if (action === 'approve' || action === 'reject') {
+        if (indexes.length === 0 && !options.all) {
+          console.error('请指定要处理的序号，或使用 --all 处理全部');
+          return;
+        }
+        
+        const resolved = await SnapshotStore.resolvePending(action, options.all ? null : indexes.map(Number));
+        const verb = action === 'approve' ? '批准' : '拒绝';
+        resolved.forEach(item => console.log(`已${verb}: ${item.moduleId} › ${item.key}`));
+        console.log(`共${verb} ${resolved.length} 个快照变化`);
+        return;
+      }
+      
+      if (action !== 'review') {
+        console.error(`未知操作: ${action}，可用操作: review、approve、reject、delete`);
+        return;
+      }
+      
+      const pending = await SnapshotStore.listPending();
+      console.log('\n===== 待审查的快照变化 =====');
+      if (pending.length === 0) {
+        console.log('没有待审查的快照变化');
+        return;
+      }
+      
+      for (const item of pending) {
+        console.log(`\n${item.index}. ${item.moduleId} › ${item.key}  (${new Date(item.recordedAt).toLocaleString()})`);
+        item.diff.forEach(line => console.log(`   - ${line}`));
+      }
+      console.log('\n使用 course-reporter snapshots approve <序号...> 接受新结果，reject <序号...> 保留原快照，--all 处理全部');
+    } catch (error) {
+      console.error('处理快照失败:', error.message);
+    }
+  },
+
+  // 启动模拟教师服务器，用于在本地测试注册、认证和报告流程
+  async startMockServer(options = {}) {
+    try {
+      const commands = options.commands ? await MockTeacherServer.loadCommands(options.commands) : [];
+      (options.command || []).forEach(text => commands.push(MockTeacherServer.parseCommand(text)));
+
+      const state = MockTeacherServer.createState({
+        commands,
+        reportDir: options.reportDir ? path.resolve(options.reportDir) : null
+      });
+      const mock = await MockTeacherServer.start({
+        port: options.port ?? MockTeacherServer.DEFAULT_PORT,
+        host: options.host,
+        basePath: options.basePath ?? MockTeacherServer.DEFAULT_BASE_PATH,
+        state
+      });
+
+      console.log(`===== 模拟教师服务器已启动: ${mock.url} =====`);
+      console.log(`将配置项 apiUrl 设为 ${mock.url} 后运行 setup 和 report 命令`);
+      if (state.commands.length > 0) {
+        console.log(`排队的服务器命令: ${state.commands.map(item => item.command).join(', ')}`);
+      }
+      if (state.reportDir) {
+        console.log(`收到的报告保存在: ${state.reportDir}`);
+      }
+      console.log(`查看收到的报告: ${mock.url}/mock/reports，按 Ctrl+C 退出`);
+
+      process.once('SIGINT', async () => {
+        await mock.close();
+        console.log(`\n模拟教师服务器已关闭，共收到 ${state.reports.length} 个报告`);
+        process.exit(0);
+      });
+    } catch (error) {
+      console.error('启动模拟教师服务器失败:', error.message);
+    }
   }
 };
 
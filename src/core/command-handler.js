@@ -2,14 +2,31 @@
 // 处理服务器发送的命令
 
 import { TestModuleManager } from './test-module-manager.js';
+import { ConfigManager } from './config-manager.js';
+import { ContractManager } from './contract-manager.js';
+import { HarManager } from './har-manager.js';
+import { SnapshotStore } from './snapshot-store.js';
+import { ServerManager } from './server-manager.js';
+
+/**
+ * 检查命令行中的数量选项，commander 对无效输入解析出 NaN
+ * @param {*} value 选项值，未指定时为undefined
+ * @param {string} option 选项名称，用于错误信息
+ */
+function assertPositiveInteger(value, option) {
+  if (value !== undefined && !(Number.isInteger(value) && value >= 1)) {
+    throw new Error(`${option} 应为正整数`);
+  }
+}
 
 export const CommandHandler = {
   /**
    * 处理服务器命令
    * @param {Object} response 服务器响应
+   * @param {Object} options 当前命令的命令行选项，测试类命令沿用其中的测试目标设置
    * @returns {Promise<boolean>} 命令处理结果
    */
-  async handleServerCommands(response) {
+  async handleServerCommands(response, options = {}) {
     if (!response) return false;
     
     // 提取命令和参数
@@ -26,13 +43,23 @@ export const CommandHandler = {
         return await TestModuleManager.handleModuleCommand(command, params);
       }
       
+      // 处理测试模块包安装命令
+      if (command === 'INSTALL_MODULE_PACK') {
+        return await TestModuleManager.installModulePack(params);
+      }
+      
+      // 处理OpenAPI文档下发命令
+      if (command === 'INSTALL_OPENAPI') {
+        return await TestModuleManager.installOpenApiSpec(params);
+      }
+      
       // 处理内置命令
       if (command === 'RUN_TEST') {
-        return await this.runTests();
+        return await this.runTests({ ...options, report: true });
       }
 
       if (command === 'CLEAN_DATA') {
-        return await this.cleanData();
+        return await this.cleanData(options);
       }
       
       // 处理重置密钥命令
@@ -58,22 +85,123 @@ export const CommandHandler = {
   
   /**
    * 运行测试
+   * @param {Object} options 命令行选项，覆盖配置中的测试目标、超时、重试、模糊测试、负载测试、严格模式、OpenAPI文档和快照设置，
+   *                         test 命令还可以通过 module/grep/tag/exclude 只运行部分测试，
+   *                         start/serverDir 指定测试前启动学生服务器的命令和目录，
+   *                         report 为true时是报告前的测试，不运行本地OpenAPI文档生成的契约测试
    * @returns {Promise<boolean>} 测试结果
    */
-  async runTests() {
+  async runTests(options = {}) {
     try {
       console.log('执行测试命令...');
+      assertPositiveInteger(options.parallel, '--parallel');
+      assertPositiveInteger(options.concurrency, '--concurrency');
       
       // 动态导入学生API
       const { default: StudentAPI } = await import('../api/student-api.js');
+      const config = await ConfigManager.loadConfig();
+      
+      StudentAPI.configureTarget(ConfigManager.resolveStudentApiTarget(config, options));
+      console.log(`测试目标: ${StudentAPI.getTarget().baseUrl}`);
+      
+      // 本地OpenAPI文档生成的契约测试只在 test 命令中运行，报告时只使用服务器下发并签名的文档
+      if (!options.report) {
+        for (const { moduleId, module } of await ContractManager.loadLocalModules(config, options.openapi)) {
+          StudentAPI.registerTestModule(moduleId, module);
+        }
+      }
+      
+      // 配置了启动命令时先启动学生服务器，测试结束后关闭
+      const target = StudentAPI.getTarget();
+      const serverOptions = ServerManager.resolveOptions(config, options);
+      let server = null;
+      if (serverOptions) {
+        try {
+          server = await ServerManager.start(serverOptions, target);
+        } catch (error) {
+          // 仍然运行测试，测试结果中附带服务器的输出，说明测试失败的原因
+          server = error.server || null;
+          console.error('启动学生服务器失败:', error.message);
+        }
+      } else if (!await ServerManager.isReachable(target.baseUrl)) {
+        console.warn(`无法连接学生服务器 ${target.baseUrl}，请先启动服务器，或使用 --start "npm start" 由本工具启动`);
+      }
       
       // 运行测试
-      const results = await StudentAPI.runCustomTests();
+      let results;
+      try {
+        results = await StudentAPI.runCustomTests({
+          timeout: options.timeout ?? config.testTimeout,
+          retries: options.retries ?? config.testRetries,
+          parallelism: options.parallel ?? config.parallelism,
+          selection: {
+            modules: options.module,
+            grep: options.grep,
+            tags: options.tag,
+            exclude: options.exclude
+          },
+          fuzz: options.fuzz,
+          seed: options.seed,
+          fuzzRuns: options.fuzzRuns ?? config.fuzzRuns,
+          load: options.load,
+          concurrency: options.concurrency ?? config.loadTest?.concurrency,
+          loadDuration: options.duration ?? config.loadTest?.duration,
+          strict: options.strict ?? config.strictWarnings,
+          har: config.har?.enabled ?? true,
+          snapshots: {
+            baseline: await SnapshotStore.loadBaseline(),
+            enabled: Boolean(options.snapshot || options.updateSnapshots),
+            update: Boolean(options.updateSnapshots)
+          }
+        });
+      } finally {
+        await ServerManager.stop(server);
+      }
+      
+      // 服务器的启动信息和输出随测试结果附加到报告中
+      if (server) {
+        results.serverLog = ServerManager.getLog(server);
+      }
       
       // 由于我们修改了runCustomTests方法以返回正确格式的结果，
       // 这里不再需要重新格式化结果
       
-      console.log(`测试完成: ${results.totalPassed}/${results.totalPassed + results.totalFailed} 通过`);
+      const total = results.totalPassed + results.totalFailed + (results.totalSkipped || 0);
+      console.log(`测试完成: ${results.totalPassed}/${total} 通过，${results.totalSkipped || 0} 跳过`);
+      if (results.selection) {
+        console.log(`注意: 本次只运行了选中的 ${results.selection.tests} 个测试（${results.selection.description}），不是完整的测试结果`);
+      }
+      if (results.flakyTests && results.flakyTests.length > 0) {
+        console.log(`不稳定的测试（重试后通过）: ${results.flakyTests.join(', ')}`);
+      }
+      if (results.totalWarnings > 0) {
+        console.log(`警告: ${results.totalWarnings} 项（不影响得分，严格模式下按失败处理）`);
+      }
+      if (results.contract) {
+        const { contract } = results;
+        console.log(`OpenAPI契约覆盖率: ${contract.covered}/${contract.total} 个操作已测试 (${contract.coverage})，${contract.conforming} 个符合文档 (${contract.conformance})`);
+      }
+      // 保存本次运行的HTTP流量记录，报告中的harFile指向该文件
+      if (StudentAPI.lastHar) {
+        try {
+          results.harFile = await HarManager.save(StudentAPI.lastHar, config.har?.keep ?? HarManager.DEFAULT_KEEP);
+          console.log(`HTTP流量记录: ${results.harFile}（使用 course-reporter har 查看）`);
+        } catch (error) {
+          console.warn('保存HTTP流量记录失败:', error.message);
+        }
+      }
+      // 保存新快照，不一致的结果等待审查
+      const snapshotResults = StudentAPI.lastSnapshots ? StudentAPI.lastSnapshots.results : [];
+      if (snapshotResults.length > 0) {
+        const { saved, pending } = await SnapshotStore.saveResults(snapshotResults);
+        console.log(`快照: ${results.snapshots.matched} 个一致，${saved} 个已保存，${pending} 个不一致`);
+        if (pending > 0) {
+          console.log('使用 course-reporter snapshots 查看差异，确认是预期的变化后批准');
+        }
+      }
+      if (results.fuzz) {
+        console.log(`模糊测试种子: ${results.fuzz.seed}（使用 --seed ${results.fuzz.seed} 重现）`);
+      }
       return true;
     } catch (error) {
       console.error('运行测试失败:', error.message);
@@ -83,14 +211,17 @@ export const CommandHandler = {
   
   /**
    * 清理数据
+   * @param {Object} options 命令行选项，覆盖配置中的测试目标
    * @returns {Promise<boolean>} 清理结果
    */
-  async cleanData() {
+  async cleanData(options = {}) {
     try {
       console.log('执行数据清理命令...');
       
       // 动态导入学生API
       const { default: StudentAPI } = await import('../api/student-api.js');
+      const config = await ConfigManager.loadConfig();
+      StudentAPI.configureTarget(ConfigManager.resolveStudentApiTarget(config, options));
       
       // 清理数据
       const result = await StudentAPI.cleanData();
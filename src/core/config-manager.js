@@ -22,7 +22,42 @@ export const ConfigManager = {
     name: '', // 学生姓名
     apiVersion: '1.0.0', // API版本
     autoReportInterval: 15 * 60 * 1000, // 默认15分钟
-    keyPair: null // 密钥对信息
+    keyPair: null, // 密钥对信息
+    studentApi: { // 被测试的学生API
+      url: 'http://localhost:3000', // 服务地址（协议、主机和端口）
+      basePath: '', // 路径前缀，如 /api
+      headers: {}, // 每个测试请求附带的请求头
+      authToken: '' // 认证令牌，以 Authorization: Bearer 方式发送
+    },
+    testTimeout: 10000, // 每个测试的超时时间（毫秒）
+    testRetries: 0, // 测试失败后的重试次数
+    parallelism: 1, // 同时运行的测试模块数，1为依次运行
+    fuzzRuns: 50, // 每个模糊测试检查的随机输入数量
+    strictWarnings: false, // 严格模式：警告级评分细则（如安全检查）按失败处理
+    loadTest: { // 性能和负载测试
+      concurrency: 10, // 并发请求数
+      duration: 5000 // 每个负载测试的持续时间（毫秒）
+    },
+    har: { // HTTP流量记录
+      enabled: true, // 是否把测试中的所有请求和响应保存为HAR文件
+      keep: 10, // 保留最近几次运行的记录
+      attachToReport: false // 是否在报告中附加失败测试的请求和响应（认证信息会被隐藏）
+    },
+    studentServer: { // 由本工具启动的学生服务器 (--start)
+      command: null, // 启动命令，如 "npm start"，为null时不启动，需要学生自己运行服务器
+      cwd: null, // 执行命令的目录，默认为当前目录
+      healthPath: null, // 健康检查路径，如 /health，要求返回2xx；为null时能连接学生API即可
+      env: {}, // 额外的环境变量，PORT 会自动设为学生API的端口
+      startTimeout: 30000, // 等待服务器启动的最长时间（毫秒）
+      stopTimeout: 5000, // 等待服务器正常退出的时间（毫秒），超时后强制结束
+      maxLogLines: 200 // 附加到报告中的服务器输出行数
+    },
+    watch: { // 监视模式 (test --watch)
+      delay: 1000, // 最后一次修改后等待多久再重新运行（毫秒），留给学生服务器重新启动的时间
+      serverTimeout: 30000, // 等待学生服务器重新启动的最长时间（毫秒）
+      ignore: [] // 额外忽略的文件名或目录名，如 db.json
+    },
+    openApiSpec: null // 本地OpenAPI文档路径，设置后 test 命令根据文档生成本地契约测试，不影响服务器下发的文档
   },
   
   /**
@@ -107,6 +142,54 @@ export const ConfigManager = {
     }
   },
   
+  /**
+   * 解析学生API目标地址
+   * 优先级：命令行选项 > 环境变量 > 配置文件 > 默认值
+   *
+   * @param {Object} config 配置对象
+   * @param {Object} overrides 命令行选项 { apiUrl, port, basePath, header, token }
+   * @returns {Object} { url, baseUrl, port, basePath, headers, authToken }
+   */
+  resolveStudentApiTarget(config = {}, overrides = {}) {
+    const defaults = this.DEFAULT_CONFIG.studentApi;
+    const configured = { ...defaults, ...(config.studentApi || {}) };
+    
+    const url = new URL(overrides.apiUrl || process.env.STUDENT_API_URL || configured.url || defaults.url);
+    const port = overrides.port || process.env.STUDENT_API_PORT;
+    if (port) {
+      url.port = String(port);
+    }
+    
+    // 未单独指定路径前缀时，使用地址中自带的路径
+    let basePath = overrides.basePath ?? process.env.STUDENT_API_BASE_PATH ?? configured.basePath;
+    basePath = (basePath || url.pathname).replace(/^\/+|\/+$/g, '');
+    basePath = basePath ? `/${basePath}` : '';
+    
+    const headers = { ...configured.headers };
+    for (const header of [].concat(overrides.header || [])) {
+      const separator = header.indexOf(':');
+      if (separator <= 0) {
+        throw new Error(`请求头格式不正确: ${header}，应为 "名称: 值"`);
+      }
+      headers[header.slice(0, separator).trim()] = header.slice(separator + 1).trim();
+    }
+    
+    const authToken = overrides.token || process.env.STUDENT_API_TOKEN || configured.authToken || '';
+    if (authToken) {
+      headers.Authorization = `Bearer ${authToken}`;
+    }
+    
+    const origin = url.origin;
+    return {
+      url: origin,
+      baseUrl: `${origin}${basePath}`,
+      port: Number(url.port) || (url.protocol === 'https:' ? 443 : 80),
+      basePath,
+      headers,
+      authToken
+    };
+  },
+  
   /**
    * 获取密钥路径
    * @returns {Object} 包含公钥和私钥路径的对象
@@ -0,0 +1,159 @@
+// src/core/contract-manager.js
+// OpenAPI文档管理，从本地文件或教师服务器下发的文档生成契约测试模块
+
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { ModulePackManager } from './module-pack-manager.js';
+import { OpenApiContract } from '../api/openapi-contract.js';
+
+/**
+ * OpenAPI文档来源：
+ *
+ * 1. 教师服务器通过 INSTALL_OPENAPI 命令下发的文档，params.spec 是文档内容（JSON或YAML），
+ *    params.signature 是服务器私钥对该内容的 SHA256 签名（Base64），与模块包使用同一个公钥验证。
+ *    生成的契约测试模块（openapiContract）计分，报告时只使用这份文档
+ * 2. test 命令的 --openapi <file> 选项或配置中的 openApiSpec 文件路径（前者优先）。
+ *    生成的契约测试模块（localOpenapiContract）是本地模块，不会替换服务器下发的文档，
+ *    只在 test 命令中运行，结果标记为本地模块
+ */
+export const ContractManager = {
+  // 服务器下发的文档保存位置
+  INSTALLED_SPEC_FILE: path.join(os.homedir(), '.course-reporter', 'openapi-spec.json'),
+  // 本地文档生成的契约测试模块ID，与服务器下发的文档生成的模块区分
+  LOCAL_MODULE_ID: 'localOpenapiContract',
+
+  /**
+   * 从本地文件加载OpenAPI文档
+   * @param {string} filePath 文档路径，.json/.yaml/.yml
+   * @returns {Promise<Object>} OpenAPI文档
+   */
+  async loadSpecFile(filePath) {
+    const content = await fs.readFile(filePath, 'utf8');
+
+    try {
+      return OpenApiContract.parseDocument(content);
+    } catch (error) {
+      throw new Error(`解析OpenAPI文档 ${filePath} 失败: ${error.message}`);
+    }
+  },
+
+  /**
+   * 验证服务器下发的文档签名
+   * @param {string} content 文档内容
+   * @param {string} signature 签名（Base64编码）
+   * @throws {Error} 签名无效时抛出
+   */
+  verifySpec(content, signature) {
+    if (typeof content !== 'string' || !signature) {
+      throw new Error('OpenAPI文档缺少内容或签名');
+    }
+
+    if (!ModulePackManager.verifyTeacherSignature(content, signature)) {
+      throw new Error('OpenAPI文档签名验证失败，拒绝安装');
+    }
+  },
+
+  /**
+   * 验证并保存服务器下发的文档
+   * @param {Object} params 服务器命令参数 { spec, signature }
+   * @returns {Promise<Object>} 契约测试模块 { moduleId, module }
+   */
+  async installSpec(params) {
+    const { spec: content, signature } = params;
+
+    this.verifySpec(content, signature);
+    const document = OpenApiContract.parseDocument(content);
+
+    await fs.mkdir(path.dirname(this.INSTALLED_SPEC_FILE), { recursive: true });
+    await fs.writeFile(
+      this.INSTALLED_SPEC_FILE,
+      JSON.stringify({
+        spec: content,
+        signature,
+        installedAt: new Date().toISOString()
+      }, null, 2)
+    );
+
+    const info = document.info || {};
+    console.log(`已安装OpenAPI文档: ${info.title || '未命名文档'}@${info.version || '未知版本'}`);
+    return this.createModule(document, '教师服务器下发的OpenAPI文档');
+  },
+
+  /**
+   * 加载服务器下发的文档，每次加载都会重新验证签名
+   * @returns {Promise<Object|null>} OpenAPI文档，未安装时为null
+   */
+  async loadInstalledSpec() {
+    let installed;
+    try {
+      installed = JSON.parse(await fs.readFile(this.INSTALLED_SPEC_FILE, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    this.verifySpec(installed.spec, installed.signature);
+    return OpenApiContract.parseDocument(installed.spec);
+  },
+
+  /**
+   * 根据文档创建契约测试模块
+   * @param {Object} document OpenAPI文档
+   * @param {string} source 文档来源
+   * @returns {Object} { moduleId, module }
+   */
+  createModule(document, source) {
+    return {
+      moduleId: OpenApiContract.MODULE_ID,
+      module: OpenApiContract.createModule(document, { source })
+    };
+  },
+
+  /**
+   * 根据本地文档创建契约测试模块，标记为本地模块
+   * @param {Object} document OpenAPI文档
+   * @param {string} source 文档路径
+   * @returns {Object} { moduleId, module }
+   */
+  createLocalModule(document, source) {
+    return {
+      moduleId: this.LOCAL_MODULE_ID,
+      module: { ...OpenApiContract.createModule(document, { source }), sourceType: 'local' }
+    };
+  },
+
+  /**
+   * 加载服务器下发的文档并生成契约测试模块
+   * @returns {Promise<Object[]>} 模块列表 [{ moduleId, module }]，没有文档时为空
+   */
+  async loadModules() {
+    try {
+      const document = await this.loadInstalledSpec();
+      return document ? [this.createModule(document, '教师服务器下发的OpenAPI文档')] : [];
+    } catch (error) {
+      console.error(`加载OpenAPI文档失败 (${this.INSTALLED_SPEC_FILE}):`, error.message);
+      return [];
+    }
+  },
+
+  /**
+   * 加载本地文档并生成本地契约测试模块
+   * @param {Object} config 配置对象
+   * @param {string} filePath 命令行指定的文档路径，优先于配置中的 openApiSpec
+   * @returns {Promise<Object[]>} 模块列表 [{ moduleId, module }]，没有指定文档时为空
+   */
+  async loadLocalModules(config = {}, filePath = null) {
+    const specFile = filePath || config.openApiSpec;
+    if (!specFile) return [];
+
+    try {
+      return [this.createLocalModule(await this.loadSpecFile(specFile), specFile)];
+    } catch (error) {
+      console.error(`加载OpenAPI文档失败 (${specFile}):`, error.message);
+      return [];
+    }
+  }
+};
+
+export default ContractManager;
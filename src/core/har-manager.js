@@ -0,0 +1,219 @@
+// src/core/har-manager.js
+// HTTP流量记录文件管理，保存每次测试运行的HAR文件并提供查看和附加到报告的功能
+
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+
+// 默认保留的HAR文件数量
+const DEFAULT_KEEP = 10;
+// 附加到报告或分享前隐藏的请求头/响应头
+const SENSITIVE_HEADERS = ['authorization', 'cookie', 'set-cookie', 'proxy-authorization'];
+// 附加到报告前隐藏的请求体/响应体字段，比较时忽略大小写、下划线和连字符（如 access_token）
+const SENSITIVE_BODY_KEYS = ['password', 'token', 'accesstoken', 'refreshtoken', 'secret'];
+// 隐藏后的值
+const REDACTED = '[已隐藏]';
+
+/**
+ * 判断字段名是否为敏感字段
+ * @param {string} key 字段名
+ * @returns {boolean} 是否敏感
+ */
+function isSensitiveKey(key) {
+  return SENSITIVE_BODY_KEYS.includes(key.toLowerCase().replace(/[_-]/g, ''));
+}
+
+/**
+ * 解码URL编码的文本，无效时返回原文本
+ * @param {string} text 文本
+ * @returns {string} 解码后的文本
+ */
+function decodeURIComponentSafe(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * 隐藏请求体或响应体中敏感字段的值
+ * 按文本替换而不解析JSON，已截断的内容也能处理
+ * @param {string} text 内容
+ * @returns {string} 隐藏后的内容
+ */
+function redactBody(text) {
+  if (typeof text !== 'string' || !text) return text;
+
+  return text
+    // JSON 中的 "password": "..." 或 "token": 123
+    .replace(/("([^"\\]+)"\s*:\s*)("(?:[^"\\]|\\.)*"?|[^\s,{}[\]"]+)/g, (match, prefix, key) => (
+      isSensitiveKey(key) ? `${prefix}"${REDACTED}"` : match
+    ))
+    // 表单格式的 password=...
+    .replace(/(^|&)([^=&\s]+)=([^&]*)/g, (match, separator, key) => (
+      isSensitiveKey(decodeURIComponentSafe(key)) ? `${separator}${key}=${encodeURIComponent(REDACTED)}` : match
+    ));
+}
+
+/**
+ * 隐藏URL查询参数中敏感字段的值，如 ?token=...
+ * @param {string} url URL
+ * @returns {string} 隐藏后的URL
+ */
+function redactUrl(url) {
+  if (typeof url !== 'string') return url;
+
+  const match = url.match(/^([^?#]*)\?([^#]*)(#.*)?$/);
+  if (!match) return url;
+  const [, base, query, hash = ''] = match;
+  return `${base}?${redactBody(query)}${hash}`;
+}
+
+export const HarManager = {
+  // HAR文件保存目录
+  HAR_DIR: path.join(os.homedir(), '.course-reporter', 'har'),
+  DEFAULT_KEEP,
+
+  /**
+   * 隐藏认证信息后保存HAR日志，并删除超出保留数量的旧文件
+   * @param {Object} har HAR日志
+   * @param {number} keep 保留的文件数量
+   * @returns {Promise<string>} 保存的文件路径
+   */
+  async save(har, keep = DEFAULT_KEEP) {
+    await fs.mkdir(this.HAR_DIR, { recursive: true });
+
+    const fileName = `run-${new Date().toISOString().replace(/[:.]/g, '-')}.har`;
+    const filePath = path.join(this.HAR_DIR, fileName);
+    await fs.writeFile(filePath, JSON.stringify(this.redact(har), null, 2));
+
+    const files = await this.list();
+    for (const file of files.slice(Math.max(keep, 1))) {
+      await fs.unlink(file.path).catch(() => {});
+    }
+
+    return filePath;
+  },
+
+  /**
+   * 列出已保存的HAR文件，最新的在前
+   * @returns {Promise<Object[]>} [{ name, path, size, modified }]
+   */
+  async list() {
+    let fileNames;
+    try {
+      fileNames = (await fs.readdir(this.HAR_DIR)).filter(name => name.endsWith('.har'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const files = [];
+    for (const name of fileNames) {
+      const filePath = path.join(this.HAR_DIR, name);
+      const stat = await fs.stat(filePath);
+      files.push({ name, path: filePath, size: stat.size, modified: stat.mtime });
+    }
+
+    // 文件名包含时间戳，按名称倒序即为最新的在前
+    return files.sort((a, b) => b.name.localeCompare(a.name));
+  },
+
+  /**
+   * 读取HAR文件
+   * @param {string} file 文件路径、HAR目录中的文件名或序号（1为最新），省略时读取最新的文件
+   * @returns {Promise<Object>} { path, har }
+   */
+  async load(file = null) {
+    let filePath = file;
+
+    if (!file || /^\d+$/.test(file)) {
+      const files = await this.list();
+      const index = file ? parseInt(file, 10) - 1 : 0;
+      if (!files[index]) {
+        throw new Error(files.length === 0 ? '还没有HTTP流量记录，请先运行测试' : `只有 ${files.length} 个记录文件`);
+      }
+      filePath = files[index].path;
+    } else if (!path.isAbsolute(file) && !file.includes(path.sep)) {
+      filePath = path.join(this.HAR_DIR, file);
+    }
+
+    try {
+      return { path: filePath, har: JSON.parse(await fs.readFile(filePath, 'utf8')) };
+    } catch (error) {
+      throw new Error(`读取HAR文件 ${filePath} 失败: ${error.message}`);
+    }
+  },
+
+  /**
+   * 只保留指定页面及其条目
+   * @param {Object} har HAR日志
+   * @param {Function} predicate 页面筛选函数 (page) => boolean
+   * @returns {Object} 新的HAR日志
+   */
+  filterPages(har, predicate) {
+    const pages = har.log.pages.filter(predicate);
+    const ids = new Set(pages.map(page => page.id));
+
+    return {
+      log: {
+        ...har.log,
+        pages,
+        entries: har.log.entries.filter(entry => ids.has(entry.pageref))
+      }
+    };
+  },
+
+  /**
+   * 隐藏认证相关的请求头、响应头，以及URL查询参数、请求体和响应体中的密码、令牌等字段，
+   * 保存到磁盘和附加到报告前都会调用
+   * @param {Object} har HAR日志
+   * @returns {Object} 新的HAR日志
+   */
+  redact(har) {
+    const redactHeaders = headers => headers.map(header => (
+      SENSITIVE_HEADERS.includes(header.name.toLowerCase()) ? { ...header, value: REDACTED } : header
+    ));
+
+    return {
+      log: {
+        ...har.log,
+        entries: har.log.entries.map(entry => ({
+          ...entry,
+          request: {
+            ...entry.request,
+            url: redactUrl(entry.request.url),
+            headers: redactHeaders(entry.request.headers),
+            ...(entry.request.queryString && { queryString: entry.request.queryString.map(param => (
+              isSensitiveKey(param.name) ? { ...param, value: REDACTED } : param
+            )) }),
+            ...(entry.request.postData && { postData: { ...entry.request.postData, text: redactBody(entry.request.postData.text) } })
+          },
+          response: {
+            ...entry.response,
+            headers: redactHeaders(entry.response.headers),
+            ...(entry.response.content && { content: { ...entry.response.content, text: redactBody(entry.response.content.text) } })
+          }
+        }))
+      }
+    };
+  },
+
+  /**
+   * 生成附加到报告的HAR日志：只包含失败测试的页面，并隐藏认证信息
+   * @param {string} filePath HAR文件路径
+   * @returns {Promise<Object|null>} HAR日志，读取失败时为null
+   */
+  async createReportAttachment(filePath) {
+    try {
+      const { har } = await this.load(filePath);
+      return this.redact(this.filterPages(har, page => page._status === 'failed'));
+    } catch (error) {
+      console.warn('附加HTTP流量记录失败:', error.message);
+      return null;
+    }
+  }
+};
+
+export default HarManager;
@@ -0,0 +1,462 @@
+// src/core/mock-teacher-server.js
+// 模拟教师服务器，用于在本地开发和测试公钥注册、认证、报告发送和服务器命令
+
+import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { CryptoUtils } from '../utils/crypto-utils.js';
+
+/**
+ * 接口（路径均以 basePath 开头，默认 /api，与配置项 apiUrl 的默认值一致）
+ *
+ * 学生端使用（与 ReporterCore 对应）：
+ * - GET  /students/auth/challenge/:id     获取认证挑战码
+ * - POST /students/auth/register-key/:id  注册公钥 { publicKey, keyName, signature, challenge }，
+ *                                          已有公钥时返回409，带挑战码和签名时用提交的公钥验证
+ * - POST /students/auth/verify/:id        用已注册的公钥验证挑战码签名 { signature, challenge }
+ * - GET  /students/challenge/:id          获取报告挑战码
+ * - POST /students/report                 接收报告，签名必须是对最近一次报告挑战码的签名，
+ *                                          响应中附带排队的服务器命令（每个命令只下发一次）
+ *
+ * 检查和控制（只在模拟服务器中存在）：
+ * - GET  /mock/reports                    已接收报告的摘要
+ * - GET  /mock/reports/:index             完整的报告（序号从1开始）
+ * - GET  /mock/students                   已注册的学生
+ * - POST /mock/students/:id/reset-key     模拟教师重置公钥，之后认证会要求重新注册（下发 RESET_KEYS 时也会重置）
+ * - POST /mock/commands                   排队一个服务器命令 { command, params, studentId }
+ *
+ * 挑战码只能使用一次，CHALLENGE_TTL 后过期。错误信息与真实服务器一致，
+ * 如 "没有注册公钥"、"签名验证失败"、"挑战码不存在或已过期"，学生端据此给出提示。
+ */
+
+// 默认端口和路径前缀
+const DEFAULT_PORT = 8080;
+const DEFAULT_BASE_PATH = '/api';
+// 挑战码有效期（毫秒）
+const CHALLENGE_TTL = 5 * 60 * 1000;
+// 请求体最大字节数，报告可能包含HTTP流量记录和服务器输出
+const MAX_BODY_SIZE = 10 * 1024 * 1024;
+
+/**
+ * 读取JSON请求体
+ * @param {Object} req 请求
+ * @returns {Promise<Object>} 请求体，为空时返回空对象
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(Object.assign(new Error('请求体过大'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      try {
+        resolve(text ? JSON.parse(text) : {});
+      } catch (error) {
+        reject(Object.assign(new Error('请求体不是有效的JSON'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * 用公钥验证签名
+ * @param {string} data 原始数据
+ * @param {string} signature 签名（Base64编码）
+ * @param {string} publicKey 公钥内容（PEM）
+ * @returns {boolean} 签名是否有效
+ */
+function verifyWithKey(data, signature, publicKey) {
+  try {
+    const verify = crypto.createVerify('SHA256');
+    verify.update(data);
+    verify.end();
+    return verify.verify(publicKey, signature, 'base64');
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 生成报告摘要
+ * @param {Object} report 保存的报告
+ * @returns {Object} 摘要
+ */
+function summarizeReport(report) {
+  const testResults = report.data.data?.testResults || {};
+  return {
+    index: report.index,
+    studentId: report.studentId,
+    name: report.data.name || null,
+    receivedAt: report.receivedAt,
+    apiBaseUrl: report.data.apiBaseUrl || null,
+    score: testResults.score ?? null,
+    maxPossibleScore: testResults.maxPossibleScore ?? null,
+    totalPassed: testResults.totalPassed ?? null,
+    totalFailed: testResults.totalFailed ?? null,
+    command: report.command
+  };
+}
+
+export const MockTeacherServer = {
+  DEFAULT_PORT,
+  DEFAULT_BASE_PATH,
+  CHALLENGE_TTL,
+
+  /**
+   * 创建服务器状态
+   * @param {Object} options
+   * @param {Object[]} options.commands 初始的命令队列 [{ command, params, studentId }]
+   * @param {string} options.reportDir 保存报告的目录，为null时只保存在内存中
+   * @returns {Object} 状态 { students, challenges, reports, commands, reportDir }
+   */
+  createState({ commands = [], reportDir = null } = {}) {
+    const state = { students: new Map(), challenges: new Map(), reports: [], commands: [], reportDir };
+    commands.forEach(item => this.enqueueCommand(state, item.command, item.params, item.studentId));
+    return state;
+  },
+
+  /**
+   * 排队一个服务器命令，在之后的一次报告响应中下发
+   * @param {Object} state 服务器状态
+   * @param {string} command 命令，如 RUN_TEST、RESET_KEYS、ACTIVATE_MODULE
+   * @param {Object} params 命令参数
+   * @param {string} studentId 只下发给该学生，为null时下发给下一个报告的学生
+   */
+  enqueueCommand(state, command, params = {}, studentId = null) {
+    if (!command || typeof command !== 'string') {
+      throw new Error('命令不能为空');
+    }
+    state.commands.push({ command, params: params || {}, studentId: studentId || null });
+  },
+
+  /**
+   * 解析命令行中的命令，格式为 "命令" 或 "命令:JSON参数"，
+   * 如 RUN_TEST、ACTIVATE_MODULE:{"moduleId":"todoFuzz"}
+   * @param {string} text 命令文本
+   * @returns {Object} { command, params }
+   */
+  parseCommand(text) {
+    const separator = text.indexOf(':');
+    const command = (separator === -1 ? text : text.slice(0, separator)).trim();
+    if (separator === -1) return { command, params: {} };
+
+    try {
+      return { command, params: JSON.parse(text.slice(separator + 1)) };
+    } catch (error) {
+      throw new Error(`命令 ${command} 的参数不是有效的JSON: ${error.message}`);
+    }
+  },
+
+  /**
+   * 读取命令文件，内容为 [{ command, params, studentId }] 数组
+   * @param {string} filePath 文件路径
+   * @returns {Promise<Object[]>} 命令列表
+   */
+  async loadCommands(filePath) {
+    let commands;
+    try {
+      commands = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`读取命令文件 ${filePath} 失败: ${error.message}`);
+    }
+    if (!Array.isArray(commands)) {
+      throw new Error(`命令文件 ${filePath} 应为命令数组`);
+    }
+    return commands;
+  },
+
+  /**
+   * 取出下发给学生的下一个命令
+   * @param {Object} state 服务器状态
+   * @param {string} studentId 学号
+   * @returns {Object|null} { command, params }
+   */
+  takeCommand(state, studentId) {
+    const index = state.commands.findIndex(item => !item.studentId || item.studentId === studentId);
+    if (index === -1) return null;
+
+    const [{ command, params }] = state.commands.splice(index, 1);
+    return { command, params };
+  },
+
+  /**
+   * 生成挑战码
+   * @param {Object} state 服务器状态
+   * @param {string} studentId 学号
+   * @param {string} purpose auth（认证）或 report（报告）
+   * @returns {string} 挑战码
+   */
+  issueChallenge(state, studentId, purpose) {
+    const challenge = CryptoUtils.generateChallenge();
+    state.challenges.set(`${purpose}:${studentId}`, { challenge, expiresAt: Date.now() + CHALLENGE_TTL });
+    return challenge;
+  },
+
+  /**
+   * 取出挑战码，挑战码只能使用一次
+   * @param {Object} state 服务器状态
+   * @param {string} studentId 学号
+   * @param {string} purpose auth 或 report
+   * @param {string} expected 学生提交的挑战码，为null时不比较
+   * @returns {string|null} 挑战码，不存在、已过期或不一致时为null
+   */
+  consumeChallenge(state, studentId, purpose, expected = null) {
+    const key = `${purpose}:${studentId}`;
+    const issued = state.challenges.get(key);
+    if (!issued || issued.expiresAt < Date.now() || (expected !== null && issued.challenge !== expected)) {
+      return null;
+    }
+    state.challenges.delete(key);
+    return issued.challenge;
+  },
+
+  /**
+   * 模拟教师重置学生的公钥
+   * @param {Object} state 服务器状态
+   * @param {string} studentId 学号
+   * @returns {boolean} 学生是否存在
+   */
+  resetKey(state, studentId) {
+    const student = state.students.get(studentId);
+    if (!student) return false;
+    student.requiresReregistration = true;
+    return true;
+  },
+
+  /**
+   * 保存报告
+   * @param {Object} state 服务器状态
+   * @param {string} studentId 学号
+   * @param {Object} data 报告内容
+   * @param {Object|null} command 随响应下发的命令
+   * @returns {Promise<Object>} 保存的报告
+   */
+  async saveReport(state, studentId, data, command) {
+    const report = {
+      index: state.reports.length + 1,
+      studentId,
+      receivedAt: new Date().toISOString(),
+      command: command ? command.command : null,
+      data
+    };
+    state.reports.push(report);
+
+    if (state.reportDir) {
+      await fs.mkdir(state.reportDir, { recursive: true });
+      const fileName = `${report.index}-${encodeURIComponent(studentId)}-${report.receivedAt.replace(/[:.]/g, '-')}.json`;
+      report.file = path.join(state.reportDir, fileName);
+      await fs.writeFile(report.file, JSON.stringify(report, null, 2));
+    }
+    return report;
+  },
+
+  /**
+   * 处理学生端和检查接口的请求
+   * @param {Object} state 服务器状态
+   * @param {string} method 请求方法
+   * @param {string[]} segments 去掉路径前缀后的路径段
+   * @param {Object} req 请求
+   * @returns {Promise<Object>} { status, body, note } note为日志中的说明
+   */
+  async route(state, method, segments, req) {
+    const [first, second, third, fourth] = segments;
+
+    // 学生端：认证挑战码和报告挑战码
+    if (method === 'GET' && first === 'students' && second === 'auth' && third === 'challenge' && fourth) {
+      return { status: 200, body: { challenge: this.issueChallenge(state, fourth, 'auth') } };
+    }
+    if (method === 'GET' && first === 'students' && second === 'challenge' && third) {
+      return { status: 200, body: { challenge: this.issueChallenge(state, third, 'report') } };
+    }
+
+    // 学生端：注册公钥
+    if (method === 'POST' && first === 'students' && second === 'auth' && third === 'register-key' && fourth) {
+      const { publicKey, keyName, signature, challenge } = await readJsonBody(req);
+      const existing = state.students.get(fourth);
+      if (existing && !existing.requiresReregistration) {
+        return { status: 409, body: { error: '该学生已注册公钥', keyExists: true } };
+      }
+      try {
+        crypto.createPublicKey(publicKey);
+      } catch (error) {
+        return { status: 400, body: { error: '公钥格式不正确' } };
+      }
+      if (challenge || signature) {
+        if (!this.consumeChallenge(state, fourth, 'auth', challenge || '')) {
+          return { status: 400, body: { error: '挑战码不存在或已过期' } };
+        }
+        if (!verifyWithKey(challenge, signature || '', publicKey)) {
+          return { status: 401, body: { error: '签名验证失败，签名与提交的公钥不匹配' } };
+        }
+      }
+
+      const keyId = crypto.randomUUID();
+      state.students.set(fourth, {
+        studentId: fourth,
+        publicKey,
+        keyName: keyName || null,
+        keyId,
+        registeredAt: new Date().toISOString(),
+        requiresReregistration: false
+      });
+      return { status: 201, body: { message: '公钥注册成功', keyId }, note: `学号 ${fourth} 注册公钥` };
+    }
+
+    // 学生端：验证签名
+    if (method === 'POST' && first === 'students' && second === 'auth' && third === 'verify' && fourth) {
+      const { signature, challenge } = await readJsonBody(req);
+      const student = state.students.get(fourth);
+      if (!student) {
+        return { status: 404, body: { error: '没有注册公钥', requiresAuth: true } };
+      }
+      if (student.requiresReregistration) {
+        return { status: 401, body: { error: '教师已重置公钥，请重新注册', requiresReregistration: true } };
+      }
+      if (!this.consumeChallenge(state, fourth, 'auth', challenge || '')) {
+        return { status: 400, body: { error: '挑战码不存在或已过期' } };
+      }
+      if (!verifyWithKey(challenge, signature || '', student.publicKey)) {
+        return { status: 401, body: { error: '签名验证失败', requiresAuth: true } };
+      }
+      return { status: 200, body: { message: '验证通过', verified: true } };
+    }
+
+    // 学生端：接收报告
+    if (method === 'POST' && first === 'students' && second === 'report' && !third) {
+      const data = await readJsonBody(req);
+      const studentId = data.studentId || req.headers['x-student-id'];
+      const student = studentId ? state.students.get(studentId) : null;
+      if (!student) {
+        return { status: 401, body: { error: '没有注册公钥', requiresAuth: true } };
+      }
+      if (student.requiresReregistration) {
+        return { status: 401, body: { error: '教师已重置公钥，请重新注册', requiresAuth: true, requiresReregistration: true } };
+      }
+      // 报告的签名针对最近一次通过 /students/challenge 获取的挑战码
+      const challenge = this.consumeChallenge(state, studentId, 'report');
+      if (!challenge) {
+        return { status: 400, body: { error: '挑战码不存在或已过期' } };
+      }
+      if (!verifyWithKey(challenge, data.signature || '', student.publicKey)) {
+        return { status: 401, body: { error: '签名验证失败', requiresAuth: true } };
+      }
+
+      const command = this.takeCommand(state, studentId);
+      // 学生端收到 RESET_KEYS 后会删除本地密钥，服务器也同时重置，使其可以重新注册
+      if (command && command.command === 'RESET_KEYS') {
+        this.resetKey(state, studentId);
+      }
+      const report = await this.saveReport(state, studentId, data, command);
+      const body = { message: '报告已接收', reportId: report.index };
+      if (command) {
+        body.command = command.command;
+        body.params = command.params;
+      }
+      return { status: 200, body, note: `学号 ${studentId} 的报告 #${report.index}${command ? `，下发命令 ${command.command}` : ''}` };
+    }
+
+    // 检查和控制接口
+    if (first === 'mock') {
+      if (method === 'GET' && second === 'reports' && !third) {
+        return { status: 200, body: state.reports.map(summarizeReport) };
+      }
+      if (method === 'GET' && second === 'reports' && third) {
+        const report = state.reports[parseInt(third, 10) - 1];
+        return report
+          ? { status: 200, body: report }
+          : { status: 404, body: { error: `没有序号为 ${third} 的报告` } };
+      }
+      if (method === 'GET' && second === 'students' && !third) {
+        return {
+          status: 200,
+          body: [...state.students.values()].map(({ publicKey, ...student }) => student)
+        };
+      }
+      if (method === 'POST' && second === 'students' && third && fourth === 'reset-key') {
+        return this.resetKey(state, third)
+          ? { status: 200, body: { message: '公钥已重置' }, note: `重置学号 ${third} 的公钥` }
+          : { status: 404, body: { error: '没有注册公钥' } };
+      }
+      if (method === 'POST' && second === 'commands' && !third) {
+        const { command, params, studentId } = await readJsonBody(req);
+        try {
+          this.enqueueCommand(state, command, params, studentId);
+        } catch (error) {
+          return { status: 400, body: { error: error.message } };
+        }
+        return { status: 201, body: { message: '命令已排队', pending: state.commands.length }, note: `排队命令 ${command}` };
+      }
+    }
+
+    return { status: 404, body: { error: `未知接口: ${method} /${segments.join('/')}` } };
+  },
+
+  /**
+   * 启动模拟服务器
+   * @param {Object} options
+   * @param {number} options.port 端口，0表示随机端口
+   * @param {string} options.host 监听地址
+   * @param {string} options.basePath 路径前缀
+   * @param {Object} options.state 服务器状态，默认新建
+   * @param {boolean} options.quiet 是否不输出请求日志
+   * @returns {Promise<Object>} { server, state, url, close }，url 可直接作为配置项 apiUrl
+   */
+  async start({ port = DEFAULT_PORT, host = '127.0.0.1', basePath = DEFAULT_BASE_PATH, state = null, quiet = false } = {}) {
+    const serverState = state || this.createState();
+    const prefix = `/${(basePath || '').replace(/^\/+|\/+$/g, '')}`.replace(/^\/$/, '');
+
+    const server = http.createServer(async (req, res) => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      let result;
+
+      if (prefix && pathname !== prefix && !pathname.startsWith(`${prefix}/`)) {
+        result = { status: 404, body: { error: `路径应以 ${prefix} 开头` } };
+      } else {
+        try {
+          let segments;
+          try {
+            segments = pathname.slice(prefix.length).split('/').filter(Boolean).map(decodeURIComponent);
+          } catch (error) {
+            throw Object.assign(new Error('路径编码无效'), { status: 400 });
+          }
+          result = await this.route(serverState, req.method, segments, req);
+        } catch (error) {
+          result = { status: error.status || 500, body: { error: error.message } };
+        }
+      }
+
+      if (!quiet) {
+        console.log(`[模拟服务器] ${req.method} ${pathname} ${result.status}${result.note ? ` - ${result.note}` : result.status >= 400 ? ` - ${result.body.error}` : ''}`);
+      }
+      res.writeHead(result.status, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify(result.body));
+    });
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, resolve);
+    });
+
+    const address = server.address();
+    const displayHost = host === '0.0.0.0' || host === '::' ? 'localhost' : host;
+    return {
+      server,
+      state: serverState,
+      url: `http://${displayHost}:${address.port}${prefix}`,
+      close: () => new Promise(resolve => server.close(() => resolve()))
+    };
+  }
+};
+
+export default MockTeacherServer;
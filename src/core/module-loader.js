@@ -0,0 +1,131 @@
+// src/core/module-loader.js
+// 外部测试模块加载器，从模块目录中发现并加载测试模块
+
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { pathToFileURL } from 'url';
+import { SpecRunner } from '../api/spec-runner.js';
+
+// 支持的模块文件类型
+const SCRIPT_EXTENSIONS = ['.js', '.mjs'];
+const SPEC_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+export const ModuleLoader = {
+  // 用户级模块目录
+  USER_MODULES_DIR: path.join(os.homedir(), '.course-reporter', 'modules'),
+  // 项目本地模块目录（相对于当前工作目录）
+  PROJECT_MODULES_DIR: path.join(process.cwd(), 'course-modules'),
+
+  /**
+   * 获取模块搜索目录
+   * 后面的目录优先级更高，同ID模块会覆盖前面目录中的模块
+   * @returns {string[]} 目录列表
+   */
+  getModuleDirs() {
+    return [this.USER_MODULES_DIR, this.PROJECT_MODULES_DIR];
+  },
+
+  /**
+   * 判断文件是否为可加载的模块文件
+   * @param {string} fileName 文件名
+   * @returns {boolean} 是否为模块文件
+   */
+  isModuleFile(fileName) {
+    const ext = path.extname(fileName).toLowerCase();
+    return SCRIPT_EXTENSIONS.includes(ext) || SPEC_EXTENSIONS.includes(ext);
+  },
+
+  /**
+   * 从文件加载单个测试模块
+   * JS模块需默认导出模块定义，规格文件按声明式格式解析
+   * 模块ID取自模块的id字段，未指定时使用文件名
+   *
+   * @param {string} filePath 模块文件路径
+   * @returns {Promise<Object>} { moduleId, module }
+   */
+  async loadModuleFile(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    let module;
+
+    if (SCRIPT_EXTENSIONS.includes(ext)) {
+      const imported = await import(pathToFileURL(filePath).href);
+      module = imported.default;
+
+      if (!module || !module.name || !Array.isArray(module.tests)) {
+        throw new Error(`模块文件 ${filePath} 需要默认导出包含name和tests的模块定义`);
+      }
+    } else {
+      module = await SpecRunner.loadModuleFile(filePath);
+    }
+
+    const moduleId = module.id || path.basename(filePath, ext);
+
+    return {
+      moduleId,
+      module: {
+        description: '',
+        active: false,
+        ...module,
+        source: filePath,
+        // 本地模块没有经过教师签名，不能替换内置模块和模块包中的模块
+        sourceType: 'local'
+      }
+    };
+  },
+
+  /**
+   * 扫描单个目录中的模块文件
+   * @param {string} dir 目录路径
+   * @returns {Promise<Object[]>} 加载成功的模块列表
+   */
+  async loadModulesFromDir(dir) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      // 目录不存在时视为没有外部模块
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const loaded = [];
+    const fileNames = entries
+      .filter(entry => entry.isFile() && this.isModuleFile(entry.name))
+      .map(entry => entry.name)
+      .sort();
+
+    for (const fileName of fileNames) {
+      const filePath = path.join(dir, fileName);
+      try {
+        loaded.push(await this.loadModuleFile(filePath));
+      } catch (error) {
+        console.error(`加载测试模块失败 (${filePath}):`, error.message);
+      }
+    }
+
+    return loaded;
+  },
+
+  /**
+   * 发现所有模块目录中的测试模块
+   * @returns {Promise<Object[]>} 模块列表，同ID模块只保留优先级最高的一个
+   */
+  async discoverModules() {
+    const modules = new Map();
+
+    for (const dir of this.getModuleDirs()) {
+      try {
+        for (const entry of await this.loadModulesFromDir(dir)) {
+          modules.set(entry.moduleId, entry);
+        }
+      } catch (error) {
+        console.error(`读取模块目录失败 (${dir}):`, error.message);
+      }
+    }
+
+    return [...modules.values()];
+  }
+};
+
+export default ModuleLoader;
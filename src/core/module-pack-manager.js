@@ -0,0 +1,233 @@
+// src/core/module-pack-manager.js
+// 测试模块包管理，安装由教师服务器下发并签名的测试模块包
+
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { CryptoUtils } from '../utils/crypto-utils.js';
+import { SpecRunner } from '../api/spec-runner.js';
+
+// 教师服务器签名使用的公钥，固定在程序中，不从学生可以修改的文件或配置中读取
+// 更换签名密钥时需要替换这里的公钥并重新发布程序
+const TEACHER_PUBLIC_KEY = `
+-----BEGIN PUBLIC KEY-----
+MIIBIjANBgkqhkiG9w0BAQEFAAOCAQ8AMIIBCgKCAQEAy+kTc6xSKQ2rqD58NuVT
+s5LeAWZpMoici7oRR6m1PsvqDazsvdGL4ZtvNjAw1miSQze5C6WLZKFI8EWxxvbX
+ScAhY2jG5xvDDirQtMbbwbcCpl9kumwAEaU5dXa6Iy3cUQI7MSSINas0hE79Pfjl
+RZKLj/atEoXStW/CsRaYzAIA62GvZmhTgwS56FeXyIgow6akry6Wf44xNzZJOmuY
+7pBaOljVPsZ3WUJi7rFZY4zSXdJXLrWqFHqShH5y1hnCXYgS8a7zvvB7b4RIQqFM
+Zs0U27iyeqDgEyhctENL8NNTlxu7oxSaunodcef8ilcHi4VkgNFDyWSYu21wj6xH
+gQIDAQAB
+-----END PUBLIC KEY-----
+`.trim();
+
+/**
+ * 比较两个版本号（如 1.2.0），按点分隔的数字逐段比较
+ * @param {string} a 版本号
+ * @param {string} b 版本号
+ * @returns {number} a较新时为正数，较旧时为负数，相同时为0
+ */
+function compareVersions(a, b) {
+  const left = String(a).split('.').map(Number);
+  const right = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * 模块包格式
+ *
+ * 服务器下发的 params.pack 是模块包的 JSON 字符串，params.signature 是
+ * 服务器私钥对该字符串的 SHA256 签名（Base64）。直接对原始字符串验签，
+ * 避免重新序列化导致的字段顺序差异：
+ *
+ *   {
+ *     "id": "week5",
+ *     "version": "1.0.0",
+ *     "expiresAt": "2026-07-01T00:00:00Z",
+ *     "overrides": ["basicTodos"],
+ *     "modules": {
+ *       "todoSearch": { "name": "...", "description": "...", "tests": [ 规格测试... ] }
+ *     }
+ *   }
+ *
+ * version 和 expiresAt 是签名内容的一部分：不能用旧版本的模块包替换已安装的新版本，
+ * 过期的模块包不能安装，已安装的在过期后不再加载。模块包中的模块只有在 overrides 中声明后
+ * 才能替换同ID的内置模块。
+ *
+ * 模块包只接受声明式规格测试，不会执行服务器下发的 JavaScript 代码。
+ */
+export const ModulePackManager = {
+  // 模块包安装目录
+  PACKS_DIR: path.join(os.homedir(), '.course-reporter', 'module-packs'),
+  // 教师服务器公钥
+  TEACHER_PUBLIC_KEY,
+
+  /**
+   * 用教师服务器公钥验证签名，模块包和服务器下发的OpenAPI文档使用同一个公钥
+   * @param {string} content 签名的内容
+   * @param {string} signature 签名（Base64编码）
+   * @returns {boolean} 签名是否有效
+   */
+  verifyTeacherSignature(content, signature) {
+    return CryptoUtils.verifySignatureWithKey(content, signature, this.TEACHER_PUBLIC_KEY);
+  },
+
+  /**
+   * 验证模块包签名
+   * @param {string} packContent 模块包JSON字符串
+   * @param {string} signature 签名（Base64编码）
+   * @throws {Error} 签名无效时抛出
+   */
+  verifyPack(packContent, signature) {
+    if (typeof packContent !== 'string' || !signature) {
+      throw new Error('模块包缺少内容或签名');
+    }
+
+    if (!this.verifyTeacherSignature(packContent, signature)) {
+      throw new Error('模块包签名验证失败，拒绝安装');
+    }
+  },
+
+  /**
+   * 解析并校验模块包内容
+   * @param {string} packContent 模块包JSON字符串
+   * @returns {Object} 模块包，其中modules已规范化
+   */
+  parsePack(packContent) {
+    let pack;
+    try {
+      pack = JSON.parse(packContent);
+    } catch (error) {
+      throw new Error(`模块包格式不正确: ${error.message}`);
+    }
+
+    if (!pack.id || !/^[\w-]+$/.test(pack.id)) {
+      throw new Error('模块包缺少有效的id字段');
+    }
+    if (!pack.modules || typeof pack.modules !== 'object' || Object.keys(pack.modules).length === 0) {
+      throw new Error(`模块包 ${pack.id} 不包含任何模块`);
+    }
+    if (typeof pack.version !== 'string' || !/^\d+(\.\d+)*$/.test(pack.version)) {
+      throw new Error(`模块包 ${pack.id} 缺少有效的version字段（如 1.0.0）`);
+    }
+    const expiresAt = Date.parse(pack.expiresAt);
+    if (Number.isNaN(expiresAt)) {
+      throw new Error(`模块包 ${pack.id} 缺少有效的expiresAt字段`);
+    }
+    if (expiresAt <= Date.now()) {
+      throw new Error(`模块包 ${pack.id}@${pack.version} 已于 ${pack.expiresAt} 过期`);
+    }
+    if (pack.overrides !== undefined && !Array.isArray(pack.overrides)) {
+      throw new Error(`模块包 ${pack.id} 的overrides字段必须是模块ID数组`);
+    }
+
+    const modules = {};
+    for (const [moduleId, module] of Object.entries(pack.modules)) {
+      for (const test of module.tests || []) {
+        if (!SpecRunner.isSpecTest(test)) {
+          throw new Error(`模块包 ${pack.id} 的模块 ${moduleId} 包含非规格测试 "${test.name}"`);
+        }
+      }
+      // 模块包中的模块默认激活，除非显式设置 active: false
+      modules[moduleId] = {
+        ...SpecRunner.normalizeModule(module),
+        active: module.active !== false,
+        source: `模块包 ${pack.id}@${pack.version}`,
+        sourceType: 'pack',
+        // 只有声明过的模块才能替换同ID的内置模块，见 StudentAPI.registerTestModule
+        overridesBuiltin: (pack.overrides || []).includes(moduleId)
+      };
+    }
+
+    return { ...pack, modules };
+  },
+
+  /**
+   * 验证并安装模块包
+   * @param {Object} params 服务器命令参数 { pack, signature }
+   * @param {Function} validate 保存前对解析后的模块包的额外检查，检查失败时抛出错误，模块包不会被保存
+   * @returns {Promise<Object>} 已安装的模块包
+   */
+  async installPack(params, validate = null) {
+    const { pack: packContent, signature } = params;
+
+    this.verifyPack(packContent, signature);
+    const pack = this.parsePack(packContent);
+
+    // 拒绝用旧版本的模块包替换已安装的版本，防止重放之前签名过的模块包
+    const installed = await this.readInstalledPack(pack.id);
+    if (installed && compareVersions(pack.version, installed.version) < 0) {
+      throw new Error(`模块包 ${pack.id}@${pack.version} 的版本低于已安装的 ${installed.version}，拒绝安装`);
+    }
+    if (validate) {
+      validate(pack);
+    }
+
+    await fs.mkdir(this.PACKS_DIR, { recursive: true });
+    await fs.writeFile(
+      path.join(this.PACKS_DIR, `${pack.id}.json`),
+      JSON.stringify({
+        pack: packContent,
+        signature,
+        installedAt: new Date().toISOString()
+      }, null, 2)
+    );
+
+    console.log(`已安装测试模块包: ${pack.id}@${pack.version}`);
+    return pack;
+  },
+
+  /**
+   * 读取已安装的模块包的版本，不验证签名
+   * @param {string} packId 模块包ID
+   * @returns {Promise<Object|null>} { version }，未安装或无法解析时为null
+   */
+  async readInstalledPack(packId) {
+    try {
+      const installed = JSON.parse(await fs.readFile(path.join(this.PACKS_DIR, `${packId}.json`), 'utf8'));
+      return { version: JSON.parse(installed.pack).version };
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * 加载已安装的模块包
+   * 每次加载都会重新验证签名和有效期，被篡改或已过期的模块包会被跳过
+   *
+   * @returns {Promise<Object[]>} 模块列表 [{ moduleId, module }]
+   */
+  async loadInstalledPacks() {
+    let fileNames;
+    try {
+      fileNames = (await fs.readdir(this.PACKS_DIR)).filter(name => name.endsWith('.json')).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const loaded = [];
+    for (const fileName of fileNames) {
+      const filePath = path.join(this.PACKS_DIR, fileName);
+      try {
+        const installed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        this.verifyPack(installed.pack, installed.signature);
+        const pack = this.parsePack(installed.pack);
+
+        for (const [moduleId, module] of Object.entries(pack.modules)) {
+          loaded.push({ moduleId, module });
+        }
+      } catch (error) {
+        console.error(`加载测试模块包失败 (${filePath}):`, error.message);
+      }
+    }
+
+    return loaded;
+  }
+};
+
+export default ModulePackManager;
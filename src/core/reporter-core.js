@@ -7,6 +7,7 @@ import crypto from 'crypto';
 import os from 'os';
 import { ConfigManager } from './config-manager.js';
 import { HardwareInfo } from '../utils/hardware-info.js';
+import { HarManager } from './har-manager.js';
 
 export const ReporterCore = {
     /**
@@ -284,9 +285,10 @@ export const ReporterCore = {
      * 创建报告数据
      * @param {Object} config 配置对象
      * @param {Object} authData 认证数据
+     * @param {Object} options 命令行选项，覆盖配置中的测试目标等设置
      * @returns {Promise<Object>} 报告数据
      */
-    async createReportData(config, authData) {
+    async createReportData(config, authData, options = {}) {
       try {
           console.log('收集系统信息...');
           
@@ -297,15 +299,21 @@ export const ReporterCore = {
           let todos = [];
           let todoCount = 0;
           let testResults = null;
+          const target = ConfigManager.resolveStudentApiTarget(config, options);
           
           try {
               // 动态导入学生API和CommandHandler
               const { default: StudentAPI } = await import('../api/student-api.js');
               const { default: CommandHandler } = await import('../core/command-handler.js');
               
+              StudentAPI.configureTarget(target);
+              
               // 获取待办事项
               try {
-                  const response = await axios.get(`${StudentAPI.API_BASE_URL}/todos`);
+                  const response = await axios.get(`${target.baseUrl}/todos`, {
+                      headers: target.headers,
+                      timeout: config.testTimeout
+                  });
                   todos = Array.isArray(response.data) ? response.data : [];
                   todoCount = todos.length || 0;
               } catch (error) {
@@ -315,7 +323,7 @@ export const ReporterCore = {
               
               // 主动执行测试
               console.log('主动执行API测试...');
-              await CommandHandler.runTests();
+              await CommandHandler.runTests({ ...options, report: true });
               
               // 获取测试结果，如果没有则创建空结构
               testResults = StudentAPI.lastTestResults || {
@@ -323,6 +331,8 @@ export const ReporterCore = {
                   maxPossibleScore: 0,
                   totalPassed: 0,
                   totalFailed: 0,
+                  totalSkipped: 0,
+                  totalWarnings: 0,
                   timestamp: new Date().toISOString(),
                   tests: []
               };
@@ -335,18 +345,27 @@ export const ReporterCore = {
                   maxPossibleScore: 0,
                   totalPassed: 0,
                   totalFailed: 0,
+                  totalSkipped: 0,
+                  totalWarnings: 0,
                   timestamp: new Date().toISOString(),
                   tests: []
               };
           }
           
+          // 附加失败测试的HTTP流量记录，供助教查看完整的请求和响应
+          let har = null;
+          if (config.har?.attachToReport && testResults.harFile) {
+              har = await HarManager.createReportAttachment(testResults.harFile);
+          }
+          
           // 创建报告数据
           const reportData = {
               studentId: config.studentId,
               name: config.name || os.userInfo().username,
               apiVersion: config.apiVersion || '1.0.0',
               ipAddress: await this.getIPAddress(),
-              port: 3000,
+              port: target.port,
+              apiBaseUrl: target.baseUrl,
               timestamp: new Date().toISOString(),
               signature: authData.signature,
               challenge: authData.challenge, 
@@ -354,7 +373,8 @@ export const ReporterCore = {
               data: {
                   todoCount,
                   todos,
-                  testResults
+                  testResults,
+                  har
               }
           };
           
@@ -0,0 +1,258 @@
+// src/core/server-manager.js
+// 学生服务器进程管理：测试前启动学生的服务器，等待其可以访问，记录输出，测试后关闭
+
+import { spawn } from 'child_process';
+import readline from 'readline';
+import path from 'path';
+import axios from 'axios';
+
+/**
+ * 管理规则
+ *
+ * - 配置了启动命令（配置项 studentServer.command 或 --start）时才会启动服务器，
+ *   命令在 studentServer.cwd（或 --server-dir）目录中通过shell执行，环境变量 PORT 设为学生API的端口
+ * - 启动前如果学生API已经可以访问，说明服务器已在运行（如学生自己启动的），直接使用而不再启动
+ * - 健康检查：配置了 healthPath 时要求该路径返回2xx，否则收到任何HTTP响应即视为已启动；
+ *   超时或进程提前退出时启动失败，错误信息中包含服务器最后的输出
+ * - 服务器的stdout/stderr保存最后 maxLogLines 行，随测试结果附加到报告中
+ * - 测试结束后先发送SIGTERM，stopTimeout 内没有退出则强制结束；本工具意外退出时也会结束服务器
+ */
+
+// 健康检查的重试间隔（毫秒）
+const HEALTH_CHECK_INTERVAL = 300;
+// 启动失败时错误信息中附带的输出行数
+const ERROR_LOG_LINES = 10;
+
+/**
+ * 结束服务器进程及其子进程（npm start 等命令会再启动node进程）
+ * @param {Object} child 子进程
+ * @param {string} signal 信号
+ */
+function killTree(child, signal) {
+  try {
+    if (process.platform === 'win32') {
+      spawn('taskkill', ['/pid', String(child.pid), '/T', '/F'], { stdio: 'ignore' });
+    } else {
+      // 子进程以独立的进程组启动，向整个进程组发送信号
+      process.kill(-child.pid, signal);
+    }
+  } catch (error) {
+    // 进程已经退出
+  }
+}
+
+/**
+ * 等待一段时间
+ * @param {number} ms 毫秒
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export const ServerManager = {
+  /**
+   * 合并配置和命令行选项中的服务器设置
+   * @param {Object} config 配置对象
+   * @param {Object} overrides 命令行选项 { start, serverDir }
+   * @returns {Object|null} 服务器设置，没有启动命令时为null
+   */
+  resolveOptions(config = {}, overrides = {}) {
+    const configured = { ...(config.studentServer || {}) };
+    const command = overrides.start || configured.command;
+    if (!command) return null;
+
+    return {
+      command,
+      cwd: path.resolve(overrides.serverDir || configured.cwd || process.cwd()),
+      healthPath: configured.healthPath || null,
+      env: configured.env || {},
+      startTimeout: configured.startTimeout ?? 30000,
+      stopTimeout: configured.stopTimeout ?? 5000,
+      maxLogLines: configured.maxLogLines ?? 200
+    };
+  },
+
+  /**
+   * 检查服务器是否可以访问
+   * @param {string} url 地址
+   * @param {boolean} requireSuccess 是否要求返回2xx，否则任何HTTP响应都视为可以访问
+   * @returns {Promise<boolean>} 是否可以访问
+   */
+  async isReachable(url, requireSuccess = false) {
+    try {
+      const response = await axios.get(url, { timeout: 2000, validateStatus: () => true });
+      return !requireSuccess || (response.status >= 200 && response.status < 300);
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * 启动学生服务器并等待其可以访问
+   * @param {Object} options resolveOptions 返回的服务器设置
+   * @param {Object} target 学生API目标，见 ConfigManager.resolveStudentApiTarget
+   * @returns {Promise<Object>} 服务器句柄，服务器已在运行时 external 为true
+   * @throws {Error} 启动超时或进程提前退出时抛出，error.server 为服务器句柄
+   */
+  async start(options, target) {
+    const healthUrl = options.healthPath ? `${target.url}${options.healthPath}` : target.baseUrl;
+    const server = {
+      command: options.command,
+      cwd: options.cwd,
+      healthUrl,
+      external: false,
+      pid: null,
+      startedAt: new Date().toISOString(),
+      startupTime: null,
+      exitCode: null,
+      signal: null,
+      error: null,
+      lines: [],
+      droppedLines: 0,
+      maxLogLines: options.maxLogLines,
+      stopTimeout: options.stopTimeout,
+      child: null,
+      running: false,
+      exited: null,
+      onExit: null,
+      onSignal: null
+    };
+
+    if (await this.isReachable(healthUrl, Boolean(options.healthPath))) {
+      console.log(`学生服务器已在运行 (${healthUrl})，不再启动`);
+      server.external = true;
+      return server;
+    }
+
+    console.log(`启动学生服务器: ${options.command} (目录: ${options.cwd})`);
+    const start = Date.now();
+    const child = spawn(options.command, {
+      cwd: options.cwd,
+      shell: true,
+      detached: process.platform !== 'win32',
+      stdio: ['ignore', 'pipe', 'pipe'],
+      env: { ...process.env, PORT: String(target.port), ...options.env }
+    });
+    server.child = child;
+    server.pid = child.pid;
+    server.running = true;
+
+    for (const stream of ['stdout', 'stderr']) {
+      readline.createInterface({ input: child[stream] }).on('line', text => this.appendLine(server, stream, text));
+    }
+
+    server.exited = new Promise(resolve => {
+      child.on('error', error => {
+        server.error = `无法执行启动命令: ${error.message}`;
+        server.running = false;
+        resolve();
+      });
+      child.on('exit', (code, signal) => {
+        server.exitCode = code;
+        server.signal = signal;
+        server.running = false;
+        resolve();
+      });
+    });
+
+    // 本工具意外退出或被 Ctrl+C 中断时结束服务器，避免残留进程占用端口
+    // （服务器在独立的进程组中，不会收到终端发出的SIGINT）
+    server.onExit = () => killTree(child, 'SIGKILL');
+    server.onSignal = () => process.exit(130);
+    process.once('exit', server.onExit);
+    process.once('SIGINT', server.onSignal);
+
+    while (Date.now() - start < options.startTimeout && server.running) {
+      if (await this.isReachable(healthUrl, Boolean(options.healthPath))) {
+        server.startupTime = Date.now() - start;
+        console.log(`学生服务器已启动 (PID ${child.pid}，用时 ${server.startupTime}ms)`);
+        return server;
+      }
+      await sleep(HEALTH_CHECK_INTERVAL);
+    }
+
+    server.error = server.error || (!server.running
+      ? `学生服务器在启动过程中退出 (退出码 ${server.exitCode ?? server.signal})`
+      : `学生服务器在 ${options.startTimeout / 1000} 秒内没有响应 ${healthUrl}`);
+    await this.stop(server);
+
+    const recent = server.lines.slice(-ERROR_LOG_LINES).map(line => `  [${line.stream}] ${line.text}`);
+    const error = new Error(recent.length > 0 ? `${server.error}，最后的输出:\n${recent.join('\n')}` : server.error);
+    error.server = server;
+    throw error;
+  },
+
+  /**
+   * 记录一行服务器输出，只保留最后 maxLogLines 行
+   * @param {Object} server 服务器句柄
+   * @param {string} stream stdout 或 stderr
+   * @param {string} text 内容
+   */
+  appendLine(server, stream, text) {
+    server.lines.push({ time: new Date().toISOString(), stream, text });
+    if (server.lines.length > server.maxLogLines) {
+      server.lines.shift();
+      server.droppedLines++;
+    }
+  },
+
+  /**
+   * 关闭由本工具启动的服务器，已在运行的外部服务器不会被关闭
+   * @param {Object} server 服务器句柄
+   * @returns {Promise<void>}
+   */
+  async stop(server) {
+    if (!server || server.external || !server.child) return;
+
+    const { child } = server;
+    process.removeListener('exit', server.onExit);
+    process.removeListener('SIGINT', server.onSignal);
+    server.child = null;
+
+    if (server.running) {
+      killTree(child, 'SIGTERM');
+      // 服务器退出后清除计时器，否则它会让本工具在测试结束后多等待 stopTimeout
+      let timer;
+      const timedOut = await Promise.race([
+        server.exited.then(() => false),
+        new Promise(resolve => {
+          timer = setTimeout(() => resolve(true), server.stopTimeout);
+        })
+      ]);
+      clearTimeout(timer);
+      if (timedOut) {
+        console.warn(`学生服务器没有在 ${server.stopTimeout}ms 内退出，强制结束`);
+        killTree(child, 'SIGKILL');
+        await server.exited;
+      }
+    } else if (!server.error) {
+      server.error = `学生服务器在测试过程中退出 (退出码 ${server.exitCode ?? server.signal})`;
+      console.warn(server.error);
+    }
+    console.log('学生服务器已关闭');
+  },
+
+  /**
+   * 生成附加到测试结果中的服务器信息
+   * @param {Object} server 服务器句柄
+   * @returns {Object} { command, cwd, external, pid, startedAt, startupTime, exitCode, signal, error, lines, droppedLines }
+   */
+  getLog(server) {
+    return {
+      command: server.command,
+      cwd: server.cwd,
+      external: server.external,
+      pid: server.pid,
+      startedAt: server.startedAt,
+      startupTime: server.startupTime,
+      exitCode: server.exitCode,
+      signal: server.signal,
+      error: server.error,
+      lines: server.lines,
+      droppedLines: server.droppedLines
+    };
+  }
+};
+
+export default ServerManager;
@@ -0,0 +1,219 @@
+// src/core/snapshot-store.js
+// 快照存储，保存测试响应的快照以及等待审查的快照变化
+
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+
+/**
+ * 存储格式
+ *
+ * - 每个模块的快照保存在 snapshots/<模块ID>.json: { 键: { value, updatedAt } }
+ * - 与快照不一致的结果保存在 snapshots/pending.json:
+ *   { 模块ID: { 键: { expected, actual, diff, recordedAt } } }，批准后替换快照，拒绝后丢弃
+ * - 之后的运行与快照重新一致时（如修复了回归），对应的待审查变化会被自动移除
+ */
+export const SnapshotStore = {
+  // 快照目录
+  SNAPSHOT_DIR: path.join(os.homedir(), '.course-reporter', 'snapshots'),
+  PENDING_FILE_NAME: 'pending.json',
+
+  /**
+   * 获取模块快照文件路径
+   * @param {string} moduleId 模块ID
+   * @returns {string} 文件路径
+   */
+  getModuleFile(moduleId) {
+    return path.join(this.SNAPSHOT_DIR, `${encodeURIComponent(moduleId)}.json`);
+  },
+
+  /**
+   * 读取JSON文件，不存在时返回空对象
+   * @param {string} filePath 文件路径
+   * @returns {Promise<Object>} 文件内容
+   */
+  async readJson(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw new Error(`读取快照文件 ${filePath} 失败: ${error.message}`);
+    }
+  },
+
+  /**
+   * 写入JSON文件
+   * @param {string} filePath 文件路径
+   * @param {Object} data 内容
+   */
+  async writeJson(filePath, data) {
+    await fs.mkdir(this.SNAPSHOT_DIR, { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+  },
+
+  /**
+   * 读取所有模块的快照
+   * @returns {Promise<Object>} { 模块ID: { 键: 值 } }，可直接作为快照会话的baseline
+   */
+  async loadBaseline() {
+    let fileNames;
+    try {
+      fileNames = (await fs.readdir(this.SNAPSHOT_DIR))
+        .filter(name => name.endsWith('.json') && name !== this.PENDING_FILE_NAME);
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+
+    const baseline = {};
+    for (const fileName of fileNames) {
+      const moduleId = decodeURIComponent(path.basename(fileName, '.json'));
+      const snapshots = await this.readJson(path.join(this.SNAPSHOT_DIR, fileName));
+      baseline[moduleId] = Object.fromEntries(
+        Object.entries(snapshots).map(([key, snapshot]) => [key, snapshot.value])
+      );
+    }
+    return baseline;
+  },
+
+  /**
+   * 更新模块快照
+   * @param {string} moduleId 模块ID
+   * @param {Object} updates { 键: 值 }
+   */
+  async writeSnapshots(moduleId, updates) {
+    const filePath = this.getModuleFile(moduleId);
+    const snapshots = await this.readJson(filePath);
+    const updatedAt = new Date().toISOString();
+
+    for (const [key, value] of Object.entries(updates)) {
+      snapshots[key] = { value, updatedAt };
+    }
+    await this.writeJson(filePath, snapshots);
+  },
+
+  /**
+   * 保存一次运行的比较结果
+   * 新快照和更新模式下的变化直接写入快照，不一致的结果记为待审查
+   *
+   * @param {Object[]} results 比较结果，见 Snapshot.match
+   * @returns {Promise<Object>} { saved, pending } 写入的快照数和待审查的变化数
+   */
+  async saveResults(results) {
+    const pendingPath = path.join(this.SNAPSHOT_DIR, this.PENDING_FILE_NAME);
+    const pending = await this.readJson(pendingPath);
+    const updates = {};
+    let saved = 0;
+    let pendingCount = 0;
+
+    for (const result of results) {
+      const modulePending = pending[result.moduleId] || (pending[result.moduleId] = {});
+
+      if (result.status === 'mismatched') {
+        modulePending[result.key] = {
+          expected: result.expected,
+          actual: result.actual,
+          diff: result.diff,
+          recordedAt: new Date().toISOString()
+        };
+        pendingCount++;
+        continue;
+      }
+
+      delete modulePending[result.key];
+      if (result.status === 'written' || result.status === 'updated') {
+        (updates[result.moduleId] || (updates[result.moduleId] = {}))[result.key] = result.actual;
+        saved++;
+      }
+    }
+
+    for (const [moduleId, moduleUpdates] of Object.entries(updates)) {
+      await this.writeSnapshots(moduleId, moduleUpdates);
+    }
+    await this.writePending(pending);
+
+    return { saved, pending: pendingCount };
+  },
+
+  /**
+   * 写入待审查的变化，去掉空的模块
+   * @param {Object} pending 待审查的变化
+   */
+  async writePending(pending) {
+    const cleaned = Object.fromEntries(
+      Object.entries(pending).filter(([, entries]) => Object.keys(entries).length > 0)
+    );
+    await this.writeJson(path.join(this.SNAPSHOT_DIR, this.PENDING_FILE_NAME), cleaned);
+  },
+
+  /**
+   * 列出待审查的变化，序号从1开始，用于批准和拒绝
+   * @returns {Promise<Object[]>} [{ index, moduleId, key, expected, actual, diff, recordedAt }]
+   */
+  async listPending() {
+    const pending = await this.readJson(path.join(this.SNAPSHOT_DIR, this.PENDING_FILE_NAME));
+    const list = [];
+
+    for (const moduleId of Object.keys(pending).sort()) {
+      for (const key of Object.keys(pending[moduleId]).sort()) {
+        list.push({ index: list.length + 1, moduleId, key, ...pending[moduleId][key] });
+      }
+    }
+    return list;
+  },
+
+  /**
+   * 批准或拒绝待审查的变化
+   * @param {string} action approve: 用新结果替换快照；reject: 丢弃新结果，保留原快照
+   * @param {number[]|null} indexes listPending 中的序号，为null时处理全部
+   * @returns {Promise<Object[]>} 已处理的变化
+   */
+  async resolvePending(action, indexes = null) {
+    const list = await this.listPending();
+    const selected = indexes ? list.filter(item => indexes.includes(item.index)) : list;
+
+    const missing = (indexes || []).filter(index => !list.some(item => item.index === index));
+    if (missing.length > 0) {
+      throw new Error(`没有序号为 ${missing.join(', ')} 的待审查快照`);
+    }
+
+    if (action === 'approve') {
+      const updates = {};
+      for (const item of selected) {
+        (updates[item.moduleId] || (updates[item.moduleId] = {}))[item.key] = item.actual;
+      }
+      for (const [moduleId, moduleUpdates] of Object.entries(updates)) {
+        await this.writeSnapshots(moduleId, moduleUpdates);
+      }
+    }
+
+    const pending = await this.readJson(path.join(this.SNAPSHOT_DIR, this.PENDING_FILE_NAME));
+    for (const item of selected) {
+      delete pending[item.moduleId][item.key];
+    }
+    await this.writePending(pending);
+
+    return selected;
+  },
+
+  /**
+   * 删除模块的所有快照和待审查的变化，下次运行时重新记录
+   * @param {string} moduleId 模块ID
+   * @returns {Promise<boolean>} 是否存在该模块的快照
+   */
+  async deleteModule(moduleId) {
+    const pending = await this.readJson(path.join(this.SNAPSHOT_DIR, this.PENDING_FILE_NAME));
+    delete pending[moduleId];
+    await this.writePending(pending);
+
+    try {
+      await fs.unlink(this.getModuleFile(moduleId));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+};
+
+export default SnapshotStore;
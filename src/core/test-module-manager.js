@@ -5,6 +5,9 @@ import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
 import { fileURLToPath } from 'url';
+import { ModuleLoader } from './module-loader.js';
+import { ModulePackManager } from './module-pack-manager.js';
+import { ContractManager } from './contract-manager.js';
 
 // 获取当前文件目录
 const __filename = fileURLToPath(import.meta.url);
@@ -16,12 +19,16 @@ export const TestModuleManager = {
   CONFIG_DIR: path.join(os.homedir(), '.course-reporter'),
   MODULES_CONFIG_FILE: path.join(os.homedir(), '.course-reporter', 'test-modules.json'),
   
-  // 默认模块配置
-  DEFAULT_MODULES: {
-    basicTodos: { active: true },
-    todoFilters: { active: true },
-    userManagement: { active: false },
-    // 可扩展：根据课程进度添加更多模块
+  // 默认模块配置由已注册模块的active字段生成，不再单独维护
+  async getDefaultModules() {
+    const { default: StudentAPI } = await import('../api/student-api.js');
+    const defaults = {};
+    
+    for (const [moduleId, status] of Object.entries(StudentAPI.getTestModulesStatus())) {
+      defaults[moduleId] = { active: status.active };
+    }
+    
+    return defaults;
   },
   
   // 初始化测试模块配置
@@ -37,7 +44,7 @@ export const TestModuleManager = {
         // 如果不存在，创建默认配置
         await fs.writeFile(
           this.MODULES_CONFIG_FILE, 
-          JSON.stringify(this.DEFAULT_MODULES, null, 2)
+          JSON.stringify(await this.getDefaultModules(), null, 2)
         );
       }
     } catch (error) {
@@ -47,14 +54,49 @@ export const TestModuleManager = {
   
   // 读取测试模块配置
   async getModulesConfig() {
+    const defaults = await this.getDefaultModules();
+    
     try {
       await this.init();
       
       const data = await fs.readFile(this.MODULES_CONFIG_FILE, 'utf8');
-      return { ...this.DEFAULT_MODULES, ...JSON.parse(data) };
+      return { ...defaults, ...JSON.parse(data) };
     } catch (error) {
       console.error('读取测试模块配置失败:', error.message);
-      return { ...this.DEFAULT_MODULES };
+      return defaults;
+    }
+  },
+  
+  // 发现外部测试模块并注册到StudentAPI
+  async loadExternalModules() {
+    try {
+      const { default: StudentAPI } = await import('../api/student-api.js');
+      // 服务器下发的模块包最后注册，优先于本地同ID模块；服务器下发的OpenAPI文档生成的契约测试模块使用固定ID，
+      // 本地OpenAPI文档只在 test 命令中加载
+      const discovered = [
+        ...await ModuleLoader.discoverModules(),
+        ...await ModulePackManager.loadInstalledPacks(),
+        ...await ContractManager.loadModules()
+      ];
+      
+      const registered = [];
+      for (const { moduleId, module } of discovered) {
+        try {
+          StudentAPI.registerTestModule(moduleId, module);
+          registered.push(moduleId);
+        } catch (error) {
+          console.error('加载测试模块失败:', error.message);
+        }
+      }
+      
+      if (registered.length > 0) {
+        console.log(`已加载 ${registered.length} 个外部测试模块`);
+      }
+      
+      return registered;
+    } catch (error) {
+      console.error('加载外部测试模块失败:', error.message);
+      return [];
     }
   },
   
@@ -113,9 +155,54 @@ export const TestModuleManager = {
     }
   },
   
+  // 处理服务器下发的模块包，验证签名后安装并激活其中的模块
+  async installModulePack(params) {
+    try {
+      const { default: StudentAPI } = await import('../api/student-api.js');
+      // 模块包中有不能注册的模块时整个模块包都不安装
+      const pack = await ModulePackManager.installPack(params, installing => {
+        for (const [moduleId, module] of Object.entries(installing.modules)) {
+          StudentAPI.assertCanRegister(moduleId, module);
+        }
+      });
+      
+      const moduleConfig = {};
+      
+      for (const [moduleId, module] of Object.entries(pack.modules)) {
+        StudentAPI.registerTestModule(moduleId, module);
+        moduleConfig[moduleId] = { active: module.active !== false };
+        StudentAPI.activateTestModule(moduleId, moduleConfig[moduleId].active);
+      }
+      
+      return await this.updateModulesConfig(moduleConfig);
+    } catch (error) {
+      console.error('安装测试模块包失败:', error.message);
+      return false;
+    }
+  },
+  
+  // 处理服务器下发的OpenAPI文档，验证签名后生成并激活契约测试模块
+  async installOpenApiSpec(params) {
+    try {
+      const { moduleId, module } = await ContractManager.installSpec(params);
+      
+      const { default: StudentAPI } = await import('../api/student-api.js');
+      StudentAPI.registerTestModule(moduleId, module);
+      StudentAPI.activateTestModule(moduleId, true);
+      
+      return await this.updateModulesConfig({ [moduleId]: { active: true } });
+    } catch (error) {
+      console.error('安装OpenAPI文档失败:', error.message);
+      return false;
+    }
+  },
+  
   // 初始化模块状态 (在报告器启动时调用)
   async initModuleStatus() {
     try {
+      // 先注册外部模块，使其默认状态和已保存的配置一并生效
+      await this.loadExternalModules();
+      
       const config = await this.getModulesConfig();
       
       // 动态更新所有测试模块状态
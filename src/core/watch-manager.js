@@ -0,0 +1,271 @@
+// src/core/watch-manager.js
+// 监视模式：监视学生项目的源代码，修改后等待服务器重新启动并重新运行受影响的测试模块
+
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+
+/**
+ * 监视规则
+ *
+ * - 递归监视项目目录（逐个目录调用 fs.watch，兼容不支持 recursive 选项的平台），
+ *   忽略 node_modules、.git 等目录、隐藏文件以及日志、数据库等运行时生成的文件
+ * - 测试运行期间及结束后 delay 内只记录源代码文件的修改，在本次运行结束后再运行一次；
+ *   其他文件的修改被忽略，因为测试请求会使学生服务器写入自己的数据文件（如 db.json）
+ * - 受影响的模块：修改的文件名或内容中出现了某个模块测试的资源路径（如 /todos、/users）时，
+ *   只重新运行测试了这些资源的模块；无法判断时（如修改了 package.json 或公共中间件）重新运行所有模块
+ */
+
+// 默认忽略的目录
+const IGNORED_DIRS = ['node_modules', '.git', 'dist', 'build', 'coverage', '__pycache__', 'target', 'venv', '.venv'];
+// 默认忽略的文件扩展名，通常由服务器运行时生成
+const IGNORED_EXTENSIONS = ['.log', '.db', '.sqlite', '.sqlite3', '.tmp', '.swp', '.pid'];
+// 源代码文件扩展名，测试运行期间只有这些文件的修改会被记录
+const SOURCE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.ts', '.mts', '.cts', '.jsx', '.tsx', '.py', '.java', '.kt', '.go', '.rb', '.php', '.cs', '.rs'];
+// 读取文件内容查找资源路径时的最大文件大小
+const MAX_SCAN_SIZE = 1024 * 1024;
+// 错误信息最多显示的字符数
+const MAX_ERROR_LENGTH = 100;
+
+/**
+ * 转义正则表达式中的特殊字符
+ * @param {string} text 文本
+ * @returns {string} 转义后的文本
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 获取测试的资源名称，即端点路径的第一段，如 "/todos/:id" 为 "todos"
+ * @param {Object} test 测试结果
+ * @returns {string|null} 资源名称
+ */
+function getResource(test) {
+  const match = /^\/([\w-]+)/.exec(test.endpoint || '');
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * 截断过长的错误信息
+ * @param {string} message 错误信息
+ * @returns {string} 截断后的信息
+ */
+function truncate(message) {
+  const text = String(message || '').replace(/\s+/g, ' ');
+  return text.length > MAX_ERROR_LENGTH ? `${text.slice(0, MAX_ERROR_LENGTH)}...` : text;
+}
+
+export const WatchManager = {
+  IGNORED_DIRS,
+  IGNORED_EXTENSIONS,
+
+  /**
+   * 判断文件或目录是否应被忽略
+   * @param {string} filePath 路径
+   * @param {string[]} ignore 额外忽略的文件名或目录名
+   * @returns {boolean} 是否忽略
+   */
+  isIgnored(filePath, ignore = []) {
+    const name = path.basename(filePath);
+    return name.startsWith('.')
+      || name.endsWith('~')
+      || IGNORED_DIRS.includes(name)
+      || IGNORED_EXTENSIONS.includes(path.extname(name).toLowerCase())
+      || ignore.includes(name);
+  },
+
+  /**
+   * 判断文件是否为源代码文件，学生服务器运行时不会修改这些文件
+   * @param {string} filePath 路径
+   * @returns {boolean} 是否为源代码
+   */
+  isSourceFile(filePath) {
+    return SOURCE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+  },
+
+  /**
+   * 递归监视目录，新建的子目录会自动加入监视
+   * @param {string} rootDir 项目目录
+   * @param {Function} onChange (filePath) => void，文件被修改、创建或删除时调用
+   * @param {string[]} ignore 额外忽略的文件名或目录名
+   * @returns {Object} { close } 停止监视
+   */
+  watchTree(rootDir, onChange, ignore = []) {
+    const watchers = new Map();
+
+    const watchDir = dir => {
+      if (watchers.has(dir)) return;
+
+      let watcher;
+      try {
+        watcher = fs.watch(dir, (eventType, fileName) => {
+          if (!fileName) return;
+          const filePath = path.join(dir, fileName.toString());
+          if (this.isIgnored(filePath, ignore)) return;
+
+          // 新建的目录加入监视，删除的目录停止监视
+          try {
+            if (fs.statSync(filePath).isDirectory()) {
+              watchDir(filePath);
+              return;
+            }
+          } catch (error) {
+            const removed = watchers.get(filePath);
+            if (removed) {
+              removed.close();
+              watchers.delete(filePath);
+            }
+          }
+          onChange(filePath);
+        });
+      } catch (error) {
+        console.warn(`无法监视目录 ${dir}: ${error.message}`);
+        return;
+      }
+      watcher.on('error', () => {
+        watcher.close();
+        watchers.delete(dir);
+      });
+      watchers.set(dir, watcher);
+
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const childPath = path.join(dir, entry.name);
+        if (entry.isDirectory() && !this.isIgnored(childPath, ignore)) {
+          watchDir(childPath);
+        }
+      }
+    };
+
+    watchDir(path.resolve(rootDir));
+
+    return {
+      close() {
+        watchers.forEach(watcher => watcher.close());
+        watchers.clear();
+      }
+    };
+  },
+
+  /**
+   * 等待学生服务器可以访问，任何HTTP响应（包括404）都视为已启动
+   * @param {string} baseUrl 学生API基础URL
+   * @param {Object} options
+   * @param {number} options.timeout 最长等待时间（毫秒）
+   * @param {number} options.interval 重试间隔（毫秒）
+   * @returns {Promise<boolean>} 服务器是否已启动
+   */
+  async waitForServer(baseUrl, { timeout = 30000, interval = 500 } = {}) {
+    const deadline = Date.now() + timeout;
+
+    while (Date.now() < deadline) {
+      try {
+        await axios.get(baseUrl, { timeout: interval * 4, validateStatus: () => true });
+        return true;
+      } catch (error) {
+        await new Promise(resolve => setTimeout(resolve, interval));
+      }
+    }
+    return false;
+  },
+
+  /**
+   * 根据修改的文件找出受影响的模块
+   * @param {string[]} files 修改的文件路径
+   * @param {Object[]} tests 已知的测试结果，需要 moduleId 和 endpoint
+   * @returns {string[]|null} 受影响的模块ID，无法判断时为null（重新运行所有模块）
+   */
+  findAffectedModules(files, tests) {
+    const modulesByResource = new Map();
+    for (const test of tests) {
+      const resource = getResource(test);
+      if (!resource) continue;
+      if (!modulesByResource.has(resource)) modulesByResource.set(resource, new Set());
+      modulesByResource.get(resource).add(test.moduleId);
+    }
+    if (modulesByResource.size === 0) return null;
+
+    const affected = new Set();
+    for (const filePath of files) {
+      const name = path.basename(filePath).toLowerCase();
+      let content = '';
+      try {
+        if (fs.statSync(filePath).size <= MAX_SCAN_SIZE) {
+          content = fs.readFileSync(filePath, 'utf8');
+        }
+      } catch (error) {
+        // 文件已被删除，只根据文件名判断
+      }
+
+      const resources = [...modulesByResource.keys()].filter(resource => {
+        // 文件名包含资源名称或其单数形式，如 routes/users.js、todoController.js
+        const singular = resource.replace(/s$/, '');
+        if (name.includes(resource) || (singular.length > 2 && name.includes(singular))) return true;
+        return new RegExp(`['"\`]/${escapeRegExp(resource)}(?![\\w-])`, 'i').test(content);
+      });
+
+      // 任何一个文件无法对应到资源时，保守地重新运行所有模块
+      if (resources.length === 0) return null;
+      resources.forEach(resource => modulesByResource.get(resource).forEach(moduleId => affected.add(moduleId)));
+    }
+
+    return [...affected];
+  },
+
+  /**
+   * 比较本次运行与之前已知的测试结果
+   * @param {Map} known 之前的测试结果 "模块ID\0测试名称" -> { status, error }
+   * @param {Object[]} tests 本次的测试结果
+   * @returns {Object} { fixed, broken, stillFailing, added, unchanged } 前四项为测试结果列表，unchanged为数量
+   */
+  diffResults(known, tests) {
+    const diff = { fixed: [], broken: [], stillFailing: [], added: [], unchanged: 0 };
+
+    for (const test of tests) {
+      const previous = known.get(`${test.moduleId}\u0000${test.name}`);
+      if (!previous) {
+        diff.added.push(test);
+      } else if (previous.status !== 'passed' && test.status === 'passed') {
+        diff.fixed.push(test);
+      } else if (previous.status === 'passed' && test.status !== 'passed') {
+        diff.broken.push(test);
+      } else if (test.status !== 'passed') {
+        diff.stillFailing.push(test);
+      } else {
+        diff.unchanged++;
+      }
+    }
+
+    return diff;
+  },
+
+  /**
+   * 用本次的测试结果更新已知结果
+   * @param {Map} known 已知的测试结果
+   * @param {Object[]} tests 本次的测试结果
+   */
+  remember(known, tests) {
+    for (const test of tests) {
+      known.set(`${test.moduleId}\u0000${test.name}`, test);
+    }
+  },
+
+  /**
+   * 输出简洁的结果变化
+   * @param {Object} diff diffResults 的结果
+   */
+  printDiff(diff) {
+    const label = test => `${test.moduleId} › ${test.name}`;
+    const reason = test => (test.status === 'skipped' ? `跳过: ${truncate(test.skipReason)}` : truncate(test.error));
+
+    console.log(`\n与上次相比: 修复 ${diff.fixed.length} 个，新失败 ${diff.broken.length} 个，仍失败 ${diff.stillFailing.length} 个，未变化 ${diff.unchanged} 个`);
+    diff.fixed.forEach(test => console.log(`  ✅ 修复    ${label(test)}`));
+    diff.broken.forEach(test => console.log(`  ❌ 新失败  ${label(test)}: ${reason(test)}`));
+    diff.stillFailing.forEach(test => console.log(`  ❌ 仍失败  ${label(test)}: ${reason(test)}`));
+    diff.added
+      .filter(test => test.status !== 'passed')
+      .forEach(test => console.log(`  ❌ 失败    ${label(test)}: ${reason(test)}`));
+  }
+};
+
+export default WatchManager;
@@ -57,10 +57,26 @@ export const CryptoUtils = {
    * @returns {Promise<boolean>} 验证结果
    */
   async verifySignature(data, signature, publicKeyPath) {
+    let publicKey;
     try {
       // 读取公钥
-      const publicKey = await fs.readFile(publicKeyPath, 'utf8');
-      
+      publicKey = await fs.readFile(publicKeyPath, 'utf8');
+    } catch (error) {
+      throw new Error(`验证签名失败: ${error.message}`);
+    }
+    
+    return this.verifySignatureWithKey(data, signature, publicKey);
+  },
+  
+  /**
+   * 使用公钥内容验证签名
+   * @param {string} data 原始数据
+   * @param {string} signature 签名（Base64编码）
+   * @param {string} publicKey 公钥内容（PEM）
+   * @returns {boolean} 验证结果
+   */
+  verifySignatureWithKey(data, signature, publicKey) {
+    try {
       // 创建验证对象
       const verify = crypto.createVerify('SHA256');
       
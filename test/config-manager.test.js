@@ -0,0 +1,83 @@
+// test/config-manager.test.js
+// ConfigManager.resolveStudentApiTarget 单元测试
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConfigManager } from '../src/core/config-manager.js';
+
+const ENV_KEYS = ['STUDENT_API_URL', 'STUDENT_API_PORT', 'STUDENT_API_BASE_PATH', 'STUDENT_API_TOKEN'];
+
+describe('ConfigManager.resolveStudentApiTarget', () => {
+  let savedEnv;
+
+  beforeEach(() => {
+    savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    ENV_KEYS.forEach(key => delete process.env[key]);
+  });
+
+  afterEach(() => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  it('没有任何设置时使用默认地址', () => {
+    assert.deepEqual(ConfigManager.resolveStudentApiTarget({}), {
+      url: 'http://localhost:3000',
+      baseUrl: 'http://localhost:3000',
+      port: 3000,
+      basePath: '',
+      headers: {},
+      authToken: ''
+    });
+  });
+
+  it('使用配置文件中的地址、路径前缀、请求头和令牌', () => {
+    const target = ConfigManager.resolveStudentApiTarget({
+      studentApi: { url: 'http://172.17.0.2:8000', basePath: '/api/', headers: { 'X-Tenant': 'demo' }, authToken: 'cfg' }
+    });
+    assert.equal(target.baseUrl, 'http://172.17.0.2:8000/api');
+    assert.equal(target.port, 8000);
+    assert.deepEqual(target.headers, { 'X-Tenant': 'demo', Authorization: 'Bearer cfg' });
+  });
+
+  it('未指定路径前缀时使用地址中的路径', () => {
+    const target = ConfigManager.resolveStudentApiTarget({ studentApi: { url: 'https://example.com/v1/' } });
+    assert.equal(target.basePath, '/v1');
+    assert.equal(target.baseUrl, 'https://example.com/v1');
+    assert.equal(target.port, 443);
+  });
+
+  it('环境变量优先于配置文件', () => {
+    process.env.STUDENT_API_URL = 'http://env-host:4000';
+    process.env.STUDENT_API_PORT = '4001';
+    process.env.STUDENT_API_BASE_PATH = 'env';
+    process.env.STUDENT_API_TOKEN = 'env-token';
+
+    const target = ConfigManager.resolveStudentApiTarget({
+      studentApi: { url: 'http://cfg-host:8000', basePath: '/cfg', authToken: 'cfg' }
+    });
+    assert.equal(target.baseUrl, 'http://env-host:4001/env');
+    assert.equal(target.authToken, 'env-token');
+  });
+
+  it('命令行选项优先于环境变量和配置文件', () => {
+    process.env.STUDENT_API_URL = 'http://env-host:4000';
+    process.env.STUDENT_API_BASE_PATH = '/env';
+    process.env.STUDENT_API_TOKEN = 'env-token';
+
+    const target = ConfigManager.resolveStudentApiTarget(
+      { studentApi: { url: 'http://cfg-host:8000', headers: { 'X-Tenant': 'demo' } } },
+      { apiUrl: 'http://cli-host:5000', port: 5001, basePath: '', header: ['X-Tenant: cli', 'X-Trace:1'], token: 'cli-token' }
+    );
+    assert.equal(target.url, 'http://cli-host:5001');
+    // 命令行的空路径前缀表示使用地址中的路径，不回退到环境变量
+    assert.equal(target.basePath, '');
+    assert.deepEqual(target.headers, { 'X-Tenant': 'cli', 'X-Trace': '1', Authorization: 'Bearer cli-token' });
+  });
+
+  it('请求头格式不正确时抛出错误', () => {
+    assert.throws(() => ConfigManager.resolveStudentApiTarget({}, { header: 'X-Tenant' }), /请求头格式不正确/);
+  });
+});
@@ -0,0 +1,96 @@
+// test/fuzzer.test.js
+// Fuzzer 单元测试：种子重现和反例收缩
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Fuzzer } from '../src/api/fuzzer.js';
+
+const { Arbitrary } = Fuzzer;
+
+describe('Fuzzer.createRandom', () => {
+  it('相同的种子生成相同的序列', () => {
+    const sequence = seed => {
+      const random = Fuzzer.createRandom(seed);
+      return Array.from({ length: 5 }, () => random.int(0, 1000));
+    };
+    assert.deepEqual(sequence(42), sequence(42));
+    assert.notDeepEqual(sequence(42), sequence(43));
+  });
+
+  it('派生种子只取决于基础种子和测试名称', () => {
+    assert.equal(Fuzzer.deriveSeed(1, 'a'), Fuzzer.deriveSeed(1, 'a'));
+    assert.notEqual(Fuzzer.deriveSeed(1, 'a'), Fuzzer.deriveSeed(1, 'b'));
+  });
+});
+
+describe('Fuzzer.check', () => {
+  it('性质始终成立时通过', async () => {
+    const result = await Fuzzer.check(Arbitrary.integer(0, 10), value => assert.ok(value >= 0), { seed: 1, runs: 20 });
+    assert.deepEqual(result, { passed: true, seed: 1, runs: 20 });
+  });
+
+  it('整数反例收缩到仍然失败的边界值', async () => {
+    const result = await Fuzzer.check(Arbitrary.integer(0, 1000), value => assert.ok(value < 100), { seed: 7, runs: 50 });
+    assert.equal(result.passed, false);
+    assert.ok(result.original >= 100);
+    assert.equal(result.counterexample, 100);
+    assert.ok(result.shrinkSteps > 0);
+  });
+
+  it('字符串反例收缩到只包含导致问题的字符', async () => {
+    const result = await Fuzzer.check(
+      Arbitrary.string({ minLength: 1, maxLength: 30 }),
+      value => assert.ok(!value.includes('<'), '包含<'),
+      { seed: 3, runs: 200 }
+    );
+    assert.equal(result.passed, false);
+    assert.equal(result.counterexample, '<');
+    assert.equal(result.error.message, '包含<');
+  });
+
+  it('对象反例删除可选字段并收缩字段值', async () => {
+    const arbitrary = Arbitrary.record(
+      { title: Arbitrary.string({ maxLength: 10 }), priority: Arbitrary.integer(0, 100) },
+      { optional: ['title'] }
+    );
+    const result = await Fuzzer.check(arbitrary, value => assert.ok(value.priority < 50), { seed: 11, runs: 100 });
+    // 收缩次数有上限，字段值不一定收缩到边界值，但仍然是反例且不比原始输入复杂
+    assert.deepEqual(Object.keys(result.counterexample), ['priority']);
+    assert.ok(result.counterexample.priority >= 50 && result.counterexample.priority <= result.original.priority);
+  });
+
+  it('数组反例收缩到最少的元素', async () => {
+    const result = await Fuzzer.check(
+      Arbitrary.array(Arbitrary.integer(0, 100), 8),
+      value => assert.ok(value.every(item => item < 90)),
+      { seed: 5, runs: 200 }
+    );
+    assert.deepEqual(result.counterexample, [90]);
+  });
+
+  it('相同的种子得到相同的反例', async () => {
+    const property = value => assert.ok(value.length < 5);
+    const first = await Fuzzer.check(Arbitrary.string(), property, { seed: 99, runs: 50 });
+    const second = await Fuzzer.check(Arbitrary.string(), property, { seed: 99, runs: 50 });
+    assert.equal(first.run, second.run);
+    assert.equal(first.original, second.original);
+    assert.equal(first.counterexample, second.counterexample);
+  });
+
+  it('收缩步数不超过上限', async () => {
+    let calls = 0;
+    const result = await Fuzzer.check(Arbitrary.integer(0, 1e9), () => { calls++; throw new Error('总是失败'); }, { seed: 1, runs: 1 });
+    assert.equal(result.counterexample, 0);
+    assert.ok(calls <= Fuzzer.MAX_SHRINK_STEPS + 1);
+  });
+});
+
+describe('Fuzzer.assertProperty', () => {
+  it('不成立时抛出带最小反例和重现种子的错误', async () => {
+    const ctx = { fuzz: { seed: 123, baseSeed: 7, runs: 50 } };
+    await assert.rejects(
+      Fuzzer.assertProperty(ctx, Arbitrary.integer(0, 1000), value => assert.ok(value < 10)),
+      error => error.message.includes('最小反例: 10') && error.message.includes('--seed 7') && error.fuzz.counterexample === 10
+    );
+  });
+});
@@ -0,0 +1,103 @@
+// test/har-manager.test.js
+// HarManager 单元测试：隐藏认证信息和筛选页面
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { HarManager } from '../src/core/har-manager.js';
+
+/**
+ * 创建只有一个条目的HAR日志
+ * @param {Object} request 覆盖的请求字段
+ * @param {Object} response 覆盖的响应字段
+ * @returns {Object} HAR日志
+ */
+function createHar(request = {}, response = {}) {
+  return {
+    log: {
+      version: '1.2',
+      pages: [{ id: 'page_1', _status: 'failed' }, { id: 'page_2', _status: 'passed' }],
+      entries: [{
+        pageref: 'page_1',
+        request: { method: 'POST', url: 'http://localhost:3000/login', headers: [], queryString: [], ...request },
+        response: { status: 200, headers: [], content: { text: '' }, ...response }
+      }, {
+        pageref: 'page_2',
+        request: { method: 'GET', url: 'http://localhost:3000/todos', headers: [], queryString: [] },
+        response: { status: 200, headers: [], content: { text: '[]' } }
+      }]
+    }
+  };
+}
+
+describe('HarManager.redact', () => {
+  it('隐藏认证相关的请求头和响应头', () => {
+    const har = createHar(
+      { headers: [{ name: 'Authorization', value: 'Bearer abc' }, { name: 'Content-Type', value: 'application/json' }] },
+      { headers: [{ name: 'Set-Cookie', value: 'sid=1' }] }
+    );
+    const [entry] = HarManager.redact(har).log.entries;
+    assert.deepEqual(entry.request.headers, [
+      { name: 'Authorization', value: '[已隐藏]' },
+      { name: 'Content-Type', value: 'application/json' }
+    ]);
+    assert.deepEqual(entry.response.headers, [{ name: 'Set-Cookie', value: '[已隐藏]' }]);
+  });
+
+  it('隐藏JSON和表单请求体、响应体中的敏感字段', () => {
+    const har = createHar(
+      { postData: { mimeType: 'application/x-www-form-urlencoded', text: 'username=amy&pass_word=1&password=s3cret' } },
+      { content: { text: '{"user":"amy","access_token":"t1","nested":{"Refresh-Token":42}}' } }
+    );
+    const [entry] = HarManager.redact(har).log.entries;
+    assert.equal(entry.request.postData.text, 'username=amy&pass_word=%5B%E5%B7%B2%E9%9A%90%E8%97%8F%5D&password=%5B%E5%B7%B2%E9%9A%90%E8%97%8F%5D');
+    assert.equal(entry.response.content.text, '{"user":"amy","access_token":"[已隐藏]","nested":{"Refresh-Token":"[已隐藏]"}}');
+  });
+
+  it('隐藏URL和queryString中的敏感查询参数', () => {
+    const har = createHar({
+      url: 'http://localhost:3000/todos?token=abc&page=2#top',
+      queryString: [{ name: 'token', value: 'abc' }, { name: 'page', value: '2' }]
+    });
+    const [entry] = HarManager.redact(har).log.entries;
+    assert.equal(entry.request.url, 'http://localhost:3000/todos?token=%5B%E5%B7%B2%E9%9A%90%E8%97%8F%5D&page=2#top');
+    assert.deepEqual(entry.request.queryString, [{ name: 'token', value: '[已隐藏]' }, { name: 'page', value: '2' }]);
+  });
+
+  it('不修改原HAR日志', () => {
+    const har = createHar({ headers: [{ name: 'Cookie', value: 'sid=1' }] });
+    HarManager.redact(har);
+    assert.equal(har.log.entries[0].request.headers[0].value, 'sid=1');
+  });
+});
+
+describe('HarManager.filterPages', () => {
+  it('只保留选中的页面及其条目', () => {
+    const filtered = HarManager.filterPages(createHar(), page => page._status === 'failed');
+    assert.deepEqual(filtered.log.pages.map(page => page.id), ['page_1']);
+    assert.deepEqual(filtered.log.entries.map(entry => entry.pageref), ['page_1']);
+  });
+});
+
+describe('HarManager.save', () => {
+  it('保存前隐藏认证信息，并只保留最近的文件', async () => {
+    const originalDir = HarManager.HAR_DIR;
+    HarManager.HAR_DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'har-test-'));
+    try {
+      await HarManager.save(createHar({ url: 'http://localhost:3000/login?password=p1' }), 1);
+      // 文件名精确到毫秒，等待一下避免同名
+      await new Promise(resolve => setTimeout(resolve, 5));
+      const filePath = await HarManager.save(createHar({ headers: [{ name: 'Authorization', value: 'Bearer abc' }] }), 1);
+
+      const files = await HarManager.list();
+      assert.deepEqual(files.map(file => file.path), [filePath]);
+      const content = await fs.readFile(filePath, 'utf8');
+      assert.ok(!content.includes('Bearer abc'));
+    } finally {
+      await fs.rm(HarManager.HAR_DIR, { recursive: true, force: true });
+      HarManager.HAR_DIR = originalDir;
+    }
+  });
+});
@@ -0,0 +1,65 @@
+// test/load-tester.test.js
+// LoadTester 单元测试：百分位、统计汇总和评分细则
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { LoadTester } from '../src/api/load-tester.js';
+
+describe('LoadTester.percentile', () => {
+  const sorted = Array.from({ length: 100 }, (_, index) => index + 1);
+
+  it('按最近秩法取值', () => {
+    assert.equal(LoadTester.percentile(sorted, 50), 50);
+    assert.equal(LoadTester.percentile(sorted, 95), 95);
+    assert.equal(LoadTester.percentile(sorted, 99), 99);
+    assert.equal(LoadTester.percentile(sorted, 100), 100);
+  });
+
+  it('样本较少时向上取秩', () => {
+    assert.equal(LoadTester.percentile([10, 20, 30], 50), 20);
+    assert.equal(LoadTester.percentile([10, 20, 30], 95), 30);
+    assert.equal(LoadTester.percentile([7], 99), 7);
+  });
+
+  it('百分位为0时取最小值，没有数据时为0', () => {
+    assert.equal(LoadTester.percentile([3, 4], 0), 3);
+    assert.equal(LoadTester.percentile([], 95), 0);
+  });
+});
+
+describe('LoadTester.summarize', () => {
+  it('统计错误率、吞吐量、延迟和状态码', () => {
+    const stats = LoadTester.summarize([
+      { latency: 30, ok: true, status: 200, error: null },
+      { latency: 10, ok: true, status: 200, error: null },
+      { latency: 20, ok: false, status: 500, error: null },
+      { latency: 40, ok: false, status: null, error: 'socket hang up' }
+    ], 2000);
+
+    assert.equal(stats.requests, 4);
+    assert.equal(stats.errors, 2);
+    assert.equal(stats.errorRate, 0.5);
+    assert.equal(stats.throughput, 2);
+    assert.deepEqual(stats.latency, { min: 10, mean: 25, p50: 20, p95: 40, p99: 40, max: 40 });
+    assert.deepEqual(stats.statusCodes, { 200: 2, 500: 1, 无响应: 1 });
+    assert.deepEqual(stats.errorSamples, ['状态码 500', 'socket hang up']);
+  });
+
+  it('没有样本时各项为0', () => {
+    const stats = LoadTester.summarize([], 0);
+    assert.equal(stats.errorRate, 0);
+    assert.equal(stats.throughput, 0);
+    assert.deepEqual(stats.latency, { min: 0, mean: 0, p50: 0, p95: 0, p99: 0, max: 0 });
+  });
+});
+
+describe('LoadTester.createRubric', () => {
+  it('只为设置的阈值生成细则，超过阈值时检查失败', () => {
+    const rubric = LoadTester.createRubric({ maxErrorRate: 0.01, p95: 100 });
+    assert.deepEqual(rubric.map(item => item.name), ['错误率不超过 1%', 'p95延迟不超过 100ms']);
+
+    const stats = LoadTester.summarize([{ latency: 150, ok: true, status: 200, error: null }], 1000);
+    assert.doesNotThrow(() => rubric[0].check({ stats }));
+    assert.throws(() => rubric[1].check({ stats }), /p95延迟为 150ms/);
+  });
+});
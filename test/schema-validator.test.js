@@ -0,0 +1,92 @@
+// test/schema-validator.test.js
+// SchemaValidator 单元测试
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SchemaValidator } from '../src/api/schema-validator.js';
+
+const TODO_SCHEMA = {
+  type: 'object',
+  required: ['id', 'title', 'completed'],
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+    title: { type: 'string', minLength: 1, maxLength: 10 },
+    completed: { type: 'boolean' },
+    tags: { type: 'array', items: { type: 'string' }, uniqueItems: true }
+  },
+  additionalProperties: false
+};
+
+describe('SchemaValidator.validate', () => {
+  it('符合schema时没有违规项', () => {
+    assert.deepEqual(SchemaValidator.validate({ id: 1, title: '买菜', completed: false, tags: ['a'] }, TODO_SCHEMA), []);
+  });
+
+  it('违规项指向具体字段', () => {
+    const violations = SchemaValidator.validate({ id: 0, title: '', completed: 'no', extra: 1, tags: ['a', 'a'] }, TODO_SCHEMA);
+    assert.deepEqual(violations, [
+      'body.id: 不能小于 1',
+      'body.title: 长度不能小于 1',
+      'body.completed: 类型应为 boolean，实际为 string',
+      'body.extra: 不允许的额外字段',
+      'body.tags: 存在重复项'
+    ]);
+  });
+
+  it('报告缺少的必需字段和数组元素的位置', () => {
+    const schema = { type: 'array', items: TODO_SCHEMA };
+    assert.deepEqual(SchemaValidator.validate([{ id: 1, title: 'a', completed: true }, { id: 2, title: 'b' }], schema), [
+      'body[1].completed: 缺少必需字段'
+    ]);
+  });
+
+  it('integer 属于 number，number 不属于 integer', () => {
+    assert.deepEqual(SchemaValidator.validate(3, { type: 'number' }), []);
+    assert.deepEqual(SchemaValidator.validate(1.5, { type: 'integer' }), ['body: 类型应为 integer，实际为 number']);
+  });
+
+  it('检查字符串格式', () => {
+    assert.deepEqual(SchemaValidator.validate('2024-01-02T03:04:05Z', { type: 'string', format: 'date-time' }), []);
+    assert.equal(SchemaValidator.validate('2024-13-45', { type: 'string', format: 'date-time' }).length, 1);
+    assert.equal(SchemaValidator.validate('not-an-email', { type: 'string', format: 'email' }).length, 1);
+  });
+
+  it('nullable 允许 null', () => {
+    assert.deepEqual(SchemaValidator.validate(null, { type: 'string', nullable: true }), []);
+    assert.deepEqual(SchemaValidator.validate(null, { type: 'string' }), ['body: 类型应为 string，实际为 null']);
+  });
+
+  it('oneOf 只能符合一个候选结构', () => {
+    const schema = { oneOf: [{ type: 'number' }, { type: 'integer' }] };
+    assert.deepEqual(SchemaValidator.validate(1.5, schema), []);
+    assert.deepEqual(SchemaValidator.validate(2, schema), ['body: 同时符合 2 个候选结构，应只符合一个']);
+    assert.deepEqual(SchemaValidator.validate('x', schema), ['body: 不符合任何一个候选结构']);
+  });
+
+  it('解析文档内的 $ref', () => {
+    const root = { components: { schemas: { Todo: TODO_SCHEMA } } };
+    const schema = { $ref: '#/components/schemas/Todo' };
+    assert.deepEqual(SchemaValidator.validate({ id: 1, title: 'a', completed: true }, schema, { root }), []);
+    assert.throws(() => SchemaValidator.validate({}, { $ref: 'other.yaml#/Todo' }), /不支持的外部引用/);
+  });
+
+  it('请求中可以省略readOnly字段，响应中可以省略writeOnly字段', () => {
+    const schema = {
+      type: 'object',
+      required: ['id', 'password'],
+      properties: { id: { type: 'integer', readOnly: true }, password: { type: 'string', writeOnly: true } }
+    };
+    assert.deepEqual(SchemaValidator.validate({ password: 'x' }, schema, { direction: 'request' }), []);
+    assert.deepEqual(SchemaValidator.validate({ id: 1 }, schema, { direction: 'response' }), []);
+    assert.equal(SchemaValidator.validate({}, schema).length, 2);
+  });
+});
+
+describe('SchemaValidator.assert', () => {
+  it('不符合时抛出带违规列表的错误', () => {
+    assert.throws(
+      () => SchemaValidator.assert({ id: 'x' }, { type: 'object', properties: { id: { type: 'integer' } } }, '待办事项'),
+      error => error.message.startsWith('待办事项不符合预期结构 (1 处问题)') && error.violations.length === 1
+    );
+  });
+});
@@ -0,0 +1,93 @@
+// test/scoring.test.js
+// Scoring 单元测试
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scoring } from '../src/api/scoring.js';
+
+describe('Scoring.evaluateRubric', () => {
+  it('check 返回false或抛出异常时细则未通过', async () => {
+    const criteria = await Scoring.evaluateRubric([
+      { name: '状态码', weight: 2, check: response => response.status === 201 },
+      { name: '响应体', check: () => { throw new Error('缺少id'); } },
+      { name: '响应头', severity: 'warning', check: () => false }
+    ], { status: 201 });
+
+    assert.deepEqual(criteria, [
+      { name: '状态码', weight: 2, severity: 'error', passed: true, message: null },
+      { name: '响应体', weight: 1, severity: 'error', passed: false, message: '缺少id' },
+      { name: '响应头', weight: 1, severity: 'warning', passed: false, message: '未满足要求' }
+    ]);
+  });
+
+  it('严格模式下警告级细则按普通细则处理', async () => {
+    const [criterion] = await Scoring.evaluateRubric([{ name: '响应头', severity: 'warning', check: () => false }], null, null, { strict: true });
+    assert.equal(criterion.severity, 'error');
+  });
+});
+
+describe('Scoring.calculateScore', () => {
+  const criterion = (weight, passed, severity = 'error') => ({ name: 'c', weight, severity, passed, message: null });
+
+  it('没有细则时通过得满分，失败得0分', () => {
+    assert.deepEqual(Scoring.calculateScore({}, {}, true), { value: 10, maxValue: 10 });
+    assert.deepEqual(Scoring.calculateScore({}, {}, false), { value: 0, maxValue: 10 });
+  });
+
+  it('满分为测试权重乘以模块权重', () => {
+    assert.deepEqual(Scoring.calculateScore({ weight: 4 }, { weight: 1.5 }, true), { value: 6, maxValue: 6 });
+  });
+
+  it('按通过的细则权重给部分得分', () => {
+    const criteria = [criterion(2, true), criterion(1, false)];
+    assert.deepEqual(Scoring.calculateScore({}, {}, false, criteria), { value: 6.67, maxValue: 10 });
+  });
+
+  it('警告级细则不参与计分', () => {
+    const criteria = [criterion(1, true), criterion(3, false, 'warning')];
+    assert.deepEqual(Scoring.calculateScore({}, {}, true, criteria), { value: 10, maxValue: 10 });
+  });
+
+  it('只有警告级细则的测试不计入满分', () => {
+    assert.deepEqual(Scoring.calculateScore({}, {}, true, [criterion(1, false, 'warning')]), { value: 0, maxValue: 0 });
+  });
+});
+
+describe('Scoring.allPassed / getWarnings', () => {
+  it('未通过的警告级细则不影响结果，但会作为警告返回', () => {
+    const criteria = [
+      { name: '状态码', severity: 'error', passed: true, message: null },
+      { name: '响应头', severity: 'warning', passed: false, message: '缺少X-Frame-Options' }
+    ];
+    assert.equal(Scoring.allPassed(criteria), true);
+    assert.deepEqual(Scoring.getWarnings(criteria), ['响应头: 缺少X-Frame-Options']);
+  });
+
+  it('createCriteriaError 只列出未通过的普通细则', () => {
+    const criteria = [
+      { name: '状态码', severity: 'error', passed: false, message: '应为201', violations: ['body.id: 缺少必需字段'] },
+      { name: '响应头', severity: 'warning', passed: false, message: '缺少' }
+    ];
+    const error = Scoring.createCriteriaError(criteria, { status: 200 });
+    assert.equal(error.message, '状态码: 应为201');
+    assert.equal(error.criteria, criteria);
+    assert.deepEqual(error.violations, ['body.id: 缺少必需字段']);
+  });
+});
+
+describe('Scoring.calculateSkippedScore', () => {
+  it('跳过的测试得0分，满分与执行时相同', () => {
+    assert.deepEqual(Scoring.calculateSkippedScore({ weight: 5 }, { weight: 2 }), { value: 0, maxValue: 10 });
+    assert.deepEqual(Scoring.calculateSkippedScore({ rubric: [{ name: 'a' }, { name: 'b', severity: 'warning' }] }, {}), { value: 0, maxValue: 10 });
+  });
+
+  it('只有警告级细则的测试跳过时也不计入满分', () => {
+    const test = { rubric: [{ name: 'a', severity: 'warning' }] };
+    assert.deepEqual(Scoring.calculateSkippedScore(test, {}), { value: 0, maxValue: 0 });
+  });
+
+  it('严格模式下只有警告级细则的测试计入满分', () => {
+    const test = { rubric: [{ name: 'a', severity: 'warning' }] };
+    assert.deepEqual(Scoring.calculateSkippedScore(test, {}, { strict: true }), { value: 0, maxValue: 10 });
+  });
+});
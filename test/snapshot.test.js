@@ -0,0 +1,90 @@
+// test/snapshot.test.js
+// Snapshot 单元测试：规范化、比较和快照会话
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Snapshot } from '../src/api/snapshot.js';
+
+describe('Snapshot.normalize', () => {
+  it('排序对象的键，并替换ID类和易变字段', () => {
+    const normalized = Snapshot.normalize({ title: '买菜', id: 7, userId: 3, todo_id: 9, createdAt: '2024-01-01T00:00:00Z', parentId: null });
+    assert.deepEqual(normalized, {
+      createdAt: '<createdAt>',
+      id: '<id>',
+      parentId: null,
+      title: '买菜',
+      todo_id: '<todo_id>',
+      userId: '<userId>'
+    });
+    assert.deepEqual(Object.keys(normalized), ['createdAt', 'id', 'parentId', 'title', 'todo_id', 'userId']);
+  });
+
+  it('替换字符串中的时间、UUID、毫秒时间戳和命名空间标记', () => {
+    assert.equal(
+      Snapshot.normalize('[ns:m1-abc] 创建于 2024-01-01T08:00:00.123+08:00，请求 123e4567-e89b-12d3-a456-426614174000，时间 1700000000000'),
+      '<namespace> 创建于 <date-time>，请求 <uuid>，时间 <timestamp>'
+    );
+    // 不是13位的数字不替换
+    assert.equal(Snapshot.normalize('订单 12345678901234'), '订单 12345678901234');
+  });
+
+  it('递归处理数组，忽略指定字段，undefined 规范化为 null', () => {
+    assert.deepEqual(
+      Snapshot.normalize([{ title: 'a', etag: 'x1' }, undefined], { ignore: ['etag'] }),
+      [{ etag: '<etag>', title: 'a' }, null]
+    );
+  });
+});
+
+describe('Snapshot.diff', () => {
+  it('一致时没有差异', () => {
+    assert.deepEqual(Snapshot.diff({ a: [1, { b: 'x' }] }, { a: [1, { b: 'x' }] }), []);
+  });
+
+  it('列出值、类型、字段和数组长度的差异', () => {
+    assert.deepEqual(
+      Snapshot.diff(
+        { status: 200, body: { title: 'a', done: false, tags: ['x', 'y'] } },
+        { status: 201, body: { title: 'a', done: 'no', tags: ['x'], extra: 1 } }
+      ),
+      [
+        'snapshot.status: 预期 200，实际 201',
+        'snapshot.body.done: 预期 false，实际 "no"',
+        'snapshot.body.tags: 预期 2 项，实际 1 项',
+        'snapshot.body.extra: 多出字段 1'
+      ]
+    );
+    assert.deepEqual(Snapshot.diff({ a: 1 }, {}), ['snapshot.a: 缺少字段，预期 1']);
+    assert.deepEqual(Snapshot.diff([], null), ['snapshot: 预期 []，实际 null']);
+  });
+});
+
+describe('Snapshot.match', () => {
+  it('没有快照时记录新快照，一致时通过', () => {
+    const session = Snapshot.createSession({ baseline: { todos: { 获取列表: { status: 200 } } } });
+    assert.equal(Snapshot.match(session, 'todos', '新测试', { status: 200 }).status, 'written');
+    assert.equal(Snapshot.match(session, 'todos', '获取列表', { status: 200 }).status, 'matched');
+  });
+
+  it('不一致时抛出带差异列表的错误，更新模式下记为已更新', () => {
+    const baseline = { todos: { 获取列表: { status: 200 } } };
+    const session = Snapshot.createSession({ baseline });
+    assert.throws(
+      () => Snapshot.match(session, 'todos', '获取列表', { status: 500 }),
+      error => error.message.includes('与快照 "获取列表" 不一致 (1 处差异)') && error.violations.length === 1
+    );
+    assert.equal(Snapshot.summarize(session).mismatched, 1);
+
+    const updating = Snapshot.createSession({ baseline, update: true });
+    assert.equal(Snapshot.match(updating, 'todos', '获取列表', { status: 500 }).status, 'updated');
+  });
+
+  it('同一键多次比较时以最后一次为准', () => {
+    const session = Snapshot.createSession({ baseline: { m: { k: { a: 1 } } } });
+    assert.throws(() => Snapshot.match(session, 'm', 'k', { a: 2 }));
+    Snapshot.match(session, 'm', 'k', { a: 1 });
+    const summary = Snapshot.summarize(session);
+    assert.equal(summary.matched, 1);
+    assert.equal(summary.mismatched, 0);
+  });
+});
@@ -0,0 +1,111 @@
+// test/test-selection.test.js
+// TestSelection 单元测试：按模块、名称和标签选择测试，以及依赖的处理
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TestSelection } from '../src/api/test-selection.js';
+
+const MODULES = {
+  todoCrud: {
+    active: true,
+    tags: ['crud'],
+    tests: [
+      { name: 'POST /todos 创建' },
+      { name: 'GET /todos/:id 获取', dependsOn: 'POST /todos 创建' },
+      { name: 'PATCH /todos/:id 更新', dependsOn: ['GET /todos/:id 获取'], tags: ['slow'] },
+      { name: 'DELETE /todos/:id 删除', tags: ['slow'] }
+    ]
+  },
+  security: {
+    active: false,
+    tests: [{ name: '拒绝未认证的请求', tags: ['auth'] }]
+  }
+};
+
+const isActive = module => module.active;
+
+/**
+ * 按条件选择测试，返回便于比较的普通对象
+ * @param {Object} options TestSelection.create 的选项
+ * @returns {Object} { 模块ID: { tests, added, excluded } }
+ */
+function select(options) {
+  const selected = TestSelection.select(TestSelection.create(options), MODULES, isActive);
+  return Object.fromEntries([...selected].map(([moduleId, { tests, added, excluded }]) => (
+    [moduleId, { tests: [...tests].sort(), added, excluded }]
+  )));
+}
+
+describe('TestSelection.create', () => {
+  it('没有任何条件时为null', () => {
+    assert.equal(TestSelection.create({}), null);
+  });
+
+  it('支持重复的选项和逗号分隔的值', () => {
+    assert.deepEqual(TestSelection.create({ modules: ['a,b', 'b'], tags: 'x, y' }), {
+      modules: ['a', 'b'], grep: null, tags: ['x', 'y'], exclude: null
+    });
+  });
+
+  it('表达式无效时抛出错误', () => {
+    assert.throws(() => TestSelection.create({ grep: '(' }), /--grep 不是有效的正则表达式/);
+    assert.throws(() => TestSelection.create({ exclude: '[' }), /--exclude 不是有效的正则表达式/);
+  });
+});
+
+describe('TestSelection.select', () => {
+  it('指定模块时可以选择未激活的模块', () => {
+    assert.deepEqual(select({ modules: 'security' }), {
+      security: { tests: ['拒绝未认证的请求'], added: [], excluded: [] }
+    });
+  });
+
+  it('未知模块时抛出错误', () => {
+    assert.throws(() => select({ modules: 'nope' }), /未知的测试模块: nope/);
+  });
+
+  it('名称不区分大小写匹配，只在本次运行的模块中选择', () => {
+    assert.deepEqual(select({ grep: 'delete' }), {
+      todoCrud: { tests: ['DELETE /todos/:id 删除'], added: [], excluded: [] }
+    });
+  });
+
+  it('标签包括模块的标签', () => {
+    assert.equal(select({ modules: ['todoCrud', 'security'], tags: 'crud' }).todoCrud.tests.length, 4);
+    assert.deepEqual(Object.keys(select({ modules: ['todoCrud', 'security'], tags: 'auth' })), ['security']);
+  });
+
+  it('自动加入依赖的测试及其依赖', () => {
+    assert.deepEqual(select({ grep: 'PATCH' }), {
+      todoCrud: {
+        tests: ['GET /todos/:id 获取', 'PATCH /todos/:id 更新', 'POST /todos 创建'],
+        added: ['GET /todos/:id 获取', 'POST /todos 创建'],
+        excluded: []
+      }
+    });
+  });
+
+  it('按名称或标签排除测试，被排除的依赖不会被选回', () => {
+    assert.deepEqual(select({ exclude: 'slow' }).todoCrud.tests, ['GET /todos/:id 获取', 'POST /todos 创建']);
+    assert.deepEqual(select({ grep: 'PATCH|GET', exclude: 'POST' }), {
+      todoCrud: {
+        tests: ['GET /todos/:id 获取', 'PATCH /todos/:id 更新'],
+        added: [],
+        excluded: ['POST /todos 创建']
+      }
+    });
+  });
+
+  it('没有选中测试的模块不在结果中', () => {
+    assert.deepEqual(select({ grep: '不存在的测试' }), {});
+  });
+});
+
+describe('TestSelection.describe', () => {
+  it('生成选择条件的说明', () => {
+    assert.equal(
+      TestSelection.describe(TestSelection.create({ modules: 'todoCrud', grep: 'PATCH', tags: 'slow', exclude: 'DELETE' })),
+      '模块 todoCrud，名称匹配 /PATCH/，标签 slow，排除 DELETE'
+    );
+  });
+});